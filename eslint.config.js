@@ -24,6 +24,8 @@ export default defineConfig([
     },
     rules: {
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
+      // Catches reads of a const before its declaration in the same scope (TDZ).
+      'no-use-before-define': ['error', { functions: false, classes: false, variables: false }],
     },
   },
 ])
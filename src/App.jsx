@@ -1,40 +1,36 @@
-import React, { useState, useEffect, createContext, useContext, useRef } from 'react';
-
-// ==========================================
-// 1. UNCOMMENT THESE LINES IN YOUR LOCAL PROJECT:
-// ==========================================
-// import { createClient } from '@supabase/supabase-js';
-// const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
-// const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
-// const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
-
-// ==========================================
-// 2. DELETE THIS SECTION IN YOUR LOCAL PROJECT (It prevents preview crashes):
-// ==========================================
-const supabase = { 
-  channel: () => ({ on: () => ({ subscribe: () => {} }) }),
-  from: () => ({ 
-    select: () => ({ 
-      single: () => Promise.resolve({ data: null, error: null }),
-      then: (cb) => Promise.resolve({ data: null, error: null }).then(cb)
-    }),
-    insert: () => ({ 
-      select: () => ({ 
-        single: () => Promise.resolve({ data: { id: 'mock-id' }, error: null }) 
-      }) 
-    }),
-    delete: () => ({ eq: () => Promise.resolve({}) })
-  })
-}; 
-// ==========================================
-
+import React, { useState, useEffect, createContext, useContext, useRef, useCallback, useMemo } from 'react';
+import { backend } from './backend';
+import { DRIVER_HEARTBEAT_MS, DRIVER_LEASE_MS, ROOM_HEARTBEAT_MS, TAB_ID, claimDriver, cleanupStaleRooms, closeRoom, createRoom, findRoom, newRoundId, normalizeRoomCode, releaseDriver, renewDriver, roomChannelName, roomDisplayUrl, roomJoinUrl, touchRoom } from './rooms';
+import { DEFAULT_SETTINGS, SETTING_OPTIONS, isChaosTime, normalizeSettings } from './settings';
+import { FINISH_GRACE_MS, PENALTIES, SNAPSHOT_INTERVAL_MS, createLedger, decideWinner, describeFlagReason, dropUnconfirmed, findGaps, flaggedPlayers, rankPlayers, rankTeams, recordBatch, scoreSnapshot, teamStanding, teamTotals } from './clickLedger';
+import { MODES, describeMode, ropePosition, winsNeeded } from './modes';
+import { CLOCK_PING_SPACING_MS, CLOCK_RESYNC_MS, CLOCK_SAMPLES, addSample, estimateOffset, roundClock } from './clock';
+import { LEADERBOARD_SORTS, getProfileId, getProfileName, loadLeaderboard, recordRound, roundResults, setProfileName } from './profiles';
+import { buildRoundRecord, downloadFile, loadRounds, roundsToCsv, roundsToJson, saveRound } from './history';
+import { buildTimeline, momentum } from './timeline';
+import { CHAOS_EVENTS, CHAOS_EVENT_INFO, claimPowerUp, createChaosEvent, describeChaosEvent, isEventActive, isUpForGrabs, mergeChaosEvents, multiplierAt, nextEventDelay } from './chaos';
+import { ACK_FLUSH_MS, CONNECTION, connectionState, loadBuffer, saveBuffer } from './tapBuffer';
+import { createTally, createTapBatcher, recordTap } from './tapBatcher';
+import { DEFAULT_MODERATION, NICKNAME_MAX_LENGTH, cleanNickname, nicknameProblem, normalizeModeration, parseBlocklist } from './moderation';
+import { encodeQr } from './qr';
+import { clearHostKeyFromUrl, forgetHostKey, generateHostKey, hostKeyFromUrl, hostLink, parseHostKey, rememberHostKey, rememberedHostKey, unlockRoom } from './hostAuth';
+import { MOTION, PALETTES, applyPalette, describeStatus, loadPreferences, reducesMotion, savePreferences, teamFill } from './accessibility';
+import { TICK, beginPlaying, createRoundLedger, finishRound, hostTick, rebalanceTeams, rescoreRound, resetRound, startRound } from './engine';
+import { createIngest, drainIngest, ingestStats, queueBatch, rescoreIngest } from './ingest';
+import { BOT_SKILLS, DEFAULT_BOT_SKILL, MAX_BOT_BURSTINESS, MAX_BOT_FATIGUE, MAX_BOT_TAPS_PER_SECOND, botSkillPreset, botsToBalance, createBotTapper, freeBotNames, normalizeBotSkill } from './bots';
+import { MAX_TEAMS, MIN_TEAMS, pickSmallestTeam, resizeTeams, teamById, withAlpha } from './teams';
+import { LOCALES, createTranslator, loadChosenLocale, resolveLocale, saveChosenLocale } from './i18n';
+import { createTapEffects } from './tapEffects';
+import { CHEERS, MAX_SHOWN_REACTIONS, REACTION_EMOJIS, REACTION_MS, acceptReaction, reactionReadyAt } from './reactions';
+import { createCrowd, getSoundSettings, playChaosAlarm, playCountdownBeep, playSting, playTap, playTick, playWhistle, setSoundSettings, unlockAudio } from './sound';
 
 /**
- * Tap War - Production Build (v2.4 - Fixes)
- * Updates:
- * - Fixed Broadcast Payload Destructuring: Real Supabase wraps events in an object.
- * We now destructure `{ payload }` to access data correctly, fixing the NaN/0 score bug.
- * - Added safety checks for count arithmetic.
+ * Tap War: the screens and the glue between them.
+ * - PlayerView is a phone in a room, HostDashboard runs the room and
+ *   DisplayView is the big screen. Game rules live in the plain modules
+ *   imported above (./engine, ./clickLedger, ./chaos...).
+ * - All data access goes through the backend adapter in ./backend (Supabase or
+ *   the offline BroadcastChannel/localStorage one), chosen by VITE_BACKEND.
  */
 
 // --- Global Styles ---
@@ -42,219 +38,797 @@ const GlobalStyles = () => (
   <style>{`
     @keyframes floatUp {
       0% { transform: translateY(0) scale(1); opacity: 1; }
-      100% { transform: translateY(-100px) scale(1.5); opacity: 0; }
-    }
-    @keyframes explode {
-      0% { transform: translate(0, 0) scale(1); opacity: 1; }
-      100% { transform: translate(var(--tx), var(--ty)) scale(0); opacity: 0; }
+      100% { transform: translateY(var(--float-rise, -100px)) scale(1.5); opacity: 0; }
     }
-    .animate-float { animation: floatUp 0.8s ease-out forwards; }
-    .animate-particle { animation: explode 0.6s ease-out forwards; }
-    .bar-pulse-red { animation: pulseRed 0.2s ease-out; }
-    .bar-pulse-blue { animation: pulseBlue 0.2s ease-out; }
-    @keyframes pulseRed { 0% { filter: brightness(1); } 50% { filter: brightness(2) drop-shadow(0 0 10px red); } 100% { filter: brightness(1); } }
-    @keyframes pulseBlue { 0% { filter: brightness(1); } 50% { filter: brightness(2) drop-shadow(0 0 10px blue); } 100% { filter: brightness(1); } }
+    .animate-float { animation: floatUp var(--float-duration, 0.8s) ease-out forwards; }
+    .bar-pulse { animation: pulseTeam 0.2s ease-out; }
+    .animate-countdown { animation: countdownPop 0.5s ease-out; }
+    @keyframes countdownPop { 0% { transform: scale(2); opacity: 0; } 100% { transform: scale(1); opacity: 1; } }
+    @keyframes pulseTeam { 0% { filter: brightness(1); } 50% { filter: brightness(2) drop-shadow(0 0 10px var(--pulse-color)); } 100% { filter: brightness(1); } }
   `}</style>
 );
 
 const GameContext = createContext();
 
+// This device's viewing preferences (see ./accessibility.js).
+const AccessibilityContext = createContext();
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+const AccessibilityProvider = ({ children }) => {
+  const [preferences, setPreferences] = useState(loadPreferences);
+  const [systemReduced, setSystemReduced] = useState(() => window.matchMedia(REDUCED_MOTION_QUERY).matches);
+
+  useEffect(() => {
+    const query = window.matchMedia(REDUCED_MOTION_QUERY);
+    const handleChange = (e) => setSystemReduced(e.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  const updatePreferences = (patch) => {
+    const next = { ...preferences, ...patch };
+    savePreferences(next);
+    setPreferences(next);
+  };
+
+  const value = { ...preferences, reducedMotion: reducesMotion(preferences, systemReduced), updatePreferences };
+  return <AccessibilityContext.Provider value={value}>{children}</AccessibilityContext.Provider>;
+};
+
+// Round settings with the teams coloured the way this device shows them.
+// Display only: anything written back to the room uses `normalizeSettings`.
+const useShownSettings = (stored) => {
+  const { palette } = useContext(AccessibilityContext);
+  const settings = normalizeSettings(stored);
+  return { ...settings, teams: applyPalette(settings.teams, palette) };
+};
+
+// The language this device shows (see ./i18n.js): its own pick, else the
+// room's default, else the browser's.
+const I18nContext = createContext();
+
+const I18nProvider = ({ children }) => {
+  const { gameState } = useContext(GameContext);
+  const [chosen, setChosen] = useState(loadChosenLocale);
+  const locale = resolveLocale(chosen, normalizeSettings(gameState.settings).locale);
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const chooseLocale = (next) => {
+    saveChosenLocale(next);
+    setChosen(next);
+  };
+
+  return <I18nContext.Provider value={{ locale, chosen, chooseLocale, t }}>{children}</I18nContext.Provider>;
+};
+
+const useT = () => useContext(I18nContext).t;
+
+const INITIAL_GAME_STATE = {
+  status: 'LOBBY', 
+  winner: null,
+  round_id: null,
+  round_start_time: null,
+  settings: DEFAULT_SETTINGS,
+  match_score: {},
+  series_winner: null,
+  chaos_events: [],
+  moderation: DEFAULT_MODERATION
+};
+
+// A `?room=CODE` link wins; otherwise rejoin the room this tab was last in.
+const readInitialRoomCode = () => {
+  const params = new URLSearchParams(window.location.search);
+  const fromUrl = normalizeRoomCode(params.get('room'));
+  if (fromUrl) return fromUrl;
+  const stored = params.get('mode') === 'host' ? localStorage.getItem('tapwar_host_room') : sessionStorage.getItem('tapwar_room');
+  return normalizeRoomCode(stored) || null;
+};
+
+const setRoomInUrl = (code) => {
+  const url = new URL(window.location.href);
+  if (code) url.searchParams.set('room', code);
+  else url.searchParams.delete('room');
+  window.history.replaceState(null, '', url);
+};
+
 const GameProvider = ({ children }) => {
-  const [gameState, setGameState] = useState({
-    status: 'LOBBY', 
-    winner: null,
-    round_start_time: null
-  });
+  const [roomCode, setRoomCode] = useState(readInitialRoomCode);
+  const [roomError, setRoomError] = useState(null);
+  const [gameState, setGameState] = useState(INITIAL_GAME_STATE);
+
+  const enterRoom = (code) => {
+    setRoomInUrl(code);
+    setRoomCode(code);
+    setRoomError(null);
+    setGameState(INITIAL_GAME_STATE);
+  };
+
+  const leaveRoom = (error = null) => {
+    setRoomInUrl(null);
+    setRoomCode(null);
+    setRoomError(error);
+    setGameState(INITIAL_GAME_STATE);
+  };
 
   useEffect(() => {
+    if (!roomCode) return;
+
     // Initial Fetch
-    supabase.from('game_state').select().single().then(({ data, error }) => {
-      if (!error && data) setGameState(data);
+    backend.selectOne('game_state', { room_code: roomCode }).then(({ data, error }) => {
+      if (error) return;
+      if (data) setGameState(data);
+      else leaveRoom({ key: 'rooms.notFound', params: { code: roomCode } });
     });
 
     // Realtime Subscription
-    const channel = supabase
-      .channel('game_state_sync')
-      .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'game_state' }, (payload) => {
-        if (payload.new) {
-          setGameState(prev => ({ ...prev, ...payload.new }));
-        }
-      })
-      .subscribe();
+    const unsubscribeUpdates = backend.onTableChange('game_state', { event: 'UPDATE', match: { room_code: roomCode } }, (payload) => {
+      if (payload.new) {
+        setGameState(prev => ({ ...prev, ...payload.new }));
+      }
+    });
+    const unsubscribeDeletes = backend.onTableChange('game_state', { event: 'DELETE', match: { room_code: roomCode } }, () => {
+      leaveRoom({ key: 'rooms.closed', params: { code: roomCode } });
+    });
 
     return () => {
-      if (supabase.removeChannel) supabase.removeChannel(channel);
+      unsubscribeUpdates();
+      unsubscribeDeletes();
     };
-  }, []);
+  }, [roomCode]);
 
   return (
-    <GameContext.Provider value={{ gameState, setGameState, supabase }}>
+    <GameContext.Provider value={{ gameState, setGameState, backend, roomCode, roomError, enterRoom, leaveRoom }}>
       {children}
     </GameContext.Provider>
   );
 };
 
+// --- Clock Sync ---
+// Returns `now()`: this device's time corrected to the host's clock (see ./clock.js).
+const useHostClock = (backend, roomCode) => {
+  const offsetRef = useRef(0);
+
+  useEffect(() => {
+    if (!roomCode) return;
+    let samples = [];
+    const pending = {};
+    const timers = [];
+
+    const channel = backend.channel(roomChannelName(roomCode))
+      .on('clock-pong', (pong) => {
+        const sentAt = pending[pong.id];
+        if (sentAt === undefined) return;
+        delete pending[pong.id];
+        samples = addSample(samples, { sentAt, hostTime: pong.host_time, receivedAt: Date.now() });
+        offsetRef.current = estimateOffset(samples);
+      })
+      .subscribe();
+
+    const measure = () => {
+      for (let i = 0; i < CLOCK_SAMPLES; i++) {
+        timers.push(setTimeout(() => {
+          const id = Math.random().toString(36).slice(2, 10);
+          pending[id] = Date.now();
+          channel.send('clock-ping', { id });
+        }, i * CLOCK_PING_SPACING_MS));
+      }
+    };
+    measure();
+    const interval = setInterval(measure, CLOCK_RESYNC_MS);
+
+    return () => {
+      clearInterval(interval);
+      timers.forEach(clearTimeout);
+      channel.unsubscribe();
+    };
+  }, [backend, roomCode]);
+
+  return useCallback(() => Date.now() + offsetRef.current, []);
+};
+
+// --- Sound Cues ---
+// Round audio follows the room's status (see ./sound.js): a beep for each
+// step of 3-2-1-GO, a tick a second near the end and the chaos alarm when
+// the chaos window opens. `countdown` and `timeLeft` are the view's own clock.
+const TICK_SECONDS = 5;
+
+const useRoundCues = ({ active, countdown, timeLeft, chaos }) => {
+  // GO only sounds while it is fresh, not when a view catches up mid-round.
+  const beat = !active ? null : countdown.countdown > 0 ? Math.ceil(countdown.countdown) : countdown.elapsed < 1 ? 0 : null;
+  const tick = active && countdown.countdown <= 0 && timeLeft > 0 && timeLeft <= TICK_SECONDS ? Math.ceil(timeLeft) : null;
+  const alarm = active && chaos;
+
+  useEffect(() => {
+    if (beat !== null) playCountdownBeep(beat === 0);
+  }, [beat]);
+  useEffect(() => {
+    if (tick !== null) playTick(tick);
+  }, [tick]);
+  useEffect(() => {
+    if (alarm) playChaosAlarm();
+  }, [alarm]);
+};
+
+// Crowd noise on the host and the big screen that swells with the combined
+// tap rate, measured from the running `total` of the round's scores.
+const CROWD_SAMPLE_MS = 500;
+
+const useCrowd = (active, total) => {
+  const totalRef = useRef(total);
+  useEffect(() => {
+    totalRef.current = total;
+  });
+
+  useEffect(() => {
+    if (!active) return;
+    const crowd = createCrowd();
+    let last = totalRef.current;
+    let rate = 0;
+    const interval = setInterval(() => {
+      const taps = Math.max(0, totalRef.current - last);
+      last = totalRef.current;
+      // Smoothed, since the big screen only hears about new taps once a second.
+      rate = rate * 0.6 + (taps * 1000 / CROWD_SAMPLE_MS) * 0.4;
+      crowd.setRate(rate);
+    }, CROWD_SAMPLE_MS);
+    return () => {
+      clearInterval(interval);
+      crowd.stop();
+    };
+  }, [active]);
+};
+
+// The final whistle once a round has a result.
+const useWhistle = (gameState) => {
+  const finishedRound = gameState.status === 'FINISHED' && gameState.winner ? gameState.round_id : null;
+  useEffect(() => {
+    if (finishedRound) playWhistle();
+  }, [finishedRound]);
+};
+
+// Big 3-2-1-GO over the arena; GO lingers for a moment after the start.
+const Countdown = ({ countdown, elapsed, className = '' }) => {
+  const t = useT();
+  if (countdown <= 0 && elapsed > 0.8) return null;
+  return (
+    <div className={`fixed inset-0 flex items-center justify-center pointer-events-none z-40 ${className}`}>
+      <span key={Math.ceil(countdown)} className="text-[10rem] font-black drop-shadow-2xl animate-countdown">{countdown > 0 ? Math.ceil(countdown) : t('countdown.go')}</span>
+    </div>
+  );
+};
+
 // --- Visual Components ---
-const FloatingItem = ({ id, x, y, onComplete, children, className }) => {
+// The team's shape in the colour-blind palette; colour is never the only cue there.
+const TeamMark = ({ team }) => (team.mark ? <span aria-hidden="true" className="mr-1">{team.mark}</span> : null);
+
+// Marks a host-controlled bot; `skill` is its profile, when known (see ./bots.js).
+const BotMark = ({ skill }) => {
+  const t = useT();
+  const profile = skill && typeof skill === 'object' ? normalizeBotSkill(skill) : null;
+  const title = profile ? t('bots.describe', { rate: profile.taps_per_second, burstiness: Math.round(profile.burstiness * 100), fatigue: Math.round(profile.fatigue * 100) }) : t('bots.label');
+  return <span role="img" aria-label={t('bots.label')} title={title} className="mr-1">🤖</span>;
+};
+
+// Read out whenever the room changes phase: lobby, countdown, go, winner.
+const StatusAnnouncer = () => {
+  const { gameState } = useContext(GameContext);
+  const t = useT();
+  const settings = normalizeSettings(gameState.settings);
+  return <div role="status" aria-live="polite" className="sr-only">{describeStatus(gameState, settings.teams, t)}</div>;
+};
+
+const PreferencesMenu = () => {
+  const { palette, motion, updatePreferences } = useContext(AccessibilityContext);
+  const { chosen, chooseLocale, t } = useContext(I18nContext);
+  const [sound, setSound] = useState(getSoundSettings);
+  const [open, setOpen] = useState(false);
+  const optionClass = (active) => `px-3 py-1 rounded-full border text-xs font-bold ${active ? 'bg-white text-black border-white' : 'border-zinc-700 text-zinc-300 hover:text-white'}`;
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col items-end gap-2">
+      {open && (
+        <div id="preferences-menu" className="bg-zinc-900 border border-zinc-700 rounded-2xl p-4 space-y-4 text-sm shadow-xl">
+          <fieldset>
+            <legend className="text-zinc-400 mb-2">{t('app.language')}</legend>
+            <div className="flex gap-2">
+              <button onClick={() => chooseLocale(null)} aria-pressed={!chosen} className={optionClass(!chosen)}>{t('a11y.languageAuto')}</button>
+              {Object.entries(LOCALES).map(([code, { name }]) => (
+                <button key={code} lang={code} onClick={() => chooseLocale(code)} aria-pressed={chosen === code} className={optionClass(chosen === code)}>{name}</button>
+              ))}
+            </div>
+          </fieldset>
+          <fieldset>
+            <legend className="text-zinc-400 mb-2">{t('a11y.colours')}</legend>
+            <div className="flex gap-2">
+              <button onClick={() => updatePreferences({ palette: PALETTES.STANDARD })} aria-pressed={palette === PALETTES.STANDARD} className={optionClass(palette === PALETTES.STANDARD)}>{t('a11y.standard')}</button>
+              <button onClick={() => updatePreferences({ palette: PALETTES.COLORBLIND })} aria-pressed={palette === PALETTES.COLORBLIND} className={optionClass(palette === PALETTES.COLORBLIND)}>{t('a11y.colorblind')}</button>
+            </div>
+          </fieldset>
+          <fieldset>
+            <legend className="text-zinc-400 mb-2">{t('a11y.motion')}</legend>
+            <div className="flex gap-2">
+              <button onClick={() => updatePreferences({ motion: MOTION.SYSTEM })} aria-pressed={motion === MOTION.SYSTEM} className={optionClass(motion === MOTION.SYSTEM)}>{t('a11y.motionSystem')}</button>
+              <button onClick={() => updatePreferences({ motion: MOTION.REDUCED })} aria-pressed={motion === MOTION.REDUCED} className={optionClass(motion === MOTION.REDUCED)}>{t('a11y.motionReduced')}</button>
+              <button onClick={() => updatePreferences({ motion: MOTION.FULL })} aria-pressed={motion === MOTION.FULL} className={optionClass(motion === MOTION.FULL)}>{t('a11y.motionFull')}</button>
+            </div>
+          </fieldset>
+          <fieldset>
+            <legend className="text-zinc-400 mb-2">{t('sound.title')}</legend>
+            <div className="flex items-center gap-3">
+              <button onClick={() => setSound(setSoundSettings({ muted: !sound.muted }))} aria-pressed={sound.muted} className={optionClass(sound.muted)}>{t('sound.mute')}</button>
+              <input type="range" min="0" max="1" step="0.05" value={sound.volume} disabled={sound.muted} onChange={(e) => setSound(setSoundSettings({ volume: Number(e.target.value) }))} aria-label={t('sound.volume')} className="flex-grow accent-white disabled:opacity-40" />
+            </div>
+          </fieldset>
+        </div>
+      )}
+      <button onClick={() => setOpen(prev => !prev)} aria-expanded={open} aria-controls="preferences-menu" className="px-3 py-2 rounded-full bg-zinc-900/80 border border-zinc-700 text-xs font-bold text-zinc-300 hover:text-white">
+        {open ? t('app.close') : t('app.preferences')}
+      </button>
+    </div>
+  );
+};
+
+// Every tap's "+1" and sparks, on one canvas (see ./tapEffects.js).
+// `effectsRef` gets the layer's `burst(x, y, multiplier)` while it is mounted.
+const TapEffectsCanvas = ({ effectsRef }) => {
+  const canvasRef = useRef(null);
   useEffect(() => {
-    const timer = setTimeout(() => onComplete(id), 800);
-    return () => clearTimeout(timer);
-  }, [id, onComplete]);
-  return <div className={`absolute pointer-events-none z-50 ${className}`} style={{ left: x, top: y }}>{children}</div>;
+    const effects = createTapEffects(canvasRef.current);
+    effectsRef.current = effects;
+    return () => {
+      effectsRef.current = null;
+      effects.destroy();
+    };
+  }, [effectsRef]);
+  return <canvas ref={canvasRef} aria-hidden="true" className="absolute inset-0 w-full h-full pointer-events-none z-30" />;
+};
+
+// Emoji and preset cheers a player can send to the big screen (see ./reactions.js).
+const ReactionBar = ({ paused, onReact }) => {
+  const t = useT();
+  return (
+    <div role="group" aria-label={t('reactions.title')} className="w-full max-w-sm mt-6 space-y-3">
+      <div className="flex justify-between gap-1">
+        {REACTION_EMOJIS.map(emoji => (
+          <button key={emoji} onClick={() => onReact('emoji', emoji)} disabled={paused} className="w-12 h-12 rounded-full bg-white/10 hover:bg-white/20 text-3xl active:scale-90 disabled:opacity-30 transition-all">{emoji}</button>
+        ))}
+      </div>
+      <div className="flex flex-wrap justify-center gap-2">
+        {CHEERS.map(cheer => (
+          <button key={cheer} onClick={() => onReact('cheer', cheer)} disabled={paused} className="px-3 py-1 rounded-full bg-white/10 hover:bg-white/20 text-sm font-bold active:scale-95 disabled:opacity-30 transition-all">{t(`reactions.${cheer}`)}</button>
+        ))}
+      </div>
+      {paused && <p role="status" className="text-xs text-center opacity-60">{t('reactions.slowDown')}</p>}
+    </div>
+  );
 };
 
-const Particle = ({ id, x, y, color, onComplete }) => {
-  const tx = useRef(`${(Math.random() - 0.5) * 200}px`);
-  const ty = useRef(`${(Math.random() - 0.5) * 200}px`);
+// Reactions this screen is showing. Each screen applies the room's moderation
+// and the rate limit itself; switching reactions off or muting a player also
+// clears what is already up. Only players in the room can react, under the
+// nickname and team on their row.
+const useReactions = (backend, roomCode, moderation, players) => {
+  const [shown, setShown] = useState([]);
+  const moderationRef = useRef(moderation);
+  const playersRef = useRef(players);
+  useEffect(() => {
+    moderationRef.current = moderation;
+    playersRef.current = players;
+  }, [moderation, players]);
+
   useEffect(() => {
-    const timer = setTimeout(() => onComplete(id), 600);
-    return () => clearTimeout(timer);
-  }, [id, onComplete]);
-  return <div className="absolute w-3 h-3 rounded-full animate-particle pointer-events-none z-40" style={{ left: x, top: y, backgroundColor: color, '--tx': tx.current, '--ty': ty.current }} />;
+    if (!roomCode) return;
+    const sent = {};
+    const timeouts = new Set();
+    let next = 0;
+    const channel = backend.channel(roomChannelName(roomCode))
+      .on('reaction', (reaction) => {
+        const player = playersRef.current.find(p => p.id === reaction?.player_id && !p.bot);
+        if (!player || !acceptReaction(sent, reaction, moderationRef.current, Date.now())) return;
+        // Somewhere along the bottom, clear of the edges.
+        const entry = { player_id: player.id, nickname: player.nickname, team: player.team, kind: reaction.kind, value: reaction.value, key: next++, x: 5 + Math.random() * 90 };
+        setShown(prev => [...prev, entry].slice(-MAX_SHOWN_REACTIONS));
+        const timeout = setTimeout(() => {
+          timeouts.delete(timeout);
+          setShown(prev => prev.filter(other => other !== entry));
+        }, REACTION_MS);
+        timeouts.add(timeout);
+      })
+      .subscribe();
+    return () => {
+      timeouts.forEach(clearTimeout);
+      channel.unsubscribe();
+    };
+  }, [backend, roomCode]);
+
+  return moderation.reactions ? shown.filter(reaction => !moderation.muted.includes(reaction.player_id)) : [];
+};
+
+// Reactions floating up the screen in their team's colour. With reduced
+// motion they just appear and go.
+const ReactionLayer = ({ reactions, teams }) => {
+  const t = useT();
+  const { reducedMotion } = useContext(AccessibilityContext);
+  return (
+    <div aria-hidden="true" className="fixed inset-0 z-40 pointer-events-none overflow-hidden">
+      {reactions.map(reaction => {
+        const team = teamById(teams, reaction.team);
+        return (
+          <div key={reaction.key} className="absolute bottom-[10%] -translate-x-1/2" style={{ left: `${reaction.x}%` }}>
+            <div className={`flex flex-col items-center ${reducedMotion ? '' : 'animate-float'}`} style={{ '--float-rise': '-60vh', '--float-duration': `${REACTION_MS}ms` }}>
+              {reaction.kind === 'emoji'
+                ? <span className="text-6xl drop-shadow-lg">{reaction.value}</span>
+                : <span className="px-4 py-2 rounded-full text-2xl font-black text-white shadow-lg" style={{ backgroundColor: team.color, ...teamFill(team) }}>{t(`reactions.${reaction.value}`)}</span>}
+              <span className="mt-1 text-sm font-bold drop-shadow" style={{ color: team.color }}><TeamMark team={team} />{reaction.nickname}</span>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
 };
 
 // --- Helper Functions ---
-const assignTeam = async () => {
-  const { count: redCount } = await supabase.from('players').select('*', { count: 'exact', head: true }).eq('team', 'RED');
-  const { count: blueCount } = await supabase.from('players').select('*', { count: 'exact', head: true }).eq('team', 'BLUE');
-  return (redCount || 0) <= (blueCount || 0) ? 'RED' : 'BLUE';
+const assignTeam = async (backend, roomCode, teams) => {
+  const counts = {};
+  for (const team of teams) {
+    const { count } = await backend.count('players', { room_code: roomCode, team: team.id });
+    counts[team.id] = count || 0;
+  }
+  return pickSmallestTeam(teams, counts);
+};
+
+// Best-of-N standings, e.g. "🔥 2 · 💧 1 (best of 5)"
+const SeriesScore = ({ settings, matchScore, className = '' }) => {
+  const t = useT();
+  if (settings.series_length <= 1) return null;
+  return (
+    <div className={`font-mono ${className}`}>
+      {settings.teams.map((team, index) => (
+        <span key={team.id}>
+          {index > 0 && <span className="opacity-40"> · </span>}
+          <span style={{ color: team.color }}><TeamMark team={team} />{team.emoji} {(matchScore || {})[team.id] || 0}</span>
+        </span>
+      ))}
+      <span className="opacity-50"> {t('series.bestOf', { length: settings.series_length, wins: winsNeeded(settings.series_length) })}</span>
+    </div>
+  );
+};
+
+// The player's team against its strongest rival, from the host's snapshots.
+const TeamStanding = ({ teams, teamId, totals }) => {
+  const t = useT();
+  const { score, rival, lead } = teamStanding(totals, teamId);
+  const team = teamById(teams, teamId);
+  const rivalTeam = rival ? teamById(teams, rival.team) : null;
+  const both = score + (rival ? rival.score : 0);
+  return (
+    <div className="w-full">
+      <div className="flex justify-between items-end font-black font-mono text-lg mb-1">
+        <span><TeamMark team={team} />{team.emoji} {score}</span>
+        <span className="text-xs uppercase tracking-widest opacity-80">{lead > 0 ? t('player.ahead') : lead < 0 ? t('player.behind') : t('player.tied')}</span>
+        {rivalTeam && <span>{rival.score} {rivalTeam.emoji} <TeamMark team={rivalTeam} /></span>}
+      </div>
+      <div className="h-3 w-full flex rounded-full overflow-hidden bg-black/30 border border-white/30">
+        <div className="h-full bg-white transition-all duration-300 ease-out" style={{ width: `${both === 0 ? 50 : (score / both) * 100}%` }}></div>
+        {rivalTeam && <div className="h-full flex-1" style={{ backgroundColor: rivalTeam.color, ...teamFill(rivalTeam) }}></div>}
+      </div>
+    </div>
+  );
+};
+
+// "#2 of 5 on Red" (or why there is no place).
+const describePlace = (me, teamSizes, team, t) => {
+  if (!me) return null;
+  if (me.penalty === PENALTIES.DISQUALIFIED) return t('player.disqualified');
+  return t('player.place', { rank: me.rank, size: teamSizes[team.id] || me.rank, team: team.name });
+};
+
+// Whether this phone's taps are reaching the host (see ./tapBuffer.js);
+// labelled by the `connection.<state>` messages.
+const CONNECTION_DOTS = {
+  ONLINE: 'bg-green-400',
+  RETRYING: 'bg-amber-400 animate-pulse',
+  OFFLINE: 'bg-red-500 animate-pulse',
+};
+
+const ConnectionIndicator = ({ connection }) => {
+  const t = useT();
+  return (
+    <div className="absolute top-4 left-4 z-30 pointer-events-none flex items-center gap-2 px-3 py-1 rounded-full bg-black/40 text-xs font-bold text-white">
+      <span className={`w-2 h-2 rounded-full ${CONNECTION_DOTS[connection.state]}`} />
+      {t(`connection.${connection.state}`)}
+      {connection.pending > 0 && connection.state !== CONNECTION.ONLINE && <span className="opacity-70">{t('connection.waiting', { count: connection.pending })}</span>}
+    </div>
+  );
 };
 
 // --- Player View ---
 const PlayerView = () => {
-  const { gameState, supabase } = useContext(GameContext);
-  const [playerState, setPlayerState] = useState({ joined: false, nickname: '', team: null, id: null });
-  const [inputName, setInputName] = useState('');
+  const { gameState, backend, roomCode, roomError, enterRoom } = useContext(GameContext);
+  const [playerState, setPlayerState] = useState({ joined: false, nickname: '', team: null, id: null, roomCode: null });
+  const [inputName, setInputName] = useState(getProfileName);
+  const [inputCode, setInputCode] = useState('');
+  // A message (`{ key, params }`), translated when shown.
+  const [joinError, setJoinError] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [timeLeft, setTimeLeft] = useState(30);
+  const settings = useShownSettings(gameState.settings);
+  const [timeLeft, setTimeLeft] = useState(settings.round_duration);
+  const [countdown, setCountdown] = useState({ countdown: 0, elapsed: Infinity, at: 0 });
+  const [snapshot, setSnapshot] = useState(null);
+  const [liveEvents, setLiveEvents] = useState([]);
+  const [grabbed, setGrabbed] = useState([]);
+  const [myTaps, setMyTaps] = useState({ roundId: null, count: 0 });
+  const [connection, setConnection] = useState({ state: CONNECTION.ONLINE, pending: 0 });
+  const [reactionsPaused, setReactionsPaused] = useState(false);
+  const { reducedMotion } = useContext(AccessibilityContext);
+  const t = useT();
   
   // Visuals
   const [buttonPos, setButtonPos] = useState({ top: '50%', left: '50%' });
   const [isPressed, setIsPressed] = useState(false);
-  const [effects, setEffects] = useState([]);
+  const tapEffectsRef = useRef(null);
   
   const pressTimeoutRef = useRef(null);
-  const clickCountRef = useRef(0);
-  const channelRef = useRef(null);
+  const tapButtonRef = useRef(null);
+  // The latest tap handler, for the keyboard listener.
+  const tapRef = useRef(null);
+  // Taps and their interval stats for the current batch, for the host's autoclicker check
+  const tallyRef = useRef(createTally());
+  // Seals and sends whatever is pending right now (set by the batching effect)
+  const flushNowRef = useRef(null);
+  // Our own "Leave Game" deletes our row too; that is not a kick.
+  const leavingRef = useRef(false);
+  // When our recent reactions went out, for the rate limit (see ./reactions.js).
+  const reactionsSentRef = useRef({});
+  const reactionPauseRef = useRef(null);
+  // The subscribed room channel, for reactions and power-up grabs (set by the live scores effect).
+  const roomChannelRef = useRef(null);
+
+  // A player only counts as joined while they are looking at the room they joined.
+  const joined = playerState.joined && playerState.roomCode === roomCode;
+  const now = useHostClock(backend, joined ? roomCode : null);
 
   // SESSION CHECK (Using sessionStorage to allow resets)
   useEffect(() => {
     const storedId = sessionStorage.getItem('tapwar_id');
     const storedTeam = sessionStorage.getItem('tapwar_team');
     const storedName = sessionStorage.getItem('tapwar_nickname');
-    if (storedId && storedTeam && storedName) {
-      setPlayerState({ joined: true, id: storedId, team: storedTeam, nickname: storedName });
+    const storedRoom = sessionStorage.getItem('tapwar_room');
+    if (storedId && storedTeam && storedName && storedRoom && storedRoom === roomCode) {
+      setPlayerState({ joined: true, id: storedId, team: storedTeam, nickname: storedName, roomCode: storedRoom });
     }
-  }, []);
+  }, [roomCode]);
+
+  // The host can move players between teams (e.g. when the team count
+  // changes), rename them and kick them out of the room
+  useEffect(() => {
+    if (!joined) return;
+    const unsubscribeUpdates = backend.onTableChange('players', { event: 'UPDATE', match: { id: playerState.id } }, (payload) => {
+      if (!payload.new.team || !payload.new.nickname) return;
+      sessionStorage.setItem('tapwar_team', payload.new.team);
+      sessionStorage.setItem('tapwar_nickname', payload.new.nickname);
+      setPlayerState(prev => ({ ...prev, team: payload.new.team, nickname: payload.new.nickname }));
+    });
+    const unsubscribeDeletes = backend.onTableChange('players', { event: 'DELETE', match: { id: playerState.id } }, () => {
+      if (leavingRef.current) return;
+      sessionStorage.clear();
+      setPlayerState({ joined: false, nickname: '', team: null, id: null, roomCode: null });
+      setJoinError({ key: 'player.kicked' });
+    });
+    return () => {
+      unsubscribeUpdates();
+      unsubscribeDeletes();
+    };
+  }, [joined, playerState.id, backend]);
+
+  // Live scores: the host broadcasts a snapshot every second or so
+  useEffect(() => {
+    if (!joined) return;
+    const channel = backend.channel(roomChannelName(roomCode))
+      .on('score-snapshot', setSnapshot)
+      // Chaos events also land in game_state; the broadcast just gets here first.
+      .on('chaos-event', (event) => setLiveEvents(prev => mergeChaosEvents(prev, [event])))
+      .subscribe();
+    roomChannelRef.current = channel;
+    return () => {
+      roomChannelRef.current = null;
+      channel.unsubscribe();
+    };
+  }, [joined, roomCode, backend]);
 
-  // Timer Sync
+  // Timer Sync (on the host's clock, so a skewed phone still stops on time)
   useEffect(() => {
-    if (gameState.status === 'PLAYING' && gameState.round_start_time) {
+    if ((gameState.status === 'COUNTDOWN' || gameState.status === 'PLAYING') && gameState.round_start_time) {
       const interval = setInterval(() => {
-        const start = new Date(gameState.round_start_time).getTime();
-        const now = new Date().getTime();
-        const remaining = Math.max(0, 30 - (now - start) / 1000);
-        setTimeLeft(remaining);
-        if (remaining <= 0) clearInterval(interval);
+        const at = now();
+        const round = roundClock(gameState.round_start_time, settings.round_duration, at);
+        setTimeLeft(round.timeLeft);
+        setCountdown({ countdown: round.countdown, elapsed: round.elapsed, at });
+        if (round.timeLeft <= 0) clearInterval(interval);
       }, 100);
       return () => clearInterval(interval);
     }
-  }, [gameState.status, gameState.round_start_time]);
+  }, [gameState.status, gameState.round_start_time, settings.round_duration, now]);
 
   // Click Batching
+  // The tap batcher (see ./tapBatcher.js) seals each batch with the next
+  // per-round sequence number and keeps sending it over the room channel and
+  // into the `clicks` table until the host has acked it and the insert landed.
   useEffect(() => {
-    if (playerState.joined) {
-      if (gameState.status === 'PLAYING') {
-        channelRef.current = supabase.channel('room1');
-        channelRef.current.subscribe();
-        const intervalId = setInterval(() => {
-          if (clickCountRef.current > 0) {
-            const clicks = clickCountRef.current;
-            clickCountRef.current = 0;
-            channelRef.current.send({
-              type: 'broadcast',
-              event: 'client-click',
-              payload: { team: playerState.team, count: clicks, from: playerState.nickname }
-            });
-          }
-        }, 1000);
-        return () => {
-          clearInterval(intervalId);
-          if (channelRef.current && supabase.removeChannel) supabase.removeChannel(channelRef.current);
-        };
-      } else if (gameState.status === 'FINISHED') {
-        // Final Flush
-        if (clickCountRef.current > 0 && channelRef.current) {
-           const clicks = clickCountRef.current;
-           clickCountRef.current = 0;
-           channelRef.current.send({
-              type: 'broadcast',
-              event: 'client-click',
-              payload: { team: playerState.team, count: clicks, from: playerState.nickname }
-           });
-        }
-      }
-    }
-  }, [playerState.joined, gameState.status, playerState.team]);
+    if (!joined || !gameState.round_id) return;
+    const roundId = gameState.round_id;
+    // Kept in sessionStorage so a reload mid-round does not reuse sequence numbers.
+    const seqKey = `tapwar_seq:${roundId}`;
+    const channel = backend.channel(roomChannelName(roomCode));
+
+    const batcher = createTapBatcher({
+      player: { room_code: roomCode, round_id: roundId, player_id: playerState.id, nickname: playerState.nickname, team: playerState.team, profile_id: getProfileId() },
+      nextSeq: () => {
+        const seq = (Number(sessionStorage.getItem(seqKey)) || 0) + 1;
+        sessionStorage.setItem(seqKey, seq);
+        return seq;
+      },
+      send: (batch) => channel.send('client-click', batch),
+      persist: async (batch) => {
+        const { error } = await backend.insert('clicks', batch).catch(err => ({ error: err }));
+        // 23505 is a unique violation: an earlier attempt already landed.
+        return !error || error.code === '23505';
+      },
+      buffer: loadBuffer(roundId),
+      onChange: (buffer) => saveBuffer(roundId, buffer),
+    });
+
+    const report = () => {
+      const buffer = batcher.buffer();
+      const state = connectionState(buffer, navigator.onLine, Date.now());
+      const pending = buffer.filter(entry => !entry.acked).length;
+      setConnection(prev => (prev.state === state && prev.pending === pending ? prev : { state, pending }));
+    };
+
+    channel
+      .on('click-ack', (ack) => {
+        const seqs = ack.round_id === roundId && ack.acks[playerState.id];
+        if (!seqs) return;
+        batcher.ack(seqs);
+        report();
+      })
+      .subscribe();
+
+    const flush = () => {
+      batcher.flush(tallyRef.current, now(), Date.now());
+      report();
+    };
+    flushNowRef.current = flush;
+    const intervalId = setInterval(flush, settings.batch_interval_ms);
+    // The last batch is sealed right at the whistle, not up to an interval later.
+    const endsAt = gameState.round_start_time ? new Date(gameState.round_start_time).getTime() + settings.round_duration * 1000 : null;
+    const whistleId = endsAt === null ? null : setTimeout(flush, Math.max(0, endsAt - now()));
+    const handleOnline = () => {
+      batcher.resend(Date.now());
+      report();
+    };
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', report);
+    return () => {
+      batcher.stop();
+      flushNowRef.current = null;
+      clearInterval(intervalId);
+      clearTimeout(whistleId);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', report);
+      channel.unsubscribe();
+    };
+  }, [joined, roomCode, gameState.round_id, gameState.round_start_time, settings.round_duration, settings.batch_interval_ms, playerState.id, playerState.team, playerState.nickname, backend, now]);
+
+  // Final Flush: a round decided early (tug of war, first to N) ends before the whistle.
+  useEffect(() => {
+    if (gameState.status === 'FINISHED' && flushNowRef.current) flushNowRef.current();
+  }, [gameState.status]);
 
   const handleJoin = async (e) => {
     e.preventDefault();
     if (!inputName.trim()) return;
+    const code = roomCode || normalizeRoomCode(inputCode);
+    if (!code) return;
     setLoading(true);
+    setJoinError(null);
     try {
-      const assignedTeam = await assignTeam();
-      const { data, error } = await supabase.from('players').insert({ nickname: inputName, team: assignedTeam }).select().single();
-      if (error) throw error;
+      const room = await findRoom(backend, code);
+      if (!room) {
+        setJoinError({ key: 'player.noRoom', params: { code } });
+        return;
+      }
+      const moderation = normalizeModeration(room.moderation);
+      const nickname = cleanNickname(inputName);
+      const problem = nicknameProblem(nickname, moderation);
+      if (problem) {
+        setJoinError(problem);
+        return;
+      }
+      const profileId = getProfileId();
+      if (moderation.kicked.includes(profileId)) {
+        setJoinError({ key: 'player.kicked' });
+        return;
+      }
+      // Coming back under the same name (after closing the tab, say) takes back
+      // the old seat, even in a locked lobby; another name from the same device is a new player.
+      const { data: seat } = await backend.selectOne('players', { room_code: code, profile_id: profileId, nickname });
+      let data = seat;
+      let assignedTeam = seat ? seat.team : null;
+      if (!seat) {
+        if (moderation.locked) {
+          setJoinError({ key: 'player.locked', params: { code } });
+          return;
+        }
+        assignedTeam = await assignTeam(backend, code, normalizeSettings(room.settings).teams);
+        const inserted = await backend.insert('players', { room_code: code, nickname, team: assignedTeam, profile_id: profileId });
+        if (inserted.error) throw inserted.error;
+        data = inserted.data;
+      }
+      setProfileName(nickname);
       
       // Store in Session Storage (Cleared on browser close)
       sessionStorage.setItem('tapwar_id', data.id);
       sessionStorage.setItem('tapwar_team', assignedTeam);
-      sessionStorage.setItem('tapwar_nickname', inputName);
-      setPlayerState({ joined: true, id: data.id, team: assignedTeam, nickname: inputName });
+      sessionStorage.setItem('tapwar_nickname', nickname);
+      sessionStorage.setItem('tapwar_room', code);
+      setPlayerState({ joined: true, id: data.id, team: assignedTeam, nickname, roomCode: code });
+      if (code !== roomCode) enterRoom(code);
     } catch (error) {
       console.error(error);
-      // Alert removed for preview safety, feel free to add back
-      // alert("Join failed. Try again."); 
-      // Mock fallback for preview
-      const assignedTeam = Math.random() > 0.5 ? 'RED' : 'BLUE';
-      setPlayerState({ joined: true, id: 'mock', team: assignedTeam, nickname: inputName });
+      alert(t('player.joinFailed'));
     } finally {
       setLoading(false);
     }
   };
 
   const handleLeave = async () => {
-    if (confirm("Leave game? You will lose your spot.")) {
+    if (confirm(t('player.leaveConfirm'))) {
+        leavingRef.current = true;
         if (playerState.id) {
             // Delete from DB so Host count updates
-            await supabase.from('players').delete().eq('id', playerState.id);
+            await backend.remove('players', { id: playerState.id });
         }
         sessionStorage.clear();
-        setPlayerState({ joined: false, nickname: '', team: null, id: null });
-        setInputName('');
+        setPlayerState({ joined: false, nickname: '', team: null, id: null, roomCode: null });
+        setInputName(getProfileName());
+        leavingRef.current = false;
     }
   };
 
+  const chaosEvents = mergeChaosEvents(gameState.chaos_events || [], liveEvents.filter(event => event.round_id === gameState.round_id));
+
   const handleTap = (e) => {
-    if (gameState.status !== 'PLAYING') return;
-    clickCountRef.current += 1;
+    if (gameState.status !== 'COUNTDOWN' && gameState.status !== 'PLAYING') return;
+    // Only taps between GO and the final whistle count.
+    const at = now();
+    const round = roundClock(gameState.round_start_time, settings.round_duration, at);
+    if (!round.started || round.timeLeft <= 0) return;
+    const multiplier = multiplierAt(chaosEvents, { id: playerState.id, team: playerState.team }, at);
+    // Frozen buttons do nothing; the host would not count these taps anyway.
+    if (multiplier === 0) return;
+    recordTap(tallyRef.current, performance.now());
+    setMyTaps(prev => ({ roundId: gameState.round_id, count: (prev.roundId === gameState.round_id ? prev.count : 0) + 1 }));
     if (navigator.vibrate) navigator.vibrate(5);
+    playTap(multiplier);
 
     setIsPressed(true);
     if (pressTimeoutRef.current) clearTimeout(pressTimeoutRef.current);
     pressTimeoutRef.current = setTimeout(() => setIsPressed(false), 50);
 
-    const touch = e.touches ? e.touches[0] : e;
-    const x = touch ? (touch.clientX || e.clientX) : e.clientX;
-    const y = touch ? (touch.clientY || e.clientY) : e.clientY;
-    
-    const newItems = [{ id: Date.now() + 'num', type: 'number', x, y }];
-    for (let i = 0; i < 8; i++) {
-        newItems.push({ id: Date.now() + 'p' + i, type: 'particle', x, y });
-    }
-    setEffects(prev => [...prev, ...newItems]);
+    // Keys and switches have no pointer position; their effects start from the button.
+    const rect = tapButtonRef.current?.getBoundingClientRect();
+    const x = e.type === 'pointerdown' ? e.clientX : rect ? rect.left + rect.width / 2 : window.innerWidth / 2;
+    const y = e.type === 'pointerdown' ? e.clientY : rect ? rect.top + rect.height / 2 : window.innerHeight / 2;
+
+    if (!reducedMotion && tapEffectsRef.current) tapEffectsRef.current.burst(x, y, multiplier);
 
-    if (timeLeft <= 10 && timeLeft > 0) {
+    if (settings.chaos_jump && !reducedMotion && isChaosTime(timeLeft, settings)) {
       const maxTop = window.innerHeight - 150; 
       const maxLeft = window.innerWidth - 150;
       setButtonPos({ 
@@ -264,352 +838,1872 @@ const PlayerView = () => {
     }
   };
 
-  const removeEffect = (id) => {
-    setEffects(prev => prev.filter(f => f.id !== id));
+  const moderation = normalizeModeration(gameState.moderation);
+  const canReact = moderation.reactions && !moderation.muted.includes(playerState.id);
+
+  const handleReact = (kind, value) => {
+    const now = Date.now();
+    const reaction = { player_id: playerState.id, kind, value };
+    if (!roomChannelRef.current || !acceptReaction(reactionsSentRef.current, reaction, moderation, now)) return;
+    roomChannelRef.current.send('reaction', reaction);
+    // Over the limit: the bar rests until the oldest reaction leaves the window.
+    const readyAt = reactionReadyAt(reactionsSentRef.current[playerState.id], now);
+    if (readyAt <= now) return;
+    setReactionsPaused(true);
+    clearTimeout(reactionPauseRef.current);
+    reactionPauseRef.current = setTimeout(() => setReactionsPaused(false), readyAt - now);
+  };
+
+  useEffect(() => () => clearTimeout(reactionPauseRef.current), []);
+
+  const handleGrab = (event) => {
+    if (grabbed.includes(event.id) || !roomChannelRef.current) return;
+    setGrabbed(prev => [...prev, event.id]);
+    roomChannelRef.current.send('powerup-grab', { event_id: event.id, player_id: playerState.id });
   };
 
-  if (gameState.status === 'FINISHED' && playerState.joined) {
+  useEffect(() => {
+    tapRef.current = handleTap;
+  });
+
+  // Space and Enter tap from anywhere on the tap screen (switch-access devices
+  // usually send these too). Held keys do not repeat: one press, one tap.
+  const tapping = joined && (gameState.status === 'COUNTDOWN' || gameState.status === 'PLAYING');
+  useEffect(() => {
+    if (!tapping) return;
+    const handleKeyDown = (e) => {
+      if (e.key !== ' ' && e.key !== 'Enter') return;
+      // Other buttons (a power-up, say) keep their own keyboard behaviour.
+      if (e.target !== tapButtonRef.current && e.target.closest?.('button, a, input, select, textarea')) return;
+      e.preventDefault();
+      if (!e.repeat) tapRef.current(e);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [tapping]);
+
+  useRoundCues({ active: tapping, countdown, timeLeft, chaos: gameState.status === 'PLAYING' && isChaosTime(timeLeft, settings) });
+
+  // Victory or defeat, as the result screen shows it.
+  const finishedAs = joined && gameState.status === 'FINISHED' && gameState.winner ? (gameState.winner === playerState.team ? 'won' : 'lost') : null;
+  useEffect(() => {
+    if (finishedAs) playSting(finishedAs === 'won');
+  }, [finishedAs]);
+
+  const mode = describeMode(settings, t);
+  const team = teamById(settings.teams, playerState.team);
+  // Snapshots from an earlier round (or a slow host) are ignored.
+  const liveSnapshot = snapshot && snapshot.round_id === gameState.round_id ? snapshot : null;
+  const me = liveSnapshot ? liveSnapshot.players[playerState.id] : null;
+  const tapsThisRound = myTaps.roundId === gameState.round_id ? myTaps.count : 0;
+
+  if (gameState.status === 'FINISHED' && joined) {
     const weWon = playerState.team === gameState.winner;
+    const seriesOver = Boolean(gameState.series_winner);
     return (
-      <div className={`flex flex-col items-center justify-center min-h-screen ${weWon ? 'bg-green-600' : 'bg-gray-900'} text-white transition-colors duration-1000`}>
+      <div className={`flex flex-col items-center justify-center min-h-screen p-6 ${weWon ? 'bg-green-600' : 'bg-gray-900'} text-white transition-colors duration-1000`}>
         <GlobalStyles />
+        {connection.pending > 0 && <ConnectionIndicator connection={connection} />}
         <div className="text-center animate-bounce">
-          <h1 className="text-6xl font-black uppercase mb-4 drop-shadow-xl">{weWon ? 'VICTORY!' : 'DEFEAT'}</h1>
+          <h1 className="text-6xl font-black uppercase mb-4 drop-shadow-xl">{weWon ? t('player.victory') : t('player.defeat')}</h1>
           <p className="text-xl font-bold uppercase tracking-widest opacity-80">
-            {weWon ? 'GLORY TO THE WINNERS!' : 'YOU FOUGHT BRAVELY'}
+            {weWon ? t('player.winners') : t('player.losers')}
           </p>
-          <div className="mt-12 flex flex-col gap-4">
-             <div className="text-sm opacity-50 font-mono">Check Host Screen for MVP</div>
-             <button onClick={handleLeave} className="text-xs text-white/50 underline hover:text-white">Leave Game</button>
+        </div>
+        <div className="text-center w-full max-w-xs">
+          {seriesOver && <p className="mt-6 text-2xl font-black uppercase">{gameState.series_winner === playerState.team ? t('series.won') : t('series.lost')}</p>}
+          <SeriesScore settings={settings} matchScore={gameState.match_score} className="mt-4 text-lg" />
+          <div className="mt-8 bg-black/30 rounded-2xl p-5 space-y-3">
+            <p className="text-xs uppercase tracking-widest opacity-60">{t('player.yourRound')}</p>
+            <p className="text-5xl font-black font-mono">{me ? me.count : tapsThisRound} <span className="text-lg opacity-60">{t('player.taps', { count: me ? me.count : tapsThisRound })}</span></p>
+            {me && <p className="text-sm font-bold">{describePlace(me, liveSnapshot.team_sizes, team, t)}</p>}
+            {liveSnapshot && <TeamStanding teams={settings.teams} teamId={playerState.team} totals={liveSnapshot.totals} />}
           </div>
+          {canReact && <ReactionBar paused={reactionsPaused} onReact={handleReact} />}
+          <button onClick={handleLeave} className="mt-12 text-xs text-white/50 underline hover:text-white">{t('player.leave')}</button>
         </div>
       </div>
     );
   }
 
-  if (gameState.status === 'PLAYING' && playerState.joined) {
-    const isRed = playerState.team === 'RED';
-    const isChaos = timeLeft <= 10;
+  if ((gameState.status === 'COUNTDOWN' || gameState.status === 'PLAYING') && joined) {
+    const isChaos = isChaosTime(timeLeft, settings);
+    const isJumping = isChaos && settings.chaos_jump && !reducedMotion;
+    const beforeGo = countdown.countdown > 0;
+    const activeEvents = chaosEvents.filter(event => isEventActive(event, countdown.at));
+    const frozen = multiplierAt(activeEvents, { id: playerState.id, team: playerState.team }, countdown.at) === 0;
+    const powerUps = chaosEvents.filter(event => isUpForGrabs(event, countdown.at) && !grabbed.includes(event.id));
+    const teamName = (id) => teamById(settings.teams, id).name;
     return (
-      <div className={`fixed inset-0 flex flex-col items-center justify-center ${isRed ? 'bg-red-600' : 'bg-blue-600'} text-white overflow-hidden touch-none select-none`}>
+      <div className="fixed inset-0 flex flex-col items-center justify-center text-white overflow-hidden touch-none select-none" style={{ backgroundColor: team.color, ...teamFill(team) }}>
         <GlobalStyles />
-        <div className="absolute inset-0 pointer-events-none z-30 overflow-hidden">
-          {effects.map(f => (
-            f.type === 'number' ? 
-              <FloatingItem key={f.id} id={f.id} x={f.x} y={f.y} onComplete={removeEffect} className="animate-float">
-                 <span className="text-5xl font-black text-white drop-shadow-md">+1</span>
-              </FloatingItem>
-            : 
-              <Particle key={f.id} id={f.id} x={f.x} y={f.y} color="white" onComplete={removeEffect} />
-          ))}
-        </div>
+        <Countdown countdown={countdown.countdown} elapsed={countdown.elapsed} />
+        <ConnectionIndicator connection={connection} />
+        {!reducedMotion && <TapEffectsCanvas effectsRef={tapEffectsRef} />}
 
         <div className="absolute top-8 text-center z-10 pointer-events-none">
           <div className={`text-6xl font-black drop-shadow-xl font-mono ${isChaos ? 'text-yellow-300 scale-110 duration-75' : ''}`}>
             {timeLeft.toFixed(1)}s
           </div>
-          {isChaos && <div className="text-yellow-300 font-bold animate-pulse mt-2 text-2xl">CHAOS MODE!</div>}
+          {isChaos && <div className="text-yellow-300 font-bold animate-pulse mt-2 text-2xl">{t('chaos.mode')}</div>}
+          {settings.mode !== MODES.CLASSIC && <div className="text-sm font-bold uppercase tracking-widest opacity-70 mt-2">{mode.label}</div>}
+          {activeEvents.map(event => (
+            <div key={event.id} className="mt-2 px-3 py-1 rounded-full bg-black/40 text-lg font-black">
+              {event.type === CHAOS_EVENTS.DOUBLE && event.player_id === playerState.id ? t('chaos.youDouble', { emoji: CHAOS_EVENT_INFO.DOUBLE.emoji }) : describeChaosEvent(event, teamName, t)}
+            </div>
+          ))}
+        </div>
+
+        {frozen && <div className="absolute inset-0 z-10 pointer-events-none bg-cyan-200/40 flex items-end justify-center pb-40"><span className="text-5xl font-black text-cyan-900 drop-shadow">{t('chaos.frozenBanner')}</span></div>}
+
+        {powerUps.map(event => (
+          <button key={event.id} onPointerDown={() => handleGrab(event)} onClick={(e) => e.detail === 0 && handleGrab(event)} aria-label={t(`chaos.grab.${event.type}`)} className="absolute z-40 w-24 h-24 -translate-x-1/2 -translate-y-1/2 rounded-full bg-yellow-300 border-4 border-white text-5xl shadow-xl animate-bounce" style={{ left: `${event.x}%`, top: `${event.y}%` }}>
+            {CHAOS_EVENT_INFO[event.type].emoji}
+          </button>
+        ))}
+
+        <div className="absolute bottom-8 left-6 right-6 z-10 pointer-events-none space-y-3">
+          <div className="flex justify-between items-end font-black">
+            <span className="text-3xl font-mono">{tapsThisRound} <span className="text-sm opacity-70">{t('player.taps', { count: tapsThisRound })}</span></span>
+            {me && <span className="text-sm">{describePlace(me, liveSnapshot.team_sizes, team, t)}</span>}
+          </div>
+          {liveSnapshot && <TeamStanding teams={settings.teams} teamId={playerState.team} totals={liveSnapshot.totals} />}
         </div>
         
+        {/* Keyboard and switch clicks arrive as clicks with no pointer (detail 0); pointer taps already counted on pointerdown. */}
         <button
+          ref={tapButtonRef}
           onPointerDown={handleTap}
+          onClick={(e) => e.detail === 0 && handleTap(e)}
+          aria-label={t('player.tapFor', { team: team.name })}
+          autoFocus
           className="absolute w-64 h-64 rounded-full shadow-[0_10px_0_rgba(0,0,0,0.3)] flex items-center justify-center outline-none -webkit-tap-highlight-color-transparent z-20"
           style={{
-            backgroundColor: isRed ? '#ef4444' : '#3b82f6',
+            backgroundColor: team.color,
+            ...teamFill(team),
             border: '8px solid rgba(255,255,255,0.4)',
-            top: isChaos ? buttonPos.top : '50%',
-            left: isChaos ? buttonPos.left : '50%',
-            transform: isChaos ? 'translate(0, 0)' : 'translate(-50%, -50%) ' + (isPressed ? 'scale(0.92) translateY(10px)' : 'scale(1) translateY(0)'),
+            opacity: beforeGo || frozen ? 0.4 : 1,
+            top: isJumping ? buttonPos.top : '50%',
+            left: isJumping ? buttonPos.left : '50%',
+            transform: isJumping ? 'translate(0, 0)' : 'translate(-50%, -50%) ' + (isPressed ? 'scale(0.92) translateY(10px)' : 'scale(1) translateY(0)'),
             boxShadow: isPressed ? '0 0 0 rgba(0,0,0,0.3), inset 0 0 20px rgba(0,0,0,0.2)' : '0 15px 30px rgba(0,0,0,0.4), inset 0 0 0 rgba(0,0,0,0)',
-            transition: isChaos ? 'none' : 'transform 50ms cubic-bezier(0.175, 0.885, 0.32, 1.275)'
+            transition: isJumping ? 'none' : 'transform 50ms cubic-bezier(0.175, 0.885, 0.32, 1.275)'
           }}
         >
-          <span className="text-8xl select-none pointer-events-none filter drop-shadow-lg scale-110">{isRed ? '🔥' : '💧'}</span>
+          <span className="text-8xl select-none pointer-events-none filter drop-shadow-lg scale-110">{team.emoji}</span>
+          {team.mark && <span aria-hidden="true" className="absolute bottom-6 text-4xl pointer-events-none">{team.mark}</span>}
         </button>
       </div>
     );
   }
 
-  if (playerState.joined) {
-    const isRed = playerState.team === 'RED';
+  if (joined) {
     return (
-      <div className={`flex flex-col items-center justify-center min-h-screen p-6 transition-colors duration-500 ${isRed ? 'bg-red-950 text-red-100' : 'bg-blue-950 text-blue-100'}`}>
+      <div className="flex flex-col items-center justify-center min-h-screen p-6 transition-colors duration-500 text-white" style={{ backgroundColor: '#0a0a0a', backgroundImage: `linear-gradient(${withAlpha(team.color, 0.25)}, ${withAlpha(team.color, 0.25)})` }}>
         <div className="text-center space-y-2 mb-12">
-          <p className="text-sm opacity-60 uppercase tracking-widest">You are fighting for</p>
-          <h1 className={`text-6xl font-black uppercase tracking-tighter ${isRed ? 'text-red-500' : 'text-blue-500'} drop-shadow-lg`}>TEAM {playerState.team}</h1>
+          <p className="text-sm opacity-60 uppercase tracking-widest">{t('player.fightingFor')}</p>
+          <h1 className="text-6xl font-black uppercase tracking-tighter drop-shadow-lg" style={{ color: team.color }}><TeamMark team={team} />{t('player.team', { team: team.name })}</h1>
         </div>
         <div className="w-full max-w-sm bg-black/30 backdrop-blur-sm border border-white/10 rounded-2xl p-8 text-center relative">
-          <div className="w-20 h-20 mx-auto rounded-full bg-white/10 flex items-center justify-center text-3xl mb-4 border-2 border-white/20">{isRed ? '🔥' : '💧'}</div>
+          <div className="w-20 h-20 mx-auto rounded-full bg-white/10 flex items-center justify-center text-3xl mb-4 border-2 border-white/20">{team.emoji}</div>
           <h2 className="text-2xl font-bold mb-2">{playerState.nickname}</h2>
-          <p className="text-sm opacity-60 mb-6">Waiting for host to start...</p>
+          <p className="text-sm opacity-60 mb-6">{t('player.waiting')}</p>
+          <div className="mb-6 space-y-1">
+            <p className="text-sm font-bold uppercase tracking-widest">{mode.label}</p>
+            <p className="text-xs opacity-60">{mode.goal}</p>
+            <p className="text-xs opacity-40 font-mono">{t('player.roundLength', { seconds: settings.round_duration })}{settings.chaos_duration > 0 ? t('player.chaosWindow', { seconds: settings.chaos_duration }) : ''}</p>
+            <SeriesScore settings={settings} matchScore={gameState.match_score} className="text-xs" />
+          </div>
           <button onClick={handleLeave} className="text-xs bg-white/10 hover:bg-white/20 px-4 py-2 rounded-full text-white/70 hover:text-white transition-colors">
-            Leave Game
+            {t('player.leave')}
           </button>
         </div>
+        {canReact && <ReactionBar paused={reactionsPaused} onReact={handleReact} />}
       </div>
     );
   }
 
+  const shownError = joinError || roomError;
   return (
     <div className="flex flex-col items-center justify-center min-h-screen bg-black text-white p-6">
       <div className="mb-8 text-center">
         <h1 className="text-4xl font-black tracking-tighter text-transparent bg-clip-text bg-gradient-to-r from-red-500 to-blue-500 mb-2">TAP WAR</h1>
-        <p className="text-zinc-500 text-sm">Enter your name to join the battle</p>
+        <p className="text-zinc-500 text-sm">{roomCode ? t('player.enterName', { code: roomCode }) : t('player.enterCode')}</p>
       </div>
       <div className="w-full max-w-md bg-zinc-900 border border-zinc-800 rounded-2xl p-6 shadow-2xl">
         <form onSubmit={handleJoin} className="flex flex-col space-y-4">
+          {shownError && <div className="bg-red-950/60 border border-red-900 text-red-300 text-sm rounded-xl px-4 py-3">{t(shownError.key, shownError.params)}</div>}
+          {!roomCode && (
+            <div>
+              <label className="block text-xs font-bold text-zinc-500 uppercase mb-1 ml-1">{t('player.roomCode')}</label>
+              <input type="text" maxLength={5} value={inputCode} onChange={(e) => setInputCode(normalizeRoomCode(e.target.value))} placeholder="ABCDE" autoCapitalize="characters" autoComplete="off" className="w-full bg-zinc-950 border-2 border-zinc-800 text-white text-lg font-mono font-bold tracking-[0.3em] rounded-xl px-4 py-3 focus:outline-none focus:border-blue-500 transition-colors placeholder:text-zinc-700" />
+            </div>
+          )}
           <div>
-            <label className="block text-xs font-bold text-zinc-500 uppercase mb-1 ml-1">Nickname</label>
-            <input type="text" maxLength={12} value={inputName} onChange={(e) => setInputName(e.target.value)} placeholder="e.g. SpeedDemon" className="w-full bg-zinc-950 border-2 border-zinc-800 text-white text-lg font-bold rounded-xl px-4 py-3 focus:outline-none focus:border-red-500 transition-colors placeholder:text-zinc-700" />
+            <label className="block text-xs font-bold text-zinc-500 uppercase mb-1 ml-1">{t('player.nickname')}</label>
+            <input type="text" maxLength={NICKNAME_MAX_LENGTH} value={inputName} onChange={(e) => setInputName(e.target.value)} placeholder={t('player.nicknamePlaceholder')} className="w-full bg-zinc-950 border-2 border-zinc-800 text-white text-lg font-bold rounded-xl px-4 py-3 focus:outline-none focus:border-red-500 transition-colors placeholder:text-zinc-700" />
           </div>
-          <button type="submit" disabled={loading || !inputName} className="w-full bg-white text-black font-black text-xl py-4 rounded-xl hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-all active:scale-95">{loading ? 'JOINING...' : 'JOIN GAME'}</button>
+          <button type="submit" disabled={loading || !inputName || !(roomCode || inputCode)} className="w-full bg-white text-black font-black text-xl py-4 rounded-xl hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-all active:scale-95">{loading ? t('player.joining') : t('player.join')}</button>
         </form>
       </div>
     </div>
   );
 };
 
-const HostView = () => {
-  const { gameState, supabase } = useContext(GameContext);
-  const [players, setPlayers] = useState([]);
-  const [redScore, setRedScore] = useState(0);
-  const [blueScore, setBlueScore] = useState(0);
-  const [timeLeft, setTimeLeft] = useState(30);
-  const [leaderboard, setLeaderboard] = useState({});
-  const [pulseClass, setPulseClass] = useState('');
-
-  const scoresRef = useRef({ red: 0, blue: 0 });
-  const leaderboardRef = useRef({});
-
-  useEffect(() => {
-    const savedScores = localStorage.getItem('tapwar_host_scores');
-    const savedLeaderboard = localStorage.getItem('tapwar_host_leaderboard');
-    if (savedScores) {
-      const parsed = JSON.parse(savedScores);
-      scoresRef.current = parsed;
-      setRedScore(parsed.red);
-      setBlueScore(parsed.blue);
-    }
-    if (savedLeaderboard) {
-      const parsed = JSON.parse(savedLeaderboard);
-      leaderboardRef.current = parsed;
-      setLeaderboard(parsed);
-    }
-  }, []);
-
-  useEffect(() => {
-    supabase.from('players').select().then(({ data }) => { if (data) setPlayers(Array.isArray(data) ? data : []); });
-
-    const dbChannel = supabase.channel('host_db_sync')
-      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'players' }, (payload) => {
-        setPlayers(prev => [...prev, payload.new]);
-      })
-      .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'players' }, (payload) => {
-        // Remove deleted players from the list
-        setPlayers(prev => prev.filter(p => p.id !== payload.old.id));
-      })
-      .subscribe();
+// Tug-of-war: with two teams the knot slides towards whoever is pulling
+// ahead; with more, the bar shows how far the leader is ahead of the runner-up.
+const TugRope = ({ teams, rope, ropeLength, scoreOf, pulseTeam }) => {
+  const t = useT();
+  const pulseStyle = { '--pulse-color': pulseTeam ? teamById(teams, pulseTeam).color : 'white' };
+  if (teams.length === 2) {
+    const [left, right] = teams;
+    const offset = Math.max(-1, Math.min(1, (scoreOf(left.id) - scoreOf(right.id)) / ropeLength));
+    return (
+      <div className={`relative h-24 w-full rounded-2xl overflow-hidden border-4 border-zinc-800 ${pulseTeam ? 'bar-pulse' : ''}`} style={{ ...pulseStyle, backgroundImage: `linear-gradient(to right, ${left.color}, ${withAlpha(left.color, 0.2)} 50%, ${withAlpha(right.color, 0.2)} 50%, ${right.color})` }}>
+        <div className="absolute left-1/2 top-0 bottom-0 w-1 bg-white/20"></div>
+        <div className="absolute top-1/2 left-0 right-0 h-2 -translate-y-1/2 bg-amber-200/60"></div>
+        <div className="absolute top-1/2 w-10 h-10 -translate-x-1/2 -translate-y-1/2 rounded-full bg-white border-4 border-amber-700 transition-all duration-300 ease-out" style={{ left: `${50 - offset * 50}%` }}></div>
+      </div>
+    );
+  }
+  const leader = rope.leader ? teamById(teams, rope.leader) : null;
+  return (
+    <div className={`relative h-24 w-full bg-zinc-900 rounded-2xl overflow-hidden border-4 border-zinc-800 ${pulseTeam ? 'bar-pulse' : ''}`} style={pulseStyle}>
+      {leader && <div className="absolute inset-y-0 left-0 transition-all duration-300 ease-out" style={{ width: `${Math.min(100, (rope.lead / ropeLength) * 100)}%`, backgroundColor: leader.color, ...teamFill(leader) }}></div>}
+      <div className="absolute inset-0 flex items-center justify-center font-black text-2xl">{leader ? <span><TeamMark team={leader} />{`${leader.emoji} ${leader.name} +${rope.lead} / ${ropeLength}`}</span> : t('standings.even')}</div>
+    </div>
+  );
+};
 
-    const gameChannel = supabase.channel('room1')
-      // FIXED: Destructure payload correctly from the event envelope
-      .on('broadcast', { event: 'client-click' }, ({ payload }) => {
-        if (payload.team === 'RED') {
-          setPulseClass('bar-pulse-red');
-          setRedScore(prev => { 
-            const val = prev + (payload.count || 0); 
-            scoresRef.current.red = val; 
-            return val; 
-          });
-        } else {
-          setPulseClass('bar-pulse-blue');
-          setBlueScore(prev => { 
-            const val = prev + (payload.count || 0); 
-            scoresRef.current.blue = val; 
-            return val; 
-          });
-        }
-        setTimeout(() => setPulseClass(''), 200);
+// The lead over the round, one bar per second: above/below the line for two
+// teams, coloured by the team in front. Dashed lines mark lead changes and
+// the shaded band is the chaos window.
+const MomentumChart = ({ timeline, teams, settings }) => {
+  const t = useT();
+  const { points, leadChanges } = momentum(timeline, teams.map(team => team.id));
+  const twoTeams = teams.length === 2;
+  const maxLead = Math.max(1, ...points.map(point => Math.abs(point.signed)));
+  const width = timeline.seconds * 10;
+  const chaosFrom = settings.round_duration - settings.chaos_duration;
+  return (
+    <div className="bg-zinc-900/50 border border-zinc-700 rounded-3xl p-6">
+      <div className="flex justify-between items-baseline mb-4">
+        <h2 className="text-sm font-bold text-zinc-400 uppercase tracking-widest">{t('standings.momentum')}</h2>
+        <span className="text-xs text-zinc-500 font-mono">
+          {t('standings.leadChanges', { count: leadChanges.length })}
+          {settings.chaos_duration > 0 && <span className="ml-3 text-yellow-500/80">{t('standings.chaos')}</span>}
+        </span>
+      </div>
+      <svg viewBox={`0 0 ${width} 100`} preserveAspectRatio="none" className="w-full h-40">
+        {settings.chaos_duration > 0 && chaosFrom < timeline.seconds && (
+          <rect x={chaosFrom * 10} y="0" width={(timeline.seconds - chaosFrom) * 10} height="100" fill="#eab308" fillOpacity="0.12" />
+        )}
+        {points.map(point => {
+          if (!point.leader) return null;
+          const color = teamById(teams, point.leader).color;
+          const height = (Math.abs(point.signed) / maxLead) * (twoTeams ? 48 : 96);
+          const y = twoTeams ? (point.signed > 0 ? 50 - height : 50) : 100 - height;
+          return <rect key={point.second} x={point.second * 10 + 1} y={y} width="8" height={height} fill={color} />;
+        })}
+        {twoTeams && <line x1="0" y1="50" x2={width} y2="50" stroke="#52525b" vectorEffect="non-scaling-stroke" />}
+        {leadChanges.map(second => (
+          <line key={second} x1={second * 10} y1="0" x2={second * 10} y2="100" stroke="white" strokeOpacity="0.6" strokeDasharray="4 3" vectorEffect="non-scaling-stroke" />
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-zinc-500 font-mono mt-1">
+        <span>0s</span>
+        {twoTeams && <span>{t('standings.upDown', { up: teams[0].emoji, down: teams[1].emoji })}</span>}
+        <span>{timeline.seconds}s</span>
+      </div>
+    </div>
+  );
+};
 
-        const name = payload.from || 'Unknown';
-        if (!leaderboardRef.current[name]) leaderboardRef.current[name] = 0;
-        leaderboardRef.current[name] += (payload.count || 0);
-        
-        setLeaderboard({...leaderboardRef.current});
-        localStorage.setItem('tapwar_host_scores', JSON.stringify(scoresRef.current));
-        localStorage.setItem('tapwar_host_leaderboard', JSON.stringify(leaderboardRef.current));
-      })
-      .subscribe();
+// Taps per second over the round for one player.
+const Sparkline = ({ series, color }) => {
+  const max = Math.max(1, ...series);
+  const points = series.map((value, second) => `${series.length === 1 ? 50 : (second / (series.length - 1)) * 100},${30 - (value / max) * 28}`).join(' ');
+  return (
+    <svg viewBox="0 0 100 30" preserveAspectRatio="none" className="w-full h-8 mt-3">
+      <polyline points={points} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
 
-    return () => {
-      if (supabase.removeChannel) {
-        supabase.removeChannel(dbChannel);
-        supabase.removeChannel(gameChannel);
-      }
-    };
-  }, []);
+// Spelled out so Tailwind picks the classes up.
+const TEAM_GRID_COLUMNS = {
+  2: 'md:grid-cols-2',
+  3: 'md:grid-cols-3',
+  4: 'md:grid-cols-2 lg:grid-cols-4',
+  5: 'md:grid-cols-3 lg:grid-cols-5',
+  6: 'md:grid-cols-3 lg:grid-cols-6',
+};
 
-  useEffect(() => {
-    if (gameState.status === 'PLAYING' && gameState.round_start_time) {
-      const interval = setInterval(() => {
-        const start = new Date(gameState.round_start_time).getTime();
-        const now = new Date().getTime();
-        const elapsed = (now - start) / 1000;
-        const remaining = Math.max(0, 30 - elapsed);
-        
-        setTimeLeft(remaining);
+// One column per team listing who has joined; `renderPlayer` draws each entry.
+const TeamRosters = ({ teams, players, renderPlayer, className = '' }) => {
+  const t = useT();
+  return (
+    <main className={`grid grid-cols-1 ${TEAM_GRID_COLUMNS[teams.length]} gap-8 w-full max-w-6xl flex-grow ${className}`}>
+      {teams.map(team => {
+        const teamPlayers = players.filter(p => p.team === team.id);
+        return (
+          <div key={team.id} className="bg-zinc-900/30 border rounded-xl flex flex-col relative overflow-hidden h-[40vh]" style={{ borderColor: withAlpha(team.color, 0.3) }}>
+            <div className="absolute top-0 left-0 w-full h-1" style={{ backgroundColor: team.color, ...teamFill(team) }}></div>
+            <div className="p-4 bg-zinc-900/80 border-b flex justify-between items-center backdrop-blur-sm" style={{ borderColor: withAlpha(team.color, 0.2) }}><h2 className="text-xl font-black uppercase italic truncate" style={{ color: team.color }}><TeamMark team={team} />{team.emoji} {t('standings.team', { team: team.name })}</h2><span className="px-3 py-1 rounded text-sm font-mono shrink-0" style={{ color: team.color, backgroundColor: withAlpha(team.color, 0.15) }}>{t('standings.joined', { count: teamPlayers.length })}</span></div>
+            <div className="flex-grow overflow-y-auto p-4 space-y-2 scrollbar-hide"><div className="grid grid-cols-2 gap-2">{teamPlayers.map(p => renderPlayer(p, team))}</div></div>
+          </div>
+        );
+      })}
+    </main>
+  );
+};
 
-        if (remaining <= 0) {
-          clearInterval(interval);
-          finishGame();
-        }
-      }, 100);
-      return () => clearInterval(interval);
-    }
-  }, [gameState.status, gameState.round_start_time]);
+// The race while it is on: the bar for the round's mode, team ranks and the
+// round's chaos events. `at` is when the view last ticked, on the host's clock.
+const LiveStandings = ({ teams, settings, scores, pulseTeam, chaosEvents, at }) => {
+  const t = useT();
+  const scoreOf = (teamId) => scores[teamId] || 0;
+  const totalScore = teams.reduce((sum, team) => sum + scoreOf(team.id), 0);
+  const rankedTeams = rankTeams(Object.fromEntries(teams.map(team => [team.id, scoreOf(team.id)])));
+  const rope = ropePosition(Object.fromEntries(teams.map(team => [team.id, scoreOf(team.id)])));
+  const teamName = (id) => teamById(teams, id).name;
+  return (
+    <div className="w-full max-w-6xl mb-12 animate-in fade-in zoom-in duration-500">
+      <div className="flex justify-between mb-2 font-black text-4xl uppercase tracking-tighter">
+        {teams.map(team => (
+          <span key={team.id} className={`${pulseTeam === team.id ? 'scale-110' : ''} transition-transform duration-75`} style={{ color: team.color }}><TeamMark team={team} />{scoreOf(team.id)}</span>
+        ))}
+      </div>
+      {settings.mode === MODES.TUG_OF_WAR ? (
+        <TugRope teams={teams} rope={rope} ropeLength={settings.rope_length} scoreOf={scoreOf} pulseTeam={pulseTeam} />
+      ) : settings.mode === MODES.FIRST_TO ? (
+        <div className="space-y-3">
+          {teams.map(team => (
+            <div key={team.id} className="relative h-10 w-full bg-zinc-900 rounded-xl overflow-hidden border-2 border-zinc-800">
+              <div className="absolute inset-y-0 left-0 transition-all duration-300 ease-out" style={{ width: `${Math.min(100, (scoreOf(team.id) / settings.target) * 100)}%`, ...teamFill(team, `linear-gradient(to right, ${withAlpha(team.color, 0.45)}, ${team.color})`) }}></div>
+              <div className="absolute inset-0 flex items-center justify-between px-4 font-black">
+                <span><TeamMark team={team} />{team.emoji} {team.name}</span>
+                <span className="font-mono">{scoreOf(team.id)} / {settings.target}</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+      <div className={`relative h-24 w-full flex bg-zinc-900 rounded-2xl overflow-hidden border-4 border-zinc-800 shadow-[0_0_50px_rgba(0,0,0,0.5)] ${pulseTeam ? 'bar-pulse' : ''} transition-all duration-100`} style={{ '--pulse-color': pulseTeam ? teamById(teams, pulseTeam).color : 'white' }}>
+        {teams.map((team, index) => (
+          <div key={team.id} className="relative h-full transition-all duration-300 ease-out" style={{ width: `${totalScore === 0 ? 100 / teams.length : (scoreOf(team.id) / totalScore) * 100}%`, ...teamFill(team, `linear-gradient(to right, ${withAlpha(team.color, 0.45)}, ${team.color})`) }}>
+            {index < teams.length - 1 && <div className="absolute right-0 top-0 bottom-0 w-1 bg-white/50 animate-pulse"></div>}
+          </div>
+        ))}
+      </div>
+      )}
+      <ol className="flex flex-wrap justify-center gap-6 mt-4 font-mono text-lg">
+        {rankedTeams.map(({ team: teamId, score }, index) => {
+          const team = teamById(teams, teamId);
+          return <li key={teamId} style={{ color: team.color }}><span className="text-zinc-500">#{index + 1}</span> <TeamMark team={team} />{team.emoji} {team.name} {score}</li>;
+        })}
+      </ol>
+      {chaosEvents.length > 0 && (
+        <ul className="flex flex-wrap justify-center gap-3 mt-6">
+          {chaosEvents.map(event => {
+            const active = isEventActive(event, at) || isUpForGrabs(event, at);
+            return (
+              <li key={event.id} className={`px-4 py-2 rounded-full border font-bold transition-all ${active ? 'bg-yellow-400 text-black border-yellow-200 scale-110 animate-pulse' : 'bg-zinc-900 text-zinc-500 border-zinc-800'}`}>
+                {describeChaosEvent(event, teamName, t)}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Winner, final scores, the momentum chart and the round's top three.
+const RoundResults = ({ teams, settings, gameState, scores, leaderboard, timeline }) => {
+  const t = useT();
+  const rankedTeams = rankTeams(Object.fromEntries(teams.map(team => [team.id, scores[team.id] || 0])));
+  const winnerTeam = gameState.winner && gameState.winner !== 'DRAW' ? teamById(teams, gameState.winner) : null;
+  const seriesWinnerTeam = gameState.series_winner ? teamById(teams, gameState.series_winner) : null;
+  // Bots are never MVP, so they are left off the podium.
+  const sortedPlayers = leaderboard.filter(player => !player.bot).slice(0, 3);
+  return (
+    <div className="w-full max-w-6xl mb-12 flex flex-col gap-8 animate-in zoom-in duration-500">
+      <div className="py-12 bg-zinc-900/50 border border-zinc-700 rounded-3xl text-center">
+        <h2 className="text-2xl text-zinc-400 uppercase tracking-widest mb-4">{t('standings.winner')}</h2>
+        <h1 className="text-9xl font-black uppercase tracking-tighter drop-shadow-[0_0_30px_rgba(255,255,255,0.2)] text-gray-400" style={winnerTeam ? { color: winnerTeam.color } : undefined}>{winnerTeam ? <><TeamMark team={winnerTeam} />{t('player.team', { team: winnerTeam.name })}</> : t('standings.draw')}</h1>
+        {seriesWinnerTeam && <h2 className="text-3xl font-black uppercase mt-4" style={{ color: seriesWinnerTeam.color }}>{t('series.takes', { emoji: seriesWinnerTeam.emoji })}</h2>}
+        <SeriesScore settings={settings} matchScore={gameState.match_score} className="text-xl mt-4" />
+        <div className="flex flex-wrap justify-center gap-x-12 gap-y-4 mt-8 text-4xl font-mono">
+          {rankedTeams.map(({ team: teamId, score }) => {
+            const team = teamById(teams, teamId);
+            return <div key={teamId} style={{ color: team.color }}><TeamMark team={team} />{team.emoji} {team.name}: {score}</div>;
+          })}
+        </div>
+      </div>
+      {timeline && <MomentumChart timeline={timeline} teams={teams} settings={settings} />}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {sortedPlayers.map(({ id, nickname: name, team: teamId, count: score }, index) => (
+          <div key={id} className={`bg-zinc-800/80 rounded-2xl p-6 border-2 flex flex-col items-center shadow-xl transform ${index === 0 ? 'scale-110 border-yellow-500 z-10' : index === 1 ? 'border-gray-400' : 'border-orange-700'}`}>
+            <div className="text-4xl mb-2">{index === 0 ? '👑' : index === 1 ? '🥈' : '🥉'}</div>
+            <div className="text-2xl font-bold truncate max-w-full">{name}</div>
+            <div className="text-zinc-400 font-mono text-xl">{t('standings.clicks', { count: score })}</div>
+            {timeline && timeline.players[id] && <Sparkline series={timeline.players[id]} color={teamById(teams, teamId).color} />}
+          </div>
+        ))}
+        {sortedPlayers.length === 0 && <div className="col-span-3 text-center text-zinc-500 py-8 italic">{t('standings.noClicks')}</div>}
+      </div>
+    </div>
+  );
+};
+
+// The round's best tappers so far, from the running top list (see ./ingest.js).
+const LIVE_LEADERS = 5;
+const LiveLeaders = ({ leaderboard, teams }) => {
+  const t = useT();
+  if (leaderboard.length === 0) return null;
+  return (
+    <section className="w-full max-w-6xl mt-6">
+      <h2 className="text-xs text-zinc-500 uppercase tracking-widest mb-2">{t('host.topTappers')}</h2>
+      <ol className="flex flex-wrap gap-2">
+        {leaderboard.slice(0, LIVE_LEADERS).map(({ id, nickname, team: teamId, bot, count }, index) => {
+          const team = teamById(teams, teamId);
+          return (
+            <li key={id} className="px-3 py-1 rounded-full border text-sm font-bold" style={{ borderColor: withAlpha(team.color, 0.5), color: team.color }}>
+              {index + 1}. {bot && <BotMark />}{nickname} <span className="font-mono text-white">{count}</span>
+            </li>
+          );
+        })}
+      </ol>
+    </section>
+  );
+};
+
+// How well the host keeps up with the room's batches; amber when they land late.
+const INGEST_LAG_WARNING_MS = 1500;
+const IngestMeter = ({ stats, className = '' }) => {
+  const t = useT();
+  if (!stats) return null;
+  const behind = stats.lagMs !== null && stats.lagMs > INGEST_LAG_WARNING_MS;
+  return (
+    <p className={`font-mono ${behind ? 'text-amber-500' : 'text-zinc-500'} ${className}`}>
+      {t('host.ingestRate', { count: stats.rate })}
+      {stats.lagMs !== null && ` · ${t('host.ingestLag', { ms: stats.lagMs })}`}
+      {stats.queued > 0 && ` · ${t('host.ingestQueued', { count: stats.queued })}`}
+    </p>
+  );
+};
+
+const FlaggedPlayers = ({ suspects, teams, penaltyOf, onPenalty }) => {
+  const t = useT();
+  if (suspects.length === 0) return null;
+  return (
+    <section className="w-full max-w-6xl mb-8 bg-amber-950/30 border border-amber-800/50 rounded-xl p-4">
+      <h2 className="text-sm font-bold text-amber-400 uppercase tracking-widest mb-3">{t('flags.title')}</h2>
+      <div className="space-y-2">
+        {suspects.map(s => {
+          const penalty = penaltyOf(s.id);
+          return (
+            <div key={s.id} className="flex flex-wrap items-center gap-3 bg-black/40 rounded-lg px-3 py-2 text-sm">
+              <span className="font-mono font-bold" style={{ color: teamById(teams, s.team).color }}>{s.nickname}</span>
+              {s.rejected > 0 && <span className="text-zinc-500 font-mono">{t('flags.rejected', { count: s.rejected })}</span>}
+              <span className="flex-grow text-amber-200/80">{s.reasons.map(r => describeFlagReason(r, t)).join(' · ')}</span>
+              {penalty && <span className="text-xs font-bold text-amber-400">{t(`flags.${penalty}`)}</span>}
+              <button onClick={() => onPenalty(s.id, PENALTIES.DISCOUNTED)} disabled={penalty === PENALTIES.DISCOUNTED} className="text-xs bg-amber-900/50 text-amber-200 px-3 py-1 rounded hover:bg-amber-800 disabled:opacity-40">{t('flags.discount')}</button>
+              <button onClick={() => onPenalty(s.id, PENALTIES.DISQUALIFIED)} disabled={penalty === PENALTIES.DISQUALIFIED} className="text-xs bg-red-900/50 text-red-300 px-3 py-1 rounded hover:bg-red-800 disabled:opacity-40">{t('flags.disqualify')}</button>
+              {penalty && <button onClick={() => onPenalty(s.id, null)} className="text-xs text-zinc-400 underline hover:text-white">{t('flags.clear')}</button>}
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+};
+
+// Start / next round / force finish, whichever fits the room's status.
+const RoundControls = ({ gameState, settings, playerCount, timeLeft, seriesStarted, onStart, onReset, onFinish, onResetSeries, onCloseRoom }) => {
+  const t = useT();
+  if (gameState.status === 'LOBBY') {
+    return (
+      <div className="flex flex-col items-center gap-3">
+        <button onClick={onStart} disabled={playerCount === 0} className="px-12 py-4 bg-white text-black font-black text-xl rounded-full disabled:opacity-50 disabled:cursor-not-allowed hover:scale-105 active:scale-95 transition-all shadow-[0_0_20px_rgba(255,255,255,0.3)]">
+          {t('controls.start')} {playerCount === 0 ? t('controls.waitingForPlayers') : t('controls.ready', { count: playerCount })}
+        </button>
+        <div className="flex gap-4">
+          {seriesStarted && <button onClick={onResetSeries} className="text-xs text-zinc-500 underline hover:text-white">{t('controls.resetSeries')}</button>}
+          <button onClick={onCloseRoom} className="text-xs text-zinc-500 underline hover:text-white">{t('controls.closeRoom')}</button>
+        </div>
+      </div>
+    );
+  }
+  if (gameState.status === 'FINISHED') {
+    return (
+      <button onClick={onReset} className="px-12 py-4 bg-white text-black font-black text-xl rounded-full hover:scale-105 active:scale-95 transition-all shadow-[0_0_20px_rgba(255,255,255,0.3)]">
+        {settings.series_length > 1 && !gameState.series_winner ? t('controls.nextRound') : t('controls.playAgain')}
+      </button>
+    );
+  }
+  return (
+    <div className="flex flex-col items-center gap-2">
+      <div className="text-2xl font-bold animate-pulse text-green-500">{t('controls.inProgress')}</div>
+      {timeLeft <= 5 && (
+        <button onClick={onFinish} className="text-xs bg-red-900/50 text-red-300 px-3 py-1 rounded hover:bg-red-800">
+          {t('controls.forceFinish')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+const RoundSettingsPanel = ({ settings, onChange }) => {
+  const t = useT();
+  const selectClass = "bg-zinc-950 border border-zinc-700 rounded-lg px-3 py-2 font-mono text-white focus:outline-none focus:border-white";
+  return (
+    <section className="w-full max-w-6xl mt-8 bg-zinc-900/50 border border-zinc-800 rounded-xl p-4">
+      <h2 className="text-sm font-bold text-zinc-400 uppercase tracking-widest mb-4">{t('settings.title')}</h2>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-4">
+        <label className="flex flex-col gap-1">
+          <span className="text-zinc-500">{t('settings.mode')}</span>
+          <select value={settings.mode} onChange={(e) => onChange('mode', e.target.value)} className={selectClass}>
+            {SETTING_OPTIONS.mode.map(v => <option key={v} value={v}>{describeMode({ ...settings, mode: v }, t).label}</option>)}
+          </select>
+        </label>
+        {settings.mode === MODES.TUG_OF_WAR && (
+          <label className="flex flex-col gap-1">
+            <span className="text-zinc-500">{t('settings.ropeLength')}</span>
+            <select value={settings.rope_length} onChange={(e) => onChange('rope_length', Number(e.target.value))} className={selectClass}>
+              {SETTING_OPTIONS.rope_length.map(v => <option key={v} value={v}>{t('settings.taps', { count: v })}</option>)}
+            </select>
+          </label>
+        )}
+        {settings.mode === MODES.FIRST_TO && (
+          <label className="flex flex-col gap-1">
+            <span className="text-zinc-500">{t('settings.target')}</span>
+            <select value={settings.target} onChange={(e) => onChange('target', Number(e.target.value))} className={selectClass}>
+              {SETTING_OPTIONS.target.map(v => <option key={v} value={v}>{t('settings.taps', { count: v })}</option>)}
+            </select>
+          </label>
+        )}
+        <label className="flex flex-col gap-1">
+          <span className="text-zinc-500">{t('settings.series')}</span>
+          <select value={settings.series_length} onChange={(e) => onChange('series_length', Number(e.target.value))} className={selectClass}>
+            {SETTING_OPTIONS.series_length.map(v => <option key={v} value={v}>{v === 1 ? t('settings.singleRound') : t('settings.bestOf', { count: v })}</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+        <label className="flex flex-col gap-1">
+          <span className="text-zinc-500">{t('settings.duration')}</span>
+          <select value={settings.round_duration} onChange={(e) => onChange('round_duration', Number(e.target.value))} className={selectClass}>
+            {SETTING_OPTIONS.round_duration.map(v => <option key={v} value={v}>{t('settings.seconds', { count: v })}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-zinc-500">{t('settings.chaosWindow')}</span>
+          <select value={settings.chaos_duration} onChange={(e) => onChange('chaos_duration', Number(e.target.value))} className={selectClass}>
+            {SETTING_OPTIONS.chaos_duration.filter(v => v <= settings.round_duration).map(v => <option key={v} value={v}>{v === 0 ? t('settings.off') : t('settings.lastSeconds', { count: v })}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-zinc-500">{t('settings.batchInterval')}</span>
+          <select value={settings.batch_interval_ms} onChange={(e) => onChange('batch_interval_ms', Number(e.target.value))} className={selectClass}>
+            {SETTING_OPTIONS.batch_interval_ms.map(v => <option key={v} value={v}>{t('settings.milliseconds', { count: v })}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-3 self-end py-2">
+          <input type="checkbox" checked={settings.chaos_jump} onChange={(e) => onChange('chaos_jump', e.target.checked)} className="w-5 h-5 accent-white" />
+          <span className="text-zinc-300">{t('settings.chaosJump')}</span>
+        </label>
+        <label className="flex items-center gap-3 self-end py-2">
+          <input type="checkbox" checked={settings.chaos_events} onChange={(e) => onChange('chaos_events', e.target.checked)} className="w-5 h-5 accent-white" />
+          <span className="text-zinc-300">{t('settings.chaosEvents')}</span>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-zinc-500">{t('settings.language')}</span>
+          <select value={settings.locale || ''} onChange={(e) => onChange('locale', e.target.value || null)} className={selectClass}>
+            <option value="">{t('settings.languageAuto')}</option>
+            {Object.entries(LOCALES).map(([code, { name }]) => <option key={code} value={code}>{name}</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="mt-6 flex items-center gap-3 text-sm">
+        <span className="text-zinc-500">{t('settings.teams')}</span>
+        <select value={settings.teams.length} onChange={(e) => onChange('teams', resizeTeams(settings.teams, Number(e.target.value)))} className={selectClass}>
+          {Array.from({ length: MAX_TEAMS - MIN_TEAMS + 1 }, (_, i) => MIN_TEAMS + i).map(v => <option key={v} value={v}>{v}</option>)}
+        </select>
+      </div>
+      <div className="mt-3 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3 text-sm">
+        {settings.teams.map((team, index) => {
+          const editTeam = (patch) => onChange('teams', settings.teams.map((other, i) => (i === index ? { ...other, ...patch } : other)));
+          // Text fields commit on blur; keyed by the stored value so they reset when it changes.
+          return (
+            <div key={team.id} className="flex items-center gap-2 bg-black/40 rounded-lg p-2 border" style={{ borderColor: withAlpha(team.color, 0.4) }}>
+              <input key={`emoji-${team.emoji}`} defaultValue={team.emoji} maxLength={8} onBlur={(e) => e.target.value !== team.emoji && editTeam({ emoji: e.target.value })} aria-label={t('settings.teamEmoji', { index: index + 1 })} className="w-12 text-center bg-zinc-950 border border-zinc-700 rounded-lg py-2 text-xl" />
+              <input key={`name-${team.name}`} defaultValue={team.name} maxLength={16} onBlur={(e) => e.target.value !== team.name && editTeam({ name: e.target.value })} aria-label={t('settings.teamName', { index: index + 1 })} className="flex-grow min-w-0 bg-zinc-950 border border-zinc-700 rounded-lg px-3 py-2 font-bold text-white" />
+              <input type="color" value={team.color} onChange={(e) => editTeam({ color: e.target.value })} aria-label={t('settings.teamColour', { index: index + 1 })} className="w-10 h-10 bg-transparent border-0 cursor-pointer" />
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+};
+
+// Kicked players and the room's own blocked nickname words (see ./moderation.js).
+const ModerationPanel = ({ moderation, onChange }) => {
+  const t = useT();
+  return (
+    <section className="w-full max-w-6xl mt-8 bg-zinc-900/50 border border-zinc-800 rounded-xl p-4 text-sm">
+      <h2 className="text-sm font-bold text-zinc-400 uppercase tracking-widest mb-4">{t('moderation.title')}</h2>
+      {moderation.kicked.length > 0 && (
+        <p className="text-zinc-500 mb-4">
+          {t('moderation.kicked', { count: moderation.kicked.length })}
+          <button onClick={() => onChange({ kicked: [] })} className="ml-3 text-xs underline hover:text-white">{t('moderation.letBack')}</button>
+        </p>
+      )}
+      <label className="flex flex-col gap-1">
+        <span className="text-zinc-500">{t('moderation.blocklist')}</span>
+        {/* Commits on blur; keyed by the stored list so it resets when that changes. */}
+        <textarea key={moderation.blocklist.join(',')} defaultValue={moderation.blocklist.join(', ')} onBlur={(e) => onChange({ blocklist: parseBlocklist(e.target.value) })} rows={2} className="bg-zinc-950 border border-zinc-700 rounded-lg px-3 py-2 font-mono text-white focus:outline-none focus:border-white" />
+      </label>
+    </section>
+  );
+};
+
+// Bots to fill empty seats or even out the teams (see ./bots.js). New bots
+// get the skill profile set here; `team` '' means the smallest team.
+const BotsPanel = ({ teams, players, onAdd, onRemoveAll }) => {
+  const t = useT();
+  const [skill, setSkill] = useState(BOT_SKILLS[DEFAULT_BOT_SKILL]);
+  const [team, setTeam] = useState('');
+  const [busy, setBusy] = useState(false);
+  const selectClass = "bg-zinc-950 border border-zinc-700 rounded-lg px-3 py-2 font-mono text-white focus:outline-none focus:border-white";
+  const preset = botSkillPreset(skill);
+  const bots = players.filter(p => p.bot);
+  const balance = botsToBalance(teams, players);
+  const editSkill = (field, value) => setSkill(prev => normalizeBotSkill({ ...prev, [field]: value }));
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } finally {
+      setBusy(false);
+    }
+  };
+  // Number fields commit on blur; keyed by the stored value so they reset when it changes.
+  const percentField = (field, max) => (
+    <label className="flex flex-col gap-1">
+      <span className="text-zinc-500">{t(`bots.${field}`)}</span>
+      <input key={`${field}-${skill[field]}`} type="number" min={0} max={max * 100} step={5} defaultValue={Math.round(skill[field] * 100)} onBlur={(e) => editSkill(field, Number(e.target.value) / 100)} className={selectClass} />
+    </label>
+  );
+  return (
+    <section className="w-full max-w-6xl mt-8 bg-zinc-900/50 border border-zinc-800 rounded-xl p-4 text-sm">
+      <h2 className="text-sm font-bold text-zinc-400 uppercase tracking-widest mb-1">{t('bots.title')}</h2>
+      <p className="text-zinc-500 mb-4">{t('bots.hint')}</p>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+        <label className="flex flex-col gap-1">
+          <span className="text-zinc-500">{t('bots.skill')}</span>
+          <select value={preset || ''} onChange={(e) => e.target.value && setSkill(BOT_SKILLS[e.target.value])} className={selectClass}>
+            {Object.keys(BOT_SKILLS).map(key => <option key={key} value={key}>{t(`bots.${key}`)}</option>)}
+            {!preset && <option value="">{t('bots.custom')}</option>}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-zinc-500">{t('bots.taps_per_second')}</span>
+          <input key={`rate-${skill.taps_per_second}`} type="number" min={1} max={MAX_BOT_TAPS_PER_SECOND} step={0.5} defaultValue={skill.taps_per_second} onBlur={(e) => editSkill('taps_per_second', e.target.value)} className={selectClass} />
+        </label>
+        {percentField('burstiness', MAX_BOT_BURSTINESS)}
+        {percentField('fatigue', MAX_BOT_FATIGUE)}
+        <label className="flex flex-col gap-1">
+          <span className="text-zinc-500">{t('bots.team')}</span>
+          <select value={team} onChange={(e) => setTeam(e.target.value)} className={selectClass}>
+            <option value="">{t('bots.smallestTeam')}</option>
+            {teams.map(option => <option key={option.id} value={option.id}>{option.emoji} {option.name}</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        <button onClick={() => run(() => onAdd(skill, [team || null]))} disabled={busy} className="bg-white text-black font-bold px-4 py-2 rounded-lg hover:bg-gray-200 disabled:opacity-50">{t('bots.add')}</button>
+        <button onClick={() => run(() => onAdd(skill, balance))} disabled={busy || balance.length === 0} className="border border-zinc-700 text-zinc-300 px-4 py-2 rounded-lg hover:text-white disabled:opacity-40">{t('bots.balance', { count: balance.length })}</button>
+        {bots.length > 0 && <button onClick={() => run(onRemoveAll)} disabled={busy} className="text-xs text-zinc-400 underline hover:text-white disabled:opacity-40">{t('bots.removeAll', { count: bots.length })}</button>}
+      </div>
+    </section>
+  );
+};
+
+// A player in the host's team columns, with the host's moderation actions.
+// Team moves are lobby-only: a batch carries the team it was tapped for.
+// `muted` is whether their reactions are muted, or null when that does not apply.
+const PlayerChip = ({ player, team, teams, canMove, muted, onRename, onMove, onMute, onKick }) => {
+  const t = useT();
+  return (
+    <div className="border rounded px-3 py-2 text-zinc-200 font-mono text-xs" style={{ backgroundColor: withAlpha(team.color, 0.15), borderColor: withAlpha(team.color, 0.2) }}>
+      <div className="truncate">{player.bot && <BotMark skill={player.bot} />}{player.nickname}</div>
+      <div className="mt-1 flex items-center gap-1 opacity-50 hover:opacity-100 focus-within:opacity-100 transition-opacity">
+        {canMove && teams.length > 1 && (
+          <select value={team.id} onChange={(e) => onMove(e.target.value)} aria-label={t('moderation.moveTo', { nickname: player.nickname })} className="min-w-0 flex-grow bg-zinc-950 border border-zinc-700 rounded px-1">
+            {teams.map(option => <option key={option.id} value={option.id}>{option.emoji} {option.name}</option>)}
+          </select>
+        )}
+        <button onClick={onRename} title={t('moderation.rename')} aria-label={t('moderation.renameLabel', { nickname: player.nickname })} className="px-1 hover:text-white">✎</button>
+        {muted !== null && (
+          <button onClick={onMute} title={muted ? t('moderation.unmute') : t('moderation.mute')} aria-label={t(muted ? 'moderation.unmuteLabel' : 'moderation.muteLabel', { nickname: player.nickname })} aria-pressed={muted} className={`px-1 hover:text-white ${muted ? 'text-amber-400' : ''}`}>{muted ? '🔇' : '💬'}</button>
+        )}
+        <button onClick={onKick} title={t('moderation.kick')} aria-label={t('moderation.kickLabel', { nickname: player.nickname })} className="px-1 hover:text-red-400">✕</button>
+      </div>
+    </div>
+  );
+};
+
+// Lifetime stats of every profile that has finished a round (see ./profiles.js).
+const AllTimeLeaderboard = ({ onClose }) => {
+  const { backend } = useContext(GameContext);
+  const t = useT();
+  const [sortBy, setSortBy] = useState('total_taps');
+  const [rows, setRows] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadLeaderboard(backend, sortBy)
+      .then(setRows)
+      .catch(() => setError('leaderboard.failed'));
+  }, [backend, sortBy]);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/90 backdrop-blur-sm flex items-start justify-center p-8 overflow-y-auto">
+      <div className="w-full max-w-4xl bg-zinc-900 border border-zinc-800 rounded-2xl p-6">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-black uppercase tracking-tight">{t('leaderboard.title')}</h2>
+          <button onClick={onClose} className="text-sm text-zinc-400 underline hover:text-white">{t('app.close')}</button>
+        </div>
+        {error && <p className="text-red-400 text-sm">{t(error)}</p>}
+        {!error && !rows && <p className="text-zinc-500 text-sm">{t('app.loading')}</p>}
+        {rows && rows.length === 0 && <p className="text-zinc-500 text-sm">{t('leaderboard.empty')}</p>}
+        {rows && rows.length > 0 && (
+          <table className="w-full text-sm font-mono">
+            <thead>
+              <tr className="text-zinc-500 text-left">
+                <th className="py-2 pr-2">#</th>
+                <th className="py-2 pr-2">{t('leaderboard.player')}</th>
+                <th className="py-2 pr-2 text-right">{t('leaderboard.rounds')}</th>
+                {LEADERBOARD_SORTS.map(key => (
+                  <th key={key} className="py-2 pl-2 text-right">
+                    <button onClick={() => setSortBy(key)} className={`uppercase text-xs ${sortBy === key ? 'text-white font-black' : 'hover:text-white'}`}>{t(`leaderboard.${key}`)}{sortBy === key ? ' ▼' : ''}</button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, 50).map((profile, index) => (
+                <tr key={profile.id} className="border-t border-zinc-800">
+                  <td className="py-2 pr-2 text-zinc-500">{index + 1}</td>
+                  <td className="py-2 pr-2 font-bold truncate max-w-[12rem]">{profile.nickname}</td>
+                  <td className="py-2 pr-2 text-right text-zinc-400">{profile.rounds}</td>
+                  {LEADERBOARD_SORTS.map(key => (
+                    <td key={key} className={`py-2 pl-2 text-right ${sortBy === key ? 'text-white' : 'text-zinc-400'}`}>{profile[key] || 0}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Finished rounds, newest first, with JSON/CSV downloads (see ./history.js).
+const RoundHistory = ({ roomCode, onClose }) => {
+  const { backend } = useContext(GameContext);
+  const { locale, t } = useContext(I18nContext);
+  const [scope, setScope] = useState('room');
+  const [rounds, setRounds] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadRounds(backend, scope === 'room' ? roomCode : null)
+      .then(setRounds)
+      .catch(() => setError('history.failed'));
+  }, [backend, roomCode, scope]);
+
+  const download = (list, name, format) => {
+    if (format === 'csv') downloadFile(`${name}.csv`, roundsToCsv(list), 'text/csv');
+    else downloadFile(`${name}.json`, roundsToJson(list), 'application/json');
+  };
+  const allName = scope === 'room' ? `tapwar-${roomCode}-rounds` : 'tapwar-rounds';
+  const buttonClass = 'px-2 py-1 rounded bg-zinc-800 hover:bg-zinc-700 text-xs font-mono';
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/90 backdrop-blur-sm flex items-start justify-center p-8 overflow-y-auto">
+      <div className="w-full max-w-4xl bg-zinc-900 border border-zinc-800 rounded-2xl p-6">
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+          <h2 className="text-2xl font-black uppercase tracking-tight">{t('history.title')}</h2>
+          <div className="flex items-center gap-2">
+            <select value={scope} onChange={(e) => setScope(e.target.value)} className="bg-zinc-800 border border-zinc-700 rounded px-2 py-1 text-xs">
+              <option value="room">{t('history.room', { code: roomCode })}</option>
+              <option value="all">{t('history.allRooms')}</option>
+            </select>
+            {rounds && rounds.length > 0 && (
+              <>
+                <button onClick={() => download(rounds, allName, 'json')} className={buttonClass}>{t('history.allJson')}</button>
+                <button onClick={() => download(rounds, allName, 'csv')} className={buttonClass}>{t('history.allCsv')}</button>
+              </>
+            )}
+            <button onClick={onClose} className="ml-2 text-sm text-zinc-400 underline hover:text-white">{t('app.close')}</button>
+          </div>
+        </div>
+        {error && <p className="text-red-400 text-sm">{t(error)}</p>}
+        {!error && !rounds && <p className="text-zinc-500 text-sm">{t('app.loading')}</p>}
+        {rounds && rounds.length === 0 && <p className="text-zinc-500 text-sm">{t('history.empty')}</p>}
+        <div className="space-y-2">
+          {(rounds || []).map(round => {
+            const roundSettings = normalizeSettings(round.settings);
+            const winner = round.winner && round.winner !== 'DRAW' ? teamById(roundSettings.teams, round.winner) : null;
+            return (
+              <div key={round.id} className="flex flex-wrap items-center gap-x-4 gap-y-1 bg-black/40 rounded-lg px-4 py-3 text-sm">
+                <span className="font-mono text-zinc-400">{new Date(round.ended_at).toLocaleString(locale)}</span>
+                {scope === 'all' && <span className="font-mono text-zinc-500">{round.room_code}</span>}
+                <span className="text-zinc-300">{describeMode(roundSettings, t).label}</span>
+                <span className="font-bold" style={{ color: winner ? winner.color : undefined }}>{winner ? t('history.won', { emoji: winner.emoji, team: winner.name }) : t('history.draw')}</span>
+                <span className="font-mono text-zinc-400 flex-grow">
+                  {roundSettings.teams.map(team => `${team.emoji} ${round.totals[team.id] || 0}`).join('  ')} · {t('history.players', { count: round.players.length })}
+                </span>
+                <button onClick={() => download([round], `tapwar-round-${round.id}`, 'json')} className={buttonClass}>JSON</button>
+                <button onClick={() => download([round], `tapwar-round-${round.id}`, 'csv')} className={buttonClass}>CSV</button>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const CreateRoomView = () => {
+  const { backend, roomError, enterRoom } = useContext(GameContext);
+  const t = useT();
+  const [creating, setCreating] = useState(false);
+
+  const handleCreateRoom = async () => {
+    setCreating(true);
+    try {
+      await cleanupStaleRooms(backend);
+      const hostKey = generateHostKey();
+      const code = await createRoom(backend, hostKey);
+      rememberHostKey(code, hostKey);
+      localStorage.setItem('tapwar_host_room', code);
+      enterRoom(code);
+    } catch (error) {
+      console.error(error);
+      alert(t('create.failed'));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-black text-white p-6">
+      <h1 className="text-6xl font-black tracking-tighter text-transparent bg-clip-text bg-gradient-to-r from-red-500 to-blue-500 mb-4">TAP WAR</h1>
+      <p className="text-zinc-500 mb-12">{t('create.intro')}</p>
+      {roomError && <p className="text-red-400 mb-6">{t(roomError.key, roomError.params)}</p>}
+      <button onClick={handleCreateRoom} disabled={creating} className="px-12 py-4 bg-white text-black font-black text-xl rounded-full disabled:opacity-50 hover:scale-105 active:scale-95 transition-all shadow-[0_0_20px_rgba(255,255,255,0.3)]">
+        {creating ? t('create.creating') : t('create.create')}
+      </button>
+    </div>
+  );
+};
+
+// A QR code for `text` (see ./qr.js), with the quiet zone scanners need.
+const QrCode = ({ text, className = '' }) => {
+  const t = useT();
+  const modules = useMemo(() => encodeQr(text), [text]);
+  const size = modules.length + 8;
+  const path = modules.flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + 4} ${y + 4}h1v1h-1z` : ''))).join('');
+  return (
+    <svg viewBox={`0 0 ${size} ${size}`} shapeRendering="crispEdges" role="img" aria-label={t('display.qr', { text })} className={className}>
+      <rect width={size} height={size} fill="white" />
+      <path d={path} fill="black" />
+    </svg>
+  );
+};
+
+// --- Big Screen ---
+// `?mode=display`: what the audience sees on the projector. It never writes
+// anything. It follows `game_state` and the roster, takes live scores from
+// the host's snapshots and rebuilds a finished round from the `clicks` table,
+// so it can run on any machine while the host works from their phone.
+const DisplayView = () => {
+  const { gameState, backend, roomCode, roomError, enterRoom } = useContext(GameContext);
+  const t = useT();
+  const settings = useShownSettings(gameState.settings);
+  const [inputCode, setInputCode] = useState('');
+  const [players, setPlayers] = useState([]);
+  const [snapshot, setSnapshot] = useState(null);
+  const [liveEvents, setLiveEvents] = useState([]);
+  const [timeLeft, setTimeLeft] = useState(settings.round_duration);
+  const [countdown, setCountdown] = useState({ countdown: 0, elapsed: Infinity, at: 0 });
+  // The finished round's ledger, rebuilt from the persisted batches.
+  const [finished, setFinished] = useState(null);
+  const now = useHostClock(backend, roomCode);
+
+  useEffect(() => {
+    if (!roomCode) return;
+    backend.select('players', { room_code: roomCode }).then(({ data }) => setPlayers(data || []));
+    const unsubscribeInserts = backend.onTableChange('players', { event: 'INSERT', match: { room_code: roomCode } }, (payload) => {
+      setPlayers(prev => [...prev, payload.new]);
+    });
+    const unsubscribeUpdates = backend.onTableChange('players', { event: 'UPDATE', match: { room_code: roomCode } }, (payload) => {
+      setPlayers(prev => prev.map(p => (p.id === payload.new.id ? payload.new : p)));
+    });
+    const unsubscribeDeletes = backend.onTableChange('players', { event: 'DELETE', match: { room_code: roomCode } }, (payload) => {
+      setPlayers(prev => prev.filter(p => p.id !== payload.old.id));
+    });
+    return () => {
+      unsubscribeInserts();
+      unsubscribeUpdates();
+      unsubscribeDeletes();
+    };
+  }, [backend, roomCode]);
+
+  useEffect(() => {
+    if (!roomCode) return;
+    const channel = backend.channel(roomChannelName(roomCode))
+      .on('score-snapshot', setSnapshot)
+      .on('chaos-event', (event) => setLiveEvents(prev => mergeChaosEvents(prev, [event])))
+      .subscribe();
+    return () => channel.unsubscribe();
+  }, [backend, roomCode]);
+
+  useEffect(() => {
+    if ((gameState.status === 'COUNTDOWN' || gameState.status === 'PLAYING') && gameState.round_start_time) {
+      const interval = setInterval(() => {
+        const at = now();
+        const round = roundClock(gameState.round_start_time, settings.round_duration, at);
+        setTimeLeft(round.timeLeft);
+        setCountdown({ countdown: round.countdown, elapsed: round.elapsed, at });
+        if (round.timeLeft <= 0) clearInterval(interval);
+      }, 100);
+      return () => clearInterval(interval);
+    }
+  }, [gameState.status, gameState.round_start_time, settings.round_duration, now]);
+
+  useEffect(() => {
+    if (gameState.status !== 'FINISHED' || !gameState.round_id || !gameState.round_start_time) return;
+    const roundId = gameState.round_id;
+    const roundStart = gameState.round_start_time;
+    let cancelled = false;
+    backend.select('clicks', { room_code: roomCode, round_id: roundId }).then(({ data }) => {
+      if (cancelled) return;
+      const ledger = createRoundLedger(roundStart, settings.round_duration, settings.batch_interval_ms);
+      (data || []).forEach(batch => recordBatch(ledger, batch));
+      setFinished({ roundId, ledger });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [backend, roomCode, gameState.status, gameState.round_id, gameState.round_start_time, settings.batch_interval_ms, settings.round_duration]);
+
+  const [fullscreen, setFullscreen] = useState(Boolean(document.fullscreenElement));
+  useEffect(() => {
+    const handleChange = () => setFullscreen(Boolean(document.fullscreenElement));
+    document.addEventListener('fullscreenchange', handleChange);
+    return () => document.removeEventListener('fullscreenchange', handleChange);
+  }, []);
+
+  // The big screen is the arena: it carries the crowd noise.
+  const liveTotal = snapshot && snapshot.round_id === gameState.round_id ? Object.values(snapshot.totals).reduce((sum, score) => sum + score, 0) : 0;
+  useRoundCues({ active: gameState.status === 'COUNTDOWN' || gameState.status === 'PLAYING', countdown, timeLeft, chaos: gameState.status === 'PLAYING' && isChaosTime(timeLeft, settings) });
+  useCrowd(gameState.status === 'PLAYING', liveTotal);
+  useWhistle(gameState);
+  const reactions = useReactions(backend, roomCode, normalizeModeration(gameState.moderation), players);
+
+  if (!roomCode) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-screen bg-black text-white p-6">
+        <h1 className="text-6xl font-black tracking-tighter text-transparent bg-clip-text bg-gradient-to-r from-red-500 to-blue-500 mb-4">TAP WAR</h1>
+        <p className="text-zinc-500 mb-8">{t('display.enterCode')}</p>
+        {roomError && <p className="text-red-400 mb-6">{t(roomError.key, roomError.params)}</p>}
+        <form onSubmit={(e) => { e.preventDefault(); if (inputCode) enterRoom(inputCode); }} className="flex gap-3">
+          <input type="text" maxLength={5} value={inputCode} onChange={(e) => setInputCode(normalizeRoomCode(e.target.value))} placeholder="ABCDE" autoCapitalize="characters" autoComplete="off" aria-label={t('display.roomCode')} className="w-48 bg-zinc-950 border-2 border-zinc-800 text-white text-2xl font-mono font-bold tracking-[0.3em] rounded-xl px-4 py-3 focus:outline-none focus:border-blue-500" />
+          <button type="submit" disabled={!inputCode} className="px-8 bg-white text-black font-black text-xl rounded-xl disabled:opacity-50">{t('display.show')}</button>
+        </form>
+      </div>
+    );
+  }
+
+  const teams = settings.teams;
+  const teamIds = teams.map(team => team.id);
+  const mode = describeMode(settings, t);
+  const chaosEvents = mergeChaosEvents(gameState.chaos_events || [], liveEvents.filter(event => event.round_id === gameState.round_id));
+  const liveSnapshot = snapshot && snapshot.round_id === gameState.round_id ? snapshot : null;
+  const penalties = Object.fromEntries(players.filter(p => p.penalty).map(p => [p.id, p.penalty]));
+  const finishedLedger = finished && finished.roundId === gameState.round_id ? { ...finished.ledger, events: gameState.chaos_events || [] } : null;
+  const joinUrl = roomJoinUrl(roomCode);
+
+  return (
+    <div className="relative flex flex-col items-center justify-center min-h-screen bg-black text-white p-8">
+      <GlobalStyles />
+      <ReactionLayer reactions={reactions} teams={teams} />
+      {!fullscreen && (
+        <button onClick={() => document.documentElement.requestFullscreen()} className="absolute top-4 right-4 text-xs text-zinc-600 hover:text-white border border-zinc-800 rounded-full px-3 py-1">{t('display.fullscreen')}</button>
+      )}
+
+      {gameState.status === 'LOBBY' && (
+        <>
+          <div className="w-full max-w-6xl flex flex-col md:flex-row items-center justify-center gap-12 mb-10">
+            <div className="bg-white p-3 rounded-2xl"><QrCode text={joinUrl} className="w-64 h-64" /></div>
+            <div className="text-center md:text-left">
+              <h1 className="text-6xl font-black tracking-tighter text-transparent bg-clip-text bg-gradient-to-r from-red-500 to-blue-500 mb-4">TAP WAR</h1>
+              <p className="text-2xl text-zinc-400">{t('display.scan')}</p>
+              <p className="text-2xl font-mono font-bold break-all">{joinUrl}</p>
+              <p className="text-2xl text-zinc-400 mt-4">{t('display.enterRoom')}</p>
+              <p className="text-8xl font-mono font-black tracking-[0.2em]">{roomCode}</p>
+              <p className="mt-4 text-zinc-500">{mode.label} · {mode.goal} · {t('settings.seconds', { count: settings.round_duration })}</p>
+              <SeriesScore settings={settings} matchScore={gameState.match_score} className="text-lg text-zinc-400" />
+            </div>
+          </div>
+          <TeamRosters teams={teams} players={players} renderPlayer={(p, team) => (
+            <div key={p.id} className="border rounded px-3 py-2 text-zinc-200 font-mono text-sm truncate" style={{ backgroundColor: withAlpha(team.color, 0.15), borderColor: withAlpha(team.color, 0.2) }}>{p.bot && <BotMark skill={p.bot} />}{p.nickname}</div>
+          )} />
+        </>
+      )}
+
+      {(gameState.status === 'COUNTDOWN' || gameState.status === 'PLAYING') && (
+        <>
+          <Countdown countdown={countdown.countdown} elapsed={countdown.elapsed} />
+          <div className="absolute top-4 left-4 font-mono text-zinc-500">{t('display.join')} <span className="font-bold text-white tracking-widest">{roomCode}</span></div>
+          <div className={`text-8xl font-mono font-bold mb-8 ${isChaosTime(timeLeft, settings) ? 'text-red-500 animate-pulse' : 'text-white'}`}>{timeLeft.toFixed(1)}s</div>
+          <LiveStandings teams={teams} settings={settings} scores={liveSnapshot ? liveSnapshot.totals : {}} pulseTeam={null} chaosEvents={chaosEvents} at={countdown.at} />
+        </>
+      )}
+
+      {gameState.status === 'FINISHED' && (
+        finishedLedger ? (
+          <RoundResults
+            teams={teams}
+            settings={settings}
+            gameState={gameState}
+            scores={teamTotals(finishedLedger, penalties, teamIds)}
+            leaderboard={rankPlayers(finishedLedger, penalties)}
+            timeline={buildTimeline(finishedLedger, penalties)}
+          />
+        ) : (
+          <div className="text-4xl font-black text-zinc-500 animate-pulse">{t('display.counting')}</div>
+        )
+      )}
+    </div>
+  );
+};
+
+const HostView = () => {
+  const { roomCode } = useContext(GameContext);
+  // Keyed by room so switching rooms starts from a clean dashboard.
+  return roomCode ? <HostGate key={roomCode} /> : <CreateRoomView />;
+};
+
+// The dashboard only shows once this device has proven it holds the room's
+// host key (see ./hostAuth.js): from the host link, from creating the room
+// here, or typed into the unlock screen.
+const HostGate = () => {
+  const { backend, roomCode, leaveRoom } = useContext(GameContext);
+  const t = useT();
+  const [handedOverKey] = useState(hostKeyFromUrl);
+  // null while the stored key is being checked.
+  const [hostKey, setHostKey] = useState(null);
+  // Handed over by link or typed in, rather than remembered on this device.
+  const [handedOver, setHandedOver] = useState(false);
+  const [checked, setChecked] = useState(false);
+  const [input, setInput] = useState('');
+  const [error, setError] = useState(null);
+  const [unlocking, setUnlocking] = useState(false);
+
+  useEffect(() => {
+    clearHostKeyFromUrl();
+    const key = handedOverKey || rememberedHostKey(roomCode);
+    let cancelled = false;
+    Promise.resolve(key && unlockRoom(backend, roomCode, key)).then((unlocked) => {
+      if (cancelled) return;
+      if (unlocked) {
+        setHostKey(key);
+        setHandedOver(key === handedOverKey);
+      } else if (key) forgetHostKey(roomCode);
+      setChecked(true);
+    });
+    return () => { cancelled = true; };
+  }, [backend, roomCode, handedOverKey]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    const key = parseHostKey(input);
+    if (!key) {
+      setError({ key: 'unlock.badFormat' });
+      return;
+    }
+    setUnlocking(true);
+    const unlocked = await unlockRoom(backend, roomCode, key);
+    setUnlocking(false);
+    if (unlocked) {
+      setHostKey(key);
+      setHandedOver(true);
+    } else setError({ key: 'unlock.wrongKey', params: { code: roomCode } });
+  };
+
+  const handleLeave = () => {
+    localStorage.removeItem('tapwar_host_room');
+    leaveRoom();
+  };
+
+  if (hostKey) return <HostDashboard hostKey={hostKey} handedOver={handedOver} />;
+  if (!checked) return <div className="flex items-center justify-center min-h-screen bg-black text-zinc-500">{t('unlock.checking')}</div>;
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-black text-white p-6">
+      <h1 className="text-4xl font-black tracking-tight mb-2">{t('unlock.title', { code: roomCode })}</h1>
+      <p className="text-zinc-500 mb-8 text-center max-w-md">{t('unlock.intro')}</p>
+      <form onSubmit={handleUnlock} className="w-full max-w-md flex flex-col gap-4">
+        <input type="password" autoComplete="off" value={input} onChange={(e) => { setInput(e.target.value); setError(null); }} placeholder={t('unlock.placeholder')} aria-label={t('unlock.placeholder')} className="bg-zinc-900 border border-zinc-700 rounded-xl px-4 py-3 font-mono text-white focus:outline-none focus:border-white" />
+        {error && <p className="text-red-400 text-sm">{t(error.key, error.params)}</p>}
+        <button type="submit" disabled={unlocking || !input.trim()} className="px-8 py-3 bg-white text-black font-black rounded-full disabled:opacity-50 hover:scale-105 active:scale-95 transition-all">
+          {unlocking ? t('unlock.unlocking') : t('unlock.unlock')}
+        </button>
+      </form>
+      <button onClick={handleLeave} className="mt-8 text-sm text-zinc-500 underline hover:text-white">{t('unlock.newRoom')}</button>
+    </div>
+  );
+};
+
+// The host link carries the host key, so it lets another device (the host's
+// phone, say) run the room too.
+const HostLinkModal = ({ roomCode, hostKey, onClose }) => {
+  const t = useT();
+  const link = hostLink(roomCode, hostKey);
+  return (
+    <div className="fixed inset-0 z-50 bg-black/90 backdrop-blur-sm flex items-start justify-center p-8 overflow-y-auto">
+      <div className="w-full max-w-md bg-zinc-900 border border-zinc-800 rounded-2xl p-6">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-black uppercase tracking-tight">{t('host.hostLink')}</h2>
+          <button onClick={onClose} className="text-sm text-zinc-400 underline hover:text-white">{t('app.close')}</button>
+        </div>
+        <QrCode text={link} className="w-56 h-56 mx-auto rounded-lg" />
+        <p className="mt-4 text-xs text-zinc-500 font-mono break-all select-all">{link}</p>
+        <p className="mt-4 text-sm text-amber-500">{t('host.hostLinkWarning', { code: roomCode })}</p>
+      </div>
+    </div>
+  );
+};
+
+// Whether this tab drives the room (see the driver lease in ./rooms.js). It
+// renews the lease while it holds it and claims it once it lapses; a tab the
+// room was just handed over to takes it straight away.
+const useDriverLease = (backend, roomCode, gameState, handedOver) => {
+  const loaded = gameState.room_code === roomCode;
+  const holder = gameState.driver_id ?? null;
+  const seenAt = gameState.driver_seen_at ?? null;
+  const driving = loaded && holder === TAB_ID;
+  // The last renewal this tab saw, and when, on its own clock.
+  const renewalRef = useRef({ seenAt: null, at: 0 });
+
+  useEffect(() => {
+    renewalRef.current = { seenAt, at: Date.now() };
+  }, [holder, seenAt]);
+
+  useEffect(() => {
+    if (loaded && handedOver) claimDriver(backend, roomCode);
+  }, [backend, roomCode, loaded, handedOver]);
+
+  useEffect(() => {
+    if (!loaded) return;
+    const beat = () => {
+      if (driving) renewDriver(backend, roomCode);
+      else if (holder === null || Date.now() - renewalRef.current.at >= DRIVER_LEASE_MS) claimDriver(backend, roomCode, renewalRef.current.seenAt);
+    };
+    beat();
+    const interval = setInterval(beat, DRIVER_HEARTBEAT_MS);
+    return () => clearInterval(interval);
+  }, [backend, roomCode, loaded, driving, holder]);
+
+  // Leaving the room, or closing the tab, frees the lease for the next tab.
+  useEffect(() => {
+    if (!driving) return;
+    const release = () => releaseDriver(backend, roomCode);
+    window.addEventListener('pagehide', release);
+    return () => {
+      window.removeEventListener('pagehide', release);
+      release();
+    };
+  }, [backend, roomCode, driving]);
+
+  return { driving, takeOver: () => claimDriver(backend, roomCode) };
+};
+
+// Gaps, flags and the timeline walk every batch of the round, so while
+// batches stream in they are rebuilt at most this often.
+const DETAILS_INTERVAL_MS = 1000;
+const INGEST_METER_MS = 1000;
+
+const HostDashboard = ({ hostKey, handedOver }) => {
+  const { gameState, backend, roomCode, leaveRoom } = useContext(GameContext);
+  const { palette } = useContext(AccessibilityContext);
+  const t = useT();
+  const [players, setPlayers] = useState([]);
+  const [scores, setScores] = useState({});
+  const settings = normalizeSettings(gameState.settings);
+  const [timeLeft, setTimeLeft] = useState(settings.round_duration);
+  const [leaderboard, setLeaderboard] = useState([]);
+  const [gaps, setGaps] = useState([]);
+  const [flagged, setFlagged] = useState([]);
+  const [pulseTeam, setPulseTeam] = useState(null);
+  const [timeline, setTimeline] = useState(null);
+  const [ingest, setIngest] = useState(null);
+  const [countdown, setCountdown] = useState({ countdown: 0, elapsed: Infinity, at: 0 });
+  const [showAllTime, setShowAllTime] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showHostLink, setShowHostLink] = useState(false);
+  // Phones get the compact control panel; either layout can switch to the other.
+  const [layout, setLayout] = useState(() => (window.matchMedia('(max-width: 767px)').matches ? 'controls' : 'dashboard'));
+  // Every host tab keeps score; only the one driving the room runs it.
+  const { driving, takeOver } = useDriverLease(backend, roomCode, gameState, handedOver);
+
+  // Scores are always derived from the ledger, never tallied separately.
+  const ledgerRef = useRef(createLedger(settings.batch_interval_ms));
+  // Host penalties by player id, mirrored from the `players` rows.
+  const penaltiesRef = useRef({});
+  // This round's chaos events, mirrored from `game_state` (see ./chaos.js).
+  const chaosEventsRef = useRef([]);
+  // Batches waiting for the next frame, plus live totals and top players (see ./ingest.js).
+  const ingestRef = useRef(createIngest());
+  // Hands a batch to the ingest (set by the click accounting effect).
+  const applyBatchRef = useRef(null);
+  // The room's bots, for the tab that taps for them.
+  const botsRef = useRef([]);
+  // The room's players by id. Broadcasts only say who they are from; who that
+  // is, and on which team, comes from here.
+  const rosterRef = useRef({});
+  // The latest finishGame, for the round timer.
+  const finishGameRef = useRef(null);
+
+  // After a frame of batches (`drainedAt` set) the pipeline already has the
+  // new totals and leaderboard; gaps, flags and the timeline follow at most
+  // every DETAILS_INTERVAL_MS. Anything else may change what earlier batches
+  // are worth, so everything is rescored from the ledger and rebuilt.
+  const syncScores = (drainedAt = null) => {
+    const ingest = ingestRef.current;
+    if (drainedAt === null) rescoreIngest(ingest, ledgerRef.current, penaltiesRef.current);
+    setScores(ingest.totals);
+    setLeaderboard(ingest.top);
+    if (drainedAt === null || drainedAt - ingest.detailsAt >= DETAILS_INTERVAL_MS) {
+      if (drainedAt !== null) ingest.detailsAt = drainedAt;
+      setGaps(findGaps(ledgerRef.current));
+      setFlagged(flaggedPlayers(ledgerRef.current));
+      setTimeline(buildTimeline(ledgerRef.current, penaltiesRef.current));
+    }
+    return ingest.totals;
+  };
+
+  // Heartbeat so the room is not swept as stale while the host is here
+  useEffect(() => {
+    touchRoom(backend, roomCode);
+    const interval = setInterval(() => touchRoom(backend, roomCode), ROOM_HEARTBEAT_MS);
+    return () => clearInterval(interval);
+  }, [backend, roomCode]);
+
+  useEffect(() => {
+    backend.select('players', { room_code: roomCode }).then(({ data }) => {
+      if (!data) return;
+      const rows = Array.isArray(data) ? data : [];
+      setPlayers(rows);
+      penaltiesRef.current = Object.fromEntries(rows.filter(p => p.penalty).map(p => [p.id, p.penalty]));
+      syncScores();
+    });
+
+    const unsubscribeInserts = backend.onTableChange('players', { event: 'INSERT', match: { room_code: roomCode } }, (payload) => {
+      setPlayers(prev => [...prev, payload.new]);
+    });
+    const unsubscribeUpdates = backend.onTableChange('players', { event: 'UPDATE', match: { room_code: roomCode } }, (payload) => {
+      setPlayers(prev => prev.map(p => (p.id === payload.new.id ? payload.new : p)));
+      penaltiesRef.current = { ...penaltiesRef.current, [payload.new.id]: payload.new.penalty || null };
+      // A host rename replaces the name on the scoreboards straight away.
+      const entry = ledgerRef.current.players[payload.new.id];
+      if (entry && payload.new.nickname) entry.nickname = payload.new.nickname;
+      syncScores();
+    });
+    const unsubscribeDeletes = backend.onTableChange('players', { event: 'DELETE', match: { room_code: roomCode } }, (payload) => {
+      // Remove deleted players from the list
+      setPlayers(prev => prev.filter(p => p.id !== payload.old.id));
+    });
+
+    return () => {
+      unsubscribeInserts();
+      unsubscribeUpdates();
+      unsubscribeDeletes();
+    };
+  }, [backend, roomCode]);
+
+  // Phones follow the score through periodic snapshots; they keep coming
+  // after the whistle so late batches and penalties reach them too.
+  const teamIds = settings.teams.map(team => team.id).join(',');
+  useEffect(() => {
+    const roundId = gameState.round_id;
+    if (!driving || !roundId || (gameState.status !== 'PLAYING' && gameState.status !== 'FINISHED')) return;
+    const channel = backend.channel(roomChannelName(roomCode)).subscribe();
+    const send = () => channel.send('score-snapshot', { round_id: roundId, ...scoreSnapshot(ledgerRef.current, penaltiesRef.current, teamIds.split(',')) });
+    send();
+    const interval = setInterval(send, SNAPSHOT_INTERVAL_MS);
+    return () => {
+      clearInterval(interval);
+      channel.unsubscribe();
+    };
+  }, [backend, roomCode, driving, gameState.status, gameState.round_id, teamIds]);
+
+  // Players measure their clock offset against this tab (see ./clock.js).
+  useEffect(() => {
+    if (!driving) return;
+    const channel = backend.channel(roomChannelName(roomCode))
+      .on('clock-ping', (ping) => channel.send('clock-pong', { id: ping.id, host_time: Date.now() }))
+      .subscribe();
+    return () => channel.unsubscribe();
+  }, [backend, roomCode, driving]);
+
+  // Click Accounting: rebuild the round from the persisted batches, then keep
+  // applying new ones from both the broadcast fast path and the table itself.
+  // Anyone on the channel can broadcast, so a broadcast only counts when the
+  // table would have taken it (a player on the roster, in this room, on their
+  // own team), under their roster name, and only until the copy in the table
+  // turns up (see recordBatch). Rows in the table got past its insert policy,
+  // which checked them against the roster already.
+  // Batches are queued as they arrive and applied once per animation frame.
+  // Every batch seen is acked (in bulk, see ./tapBuffer.js) so phones can stop
+  // resending it, whether or not it still counted.
+  useEffect(() => {
+    const roundId = gameState.round_id;
+    ledgerRef.current = createRoundLedger(gameState.round_start_time, settings.round_duration, settings.batch_interval_ms);
+    ledgerRef.current.events = chaosEventsRef.current;
+    ingestRef.current = createIngest();
+    if (!roundId) return;
+
+    let acks = {};
+    let frame = null;
+    let fallback = null;
+    let pulseTimeout = null;
+
+    const drain = () => {
+      cancelAnimationFrame(frame);
+      clearTimeout(fallback);
+      frame = null;
+      const now = Date.now();
+      const { acked, counted } = drainIngest(ingestRef.current, ledgerRef.current, { roundId, penalties: penaltiesRef.current, now });
+      acked.forEach(batch => {
+        acks[batch.player_id] = [...(acks[batch.player_id] || []), batch.seq];
+      });
+      if (counted.length === 0) return;
+      setPulseTeam(counted[counted.length - 1].team);
+      clearTimeout(pulseTimeout);
+      pulseTimeout = setTimeout(() => setPulseTeam(null), 200);
+      syncScores(now);
+    };
+
+    const applyBatch = (batch, options) => {
+      queueBatch(ingestRef.current, batch, options);
+      if (frame !== null) return;
+      frame = requestAnimationFrame(drain);
+      // Hidden tabs get no frames, but batches still need counting and acking.
+      fallback = setTimeout(drain, ACK_FLUSH_MS);
+    };
+
+    const applyRow = (row) => {
+      const player = rosterRef.current[row.player_id];
+      applyBatch(player ? { ...row, nickname: player.nickname } : row);
+    };
+
+    const applyBroadcast = (batch) => {
+      const player = rosterRef.current[batch?.player_id];
+      if (!player || player.bot || batch.room_code !== roomCode || batch.team !== player.team || (batch.profile_id ?? null) !== (player.profile_id ?? null)) return;
+      applyBatch({ ...batch, nickname: player.nickname, bot: false }, { provisional: true });
+    };
+
+    backend.select('clicks', { room_code: roomCode, round_id: roundId }).then(({ data }) => {
+      (data || []).forEach(applyRow);
+    });
+
+    const unsubscribeClicks = backend.onTableChange('clicks', { event: 'INSERT', match: { room_code: roomCode, round_id: roundId } }, (payload) => {
+      applyRow(payload.new);
+    });
+
+    const gameChannel = backend.channel(roomChannelName(roomCode))
+      .on('client-click', applyBroadcast)
+      .subscribe();
+    applyBatchRef.current = applyBatch;
+
+    const ackInterval = setInterval(() => {
+      if (Object.keys(acks).length === 0) return;
+      gameChannel.send('click-ack', { round_id: roundId, acks });
+      acks = {};
+    }, ACK_FLUSH_MS);
+
+    // The meter keeps moving (down to zero) when batches stop coming.
+    const meterInterval = setInterval(() => setIngest(ingestStats(ingestRef.current, Date.now())), INGEST_METER_MS);
+
+    return () => {
+      applyBatchRef.current = null;
+      clearInterval(ackInterval);
+      clearInterval(meterInterval);
+      cancelAnimationFrame(frame);
+      clearTimeout(fallback);
+      clearTimeout(pulseTimeout);
+      unsubscribeClicks();
+      gameChannel.unsubscribe();
+    };
+  }, [backend, roomCode, gameState.round_id, gameState.round_start_time, settings.batch_interval_ms, settings.round_duration]);
+
+  useEffect(() => {
+    botsRef.current = players.filter(p => p.bot);
+    rosterRef.current = Object.fromEntries(players.map(p => [p.id, p]));
+  }, [players]);
+
+  // Bots tap from the driving tab (see ./bots.js). Like a phone, each one seals a
+  // numbered batch every batch interval and at the whistle, and saves it to the
+  // `clicks` table; instead of the broadcast, which a tab never hears from
+  // itself, the batch goes straight to the ingest.
+  const botsTapping = gameState.status === 'COUNTDOWN' || gameState.status === 'PLAYING';
+  useEffect(() => {
+    const roundId = gameState.round_id;
+    if (!driving || !botsTapping || !roundId || !gameState.round_start_time) return;
+    const startsAt = new Date(gameState.round_start_time).getTime();
+    const endsAt = startsAt + settings.round_duration * 1000;
+    // After a reload mid-round, bots pick up from here rather than from GO.
+    const from = Date.now();
+    const tappers = {};
+    let unsaved = [];
+
+    const persist = async (batch) => {
+      const { error } = await backend.insert('clicks', batch).catch(err => ({ error: err }));
+      // 23505 is a unique violation: an earlier attempt already landed.
+      if (error && error.code !== '23505') unsaved.push(batch);
+    };
+
+    const seal = () => {
+      const at = Date.now();
+      const retry = unsaved;
+      unsaved = [];
+      retry.forEach(persist);
+      botsRef.current.forEach(bot => {
+        if (!tappers[bot.id]) tappers[bot.id] = createBotTapper(bot.bot, { startsAt, endsAt, from });
+        const taps = tappers[bot.id].tapsUntil(at);
+        if (taps.count === 0) return;
+        // Kept in sessionStorage, as on a phone, so a reload does not reuse
+        // sequence numbers; a tab taking over mid-round goes on from the ledger.
+        const seqKey = `tapwar_seq:${roundId}:${bot.id}`;
+        const counted = Object.keys(ledgerRef.current.players[bot.id]?.batches || {}).map(Number);
+        const seq = Math.max(Number(sessionStorage.getItem(seqKey)) || 0, ...counted) + 1;
+        sessionStorage.setItem(seqKey, seq);
+        const batch = {
+          room_code: roomCode, round_id: roundId, player_id: bot.id, nickname: bot.nickname, team: bot.team,
+          seq, count: taps.count, interval_mean: taps.interval_mean, interval_sd: taps.interval_sd, sent_at: at,
+          profile_id: null, bot: true
+        };
+        if (applyBatchRef.current) applyBatchRef.current(batch);
+        persist(batch);
+      });
+    };
+
+    const interval = setInterval(seal, settings.batch_interval_ms);
+    const whistle = setTimeout(seal, Math.max(0, endsAt - Date.now()));
+    return () => {
+      clearInterval(interval);
+      clearTimeout(whistle);
+    };
+  }, [backend, roomCode, driving, botsTapping, gameState.round_id, gameState.round_start_time, settings.round_duration, settings.batch_interval_ms]);
+
+  // Chaos events change what taps are worth, so the ledger follows them.
+  useEffect(() => {
+    chaosEventsRef.current = gameState.chaos_events || [];
+    ledgerRef.current.events = chaosEventsRef.current;
+    syncScores();
+  }, [gameState.chaos_events, gameState.round_id]);
+
+  // During the chaos window the driving tab fires the events and rules on power-up grabs.
+  useEffect(() => {
+    if (!driving || gameState.status !== 'PLAYING' || !gameState.round_start_time || !settings.chaos_events || settings.chaos_duration === 0) return;
+    const roundId = gameState.round_id;
+    const start = new Date(gameState.round_start_time).getTime();
+    const chaosFrom = start + (settings.round_duration - settings.chaos_duration) * 1000;
+    const end = start + settings.round_duration * 1000;
+
+    const channel = backend.channel(roomChannelName(roomCode));
+    const publish = (event) => {
+      const events = mergeChaosEvents(chaosEventsRef.current, [event]);
+      chaosEventsRef.current = events;
+      ledgerRef.current.events = events;
+      channel.send('chaos-event', event);
+      backend.update('game_state', { room_code: roomCode }, { chaos_events: events });
+    };
+    channel
+      .on('powerup-grab', (grab) => {
+        const grabber = rosterRef.current[grab.player_id];
+        if (!grabber) return;
+        const event = chaosEventsRef.current.find(e => e.id === grab.event_id);
+        const claimed = claimPowerUp(event, grabber, Date.now());
+        if (claimed) publish(claimed);
+      })
+      .subscribe();
+
+    // The last second stays quiet so an event never outlives the round by much.
+    let nextAt = Math.max(chaosFrom, Date.now()) + 500;
+    const interval = setInterval(() => {
+      const now = Date.now();
+      if (now < nextAt || now >= end - 1000) return;
+      publish(createChaosEvent({ roundId, now }));
+      nextAt = now + nextEventDelay();
+    }, 250);
+
+    return () => {
+      clearInterval(interval);
+      channel.unsubscribe();
+    };
+  }, [backend, roomCode, driving, gameState.status, gameState.round_id, gameState.round_start_time, settings.chaos_events, settings.chaos_duration, settings.round_duration]);
 
   const finishGame = async () => {
-    const red = scoresRef.current.red;
-    const blue = scoresRef.current.blue;
-    let winner = 'DRAW';
-    if (red > blue) winner = 'RED';
-    if (blue > red) winner = 'BLUE';
-    await supabase.from('game_state').update({ status: 'FINISHED', winner }).eq('id', 1);
+    // Reconcile with the persisted record so the winner does not depend on
+    // which broadcasts this tab happened to receive, and broadcasts the table
+    // has no copy of do not count.
+    const { data } = await backend.select('clicks', { room_code: roomCode, round_id: gameState.round_id });
+    // Batches still waiting for a frame go in first, so the table can confirm them.
+    drainIngest(ingestRef.current, ledgerRef.current, { roundId: gameState.round_id, penalties: penaltiesRef.current });
+    (data || []).forEach(batch => recordBatch(ledgerRef.current, batch));
+    dropUnconfirmed(ledgerRef.current);
+    ledgerRef.current.closed = true;
+    const result = finishRound(gameState, settings, syncScores());
+    if (!result) return;
+    await backend.update('game_state', { room_code: roomCode }, result);
+    await saveRoundRecord(result.winner, result.match_score);
+    await recordRound(backend, gameState.round_id, roundResults(ledgerRef.current, penaltiesRef.current, result.winner));
+  };
+
+  const saveRoundRecord = (winner, matchScore) => saveRound(backend, buildRoundRecord({
+    roomCode,
+    roundId: gameState.round_id,
+    startedAt: gameState.round_start_time,
+    settings,
+    ledger: ledgerRef.current,
+    penalties: penaltiesRef.current,
+    winner,
+    matchScore,
+  }));
+
+  useEffect(() => {
+    finishGameRef.current = finishGame;
+  });
+
+  // The host's clock is the reference, so no offset here (see ./clock.js).
+  // Every host tab shows the clock; only the driving one acts on it.
+  useEffect(() => {
+    if ((gameState.status !== 'COUNTDOWN' && gameState.status !== 'PLAYING') || !gameState.round_start_time) return;
+    const round = { status: gameState.status, round_start_time: gameState.round_start_time };
+    const rules = { mode: settings.mode, target: settings.target, rope_length: settings.rope_length, round_duration: settings.round_duration };
+    let graceTimeout = null;
+    const interval = setInterval(() => {
+      const now = Date.now();
+      const { clock, action } = hostTick(round, rules, ingestRef.current.totals, now);
+      if (round.status === 'PLAYING') setTimeLeft(clock.timeLeft);
+      setCountdown({ countdown: clock.countdown, elapsed: clock.elapsed, at: now });
+      if (!action || !driving) return;
+      clearInterval(interval);
+      // Tug-of-war and first-to-N can end before the timer does. At the
+      // whistle, batches still on their way get a grace period to land.
+      if (action === TICK.GO) backend.update('game_state', { room_code: roomCode }, beginPlaying(round));
+      else if (action === TICK.WHISTLE) graceTimeout = setTimeout(() => finishGameRef.current(), FINISH_GRACE_MS);
+      else finishGameRef.current();
+    }, 100);
+    return () => {
+      clearInterval(interval);
+      clearTimeout(graceTimeout);
+    };
+  }, [backend, roomCode, driving, gameState.status, gameState.round_start_time, settings.round_duration, settings.mode, settings.target, settings.rope_length]);
+
+  useRoundCues({ active: gameState.status === 'COUNTDOWN' || gameState.status === 'PLAYING', countdown, timeLeft, chaos: gameState.status === 'PLAYING' && isChaosTime(timeLeft, settings) });
+  useCrowd(gameState.status === 'PLAYING', Object.values(scores).reduce((sum, score) => sum + score, 0));
+  useWhistle(gameState);
+
+  const handleSettingChange = async (key, value) => {
+    const next = normalizeSettings({ ...settings, [key]: value });
+    await backend.update('game_state', { room_code: roomCode }, { settings: next });
+
+    for (const { id, team } of rebalanceTeams(players, next.teams)) {
+      await backend.update('players', { id }, { team });
+    }
+  };
+
+  const handlePenalty = async (playerId, penalty) => {
+    penaltiesRef.current = { ...penaltiesRef.current, [playerId]: penalty };
+    const totals = syncScores();
+    setPlayers(prev => prev.map(p => (p.id === playerId ? { ...p, penalty } : p)));
+    await backend.update('players', { id: playerId }, { penalty });
+    const result = rescoreRound(gameState, settings, totals);
+    if (result) {
+      await backend.update('game_state', { room_code: roomCode }, result);
+      await saveRoundRecord(result.winner, result.match_score);
+    }
+  };
+
+  const resetScores = () => {
+    ledgerRef.current = createLedger(settings.batch_interval_ms);
+    ingestRef.current = createIngest();
+    syncScores();
   };
 
   const handleStartGame = async () => {
-    localStorage.removeItem('tapwar_host_scores');
-    localStorage.removeItem('tapwar_host_leaderboard');
-    setRedScore(0); setBlueScore(0); setLeaderboard({}); 
-    scoresRef.current = { red: 0, blue: 0 }; leaderboardRef.current = {};
-    
-    await supabase.from('game_state').update({ status: 'PLAYING', round_start_time: new Date().toISOString() }).eq('id', 1);
+    const round = startRound(gameState, { roundId: newRoundId(), now: Date.now() });
+    if (!round) return;
+    resetScores();
+    setTimeLeft(settings.round_duration);
+    await backend.update('game_state', { room_code: roomCode }, round);
   };
 
   const handleReset = async () => {
-    localStorage.removeItem('tapwar_host_scores');
-    localStorage.removeItem('tapwar_host_leaderboard');
-    setRedScore(0); setBlueScore(0); setLeaderboard({}); 
-    scoresRef.current = { red: 0, blue: 0 }; leaderboardRef.current = {};
-    await supabase.from('game_state').update({ status: 'LOBBY', winner: null, round_start_time: null }).eq('id', 1);
+    const lobby = resetRound(gameState, settings);
+    if (!lobby) return;
+    resetScores();
+    await backend.update('game_state', { room_code: roomCode }, lobby);
+  };
+
+  const moderation = normalizeModeration(gameState.moderation);
+  const reactions = useReactions(backend, roomCode, moderation, players);
+
+  const handleModerationChange = (patch) => backend.update('game_state', { room_code: roomCode }, { moderation: { ...moderation, ...patch } });
+
+  const handleMute = (player) => handleModerationChange({
+    muted: moderation.muted.includes(player.id) ? moderation.muted.filter(id => id !== player.id) : [...moderation.muted, player.id],
+  });
+
+  const handleKick = async (player) => {
+    if (!player.bot && !confirm(t('moderation.kickConfirm', { nickname: player.nickname }))) return;
+    if (player.profile_id && !moderation.kicked.includes(player.profile_id)) {
+      await handleModerationChange({ kicked: [...moderation.kicked, player.profile_id] });
+    }
+    await backend.remove('players', { id: player.id });
   };
 
-  const redPlayers = players.filter(p => p.team === 'RED');
-  const bluePlayers = players.filter(p => p.team === 'BLUE');
-  const totalScore = redScore + blueScore;
-  const redPercent = totalScore === 0 ? 50 : (redScore / totalScore) * 100;
-  const sortedPlayers = Object.entries(leaderboard).sort(([, scoreA], [, scoreB]) => scoreB - scoreA).slice(0, 3);
+  const handleRename = async (player) => {
+    const name = prompt(t('moderation.renamePrompt', { nickname: player.nickname }), '');
+    if (name === null) return;
+    const nickname = cleanNickname(name);
+    const problem = nicknameProblem(nickname, moderation);
+    if (problem) {
+      alert(t(problem.key, problem.params));
+      return;
+    }
+    await backend.update('players', { id: player.id }, { nickname });
+  };
+
+  // Bots join the way phones do, on the smallest team unless the host picks one.
+  const handleAddBots = async (skill, teamIds) => {
+    const names = freeBotNames(players, teamIds.length, (number) => t('bots.nickname', { number }));
+    for (const [index, teamId] of teamIds.entries()) {
+      const team = teamId || await assignTeam(backend, roomCode, settings.teams);
+      await backend.insert('players', { room_code: roomCode, nickname: names[index], team, profile_id: null, bot: normalizeBotSkill(skill) });
+    }
+  };
+
+  const handleRemoveBots = async () => {
+    for (const bot of players.filter(p => p.bot)) {
+      await backend.remove('players', { id: bot.id });
+    }
+  };
+
+  const handleMove = (player, team) => backend.update('players', { id: player.id }, { team });
 
-  const bgGradient = totalScore === 0 
-    ? 'bg-black' 
-    : redScore > blueScore 
-      ? `bg-gradient-to-br from-red-950 via-black to-black` 
-      : `bg-gradient-to-bl from-blue-950 via-black to-black`;
+  const handleResetSeries = async () => {
+    await backend.update('game_state', { room_code: roomCode }, { match_score: {}, series_winner: null });
+  };
+
+  const handleCloseRoom = async () => {
+    if (!confirm(t('host.closeConfirm', { code: roomCode }))) return;
+    localStorage.removeItem('tapwar_host_room');
+    forgetHostKey(roomCode);
+    await closeRoom(backend, roomCode);
+    leaveRoom();
+  };
+
+  // The settings panel edits the room's own colours; everything else shows this device's palette.
+  const teams = applyPalette(settings.teams, palette);
+  const shownSettings = { ...settings, teams };
+  const scoreOf = (teamId) => scores[teamId] || 0;
+  const totalScore = teams.reduce((sum, team) => sum + scoreOf(team.id), 0);
+  const rankedTeams = rankTeams(Object.fromEntries(teams.map(team => [team.id, scoreOf(team.id)])));
+  const leadingTeam = totalScore > 0 && decideWinner(Object.fromEntries(rankedTeams.map(r => [r.team, r.score]))) !== 'DRAW' ? teamById(teams, rankedTeams[0].team) : null;
+  const seriesStarted = Object.values(gameState.match_score || {}).some(wins => wins > 0);
+  const mode = describeMode(settings, t);
+  const chaosEvents = gameState.chaos_events || [];
+  const penalized = players.filter(p => p.penalty && !flagged.some(f => f.id === p.id));
+  const suspects = [...flagged, ...penalized.map(p => ({ id: p.id, nickname: p.nickname, team: p.team, reasons: [] }))];
+  const penaltyOf = (id) => players.find(p => p.id === id)?.penalty || null;
+  const missingBatches = gaps.reduce((sum, gap) => sum + gap.missing.length, 0);
+
+  const bgGradient = leadingTeam
+    ? `linear-gradient(to bottom right, ${withAlpha(leadingTeam.color, 0.3)}, #000 50%, #000)`
+    : 'none';
+
+  const timeLabel = gameState.status === 'FINISHED' ? '0.0s' : gameState.status === 'LOBBY' ? settings.round_duration.toFixed(1) + 's' : timeLeft.toFixed(1) + 's';
+  const renderPlayerChip = (p, team) => <PlayerChip key={p.id} player={p} team={team} teams={teams} canMove={gameState.status === 'LOBBY'} muted={moderation.reactions && !p.bot ? moderation.muted.includes(p.id) : null} onRename={() => handleRename(p)} onMove={(to) => handleMove(p, to)} onMute={() => handleMute(p)} onKick={() => handleKick(p)} />;
+  const roundControls = <RoundControls gameState={gameState} settings={settings} playerCount={players.length} timeLeft={timeLeft} seriesStarted={seriesStarted} onStart={handleStartGame} onReset={handleReset} onFinish={finishGame} onResetSeries={handleResetSeries} onCloseRoom={handleCloseRoom} />;
+  const lockButton = (
+    <button onClick={() => handleModerationChange({ locked: !moderation.locked })} className={`text-xs px-3 py-1 rounded-full border ${moderation.locked ? 'border-amber-500 text-amber-400' : 'border-zinc-700 text-zinc-400 hover:text-white'}`}>
+      {moderation.locked ? t('moderation.locked') : t('moderation.open')}
+    </button>
+  );
+  const reactionsButton = (
+    <button onClick={() => handleModerationChange({ reactions: !moderation.reactions })} className={`text-xs px-3 py-1 rounded-full border ${moderation.reactions ? 'border-zinc-700 text-zinc-400 hover:text-white' : 'border-amber-500 text-amber-400'}`}>
+      {moderation.reactions ? t('moderation.reactionsOn') : t('moderation.reactionsOff')}
+    </button>
+  );
+  const driverNotice = !driving && (
+    <p className="text-amber-500 text-xs">
+      {t('host.otherTabDriving')} <button onClick={takeOver} className="underline hover:text-white">{t('host.takeOver')}</button>
+    </p>
+  );
+  const modals = (
+    <>
+      {showAllTime && <AllTimeLeaderboard onClose={() => setShowAllTime(false)} />}
+      {showHistory && <RoundHistory roomCode={roomCode} onClose={() => setShowHistory(false)} />}
+      {showHostLink && <HostLinkModal roomCode={roomCode} hostKey={hostKey} onClose={() => setShowHostLink(false)} />}
+    </>
+  );
+
+  // Phone-sized control panel for when the big screen is a separate display
+  // (`?mode=display`); only the layout differs.
+  if (layout === 'controls') {
+    return (
+      <div className="min-h-screen bg-black text-white p-4 space-y-6 overflow-y-auto">
+        <GlobalStyles />
+        {modals}
+        <header className="flex justify-between items-start border-b border-zinc-800 pb-3">
+          <div>
+            <div className="text-xs text-zinc-500 uppercase tracking-widest">{t('host.room')}</div>
+            <div className="text-3xl font-mono font-black tracking-[0.2em]">{roomCode}</div>
+            <p className="text-xs text-zinc-500"><span className={`font-mono font-bold ${gameState.status === 'PLAYING' || gameState.status === 'COUNTDOWN' ? 'text-green-500' : 'text-yellow-500'}`}>{t(`status.${gameState.status}`)}</span> · {mode.label}</p>
+            <SeriesScore settings={shownSettings} matchScore={gameState.match_score} className="text-xs text-zinc-400" />
+          </div>
+          <div className="text-right">
+            <div className="text-3xl font-mono font-bold">{timeLabel}</div>
+            {gameState.status === 'PLAYING' && timeLeft <= 0 && <div className="text-xs text-zinc-400 animate-pulse">{t('host.lateTaps')}</div>}
+          </div>
+        </header>
+        <div className="flex flex-wrap gap-2">
+          <a href={roomDisplayUrl(roomCode)} target="_blank" rel="noreferrer" className="text-xs px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:text-white">{t('host.bigScreenButton')}</a>
+          {lockButton}
+          {reactionsButton}
+          <button onClick={() => setShowHostLink(true)} className="text-xs px-3 py-1 rounded-full border border-zinc-700 text-zinc-400 hover:text-white">{t('host.hostLinkButton')}</button>
+          <button onClick={() => setLayout('dashboard')} className="text-xs px-3 py-1 rounded-full border border-zinc-700 text-zinc-400 hover:text-white">{t('host.fullDashboard')}</button>
+        </div>
+        {driverNotice}
+        <ul className="grid grid-cols-2 gap-2">
+          {teams.map(team => (
+            <li key={team.id} className="rounded-xl p-3 border" style={{ borderColor: withAlpha(team.color, 0.4), backgroundColor: withAlpha(team.color, 0.1) }}>
+              <div className="text-sm font-bold truncate" style={{ color: team.color }}>{team.emoji} {team.name}</div>
+              <div className="text-2xl font-mono font-black">{scoreOf(team.id)}</div>
+              <div className="text-xs text-zinc-500">{t('host.teamPlayers', { count: players.filter(p => p.team === team.id).length })}</div>
+            </li>
+          ))}
+        </ul>
+        {missingBatches > 0 && <p className="text-amber-500 text-xs font-mono">{t('host.missing', { count: missingBatches, players: t('host.missingPlayers', { count: gaps.length }) })}</p>}
+        {gameState.status !== 'LOBBY' && <IngestMeter stats={ingest} className="text-xs" />}
+        <div className="flex justify-center">{roundControls}</div>
+        {gameState.status !== 'LOBBY' && <FlaggedPlayers suspects={suspects} teams={teams} penaltyOf={penaltyOf} onPenalty={handlePenalty} />}
+        <TeamRosters teams={teams} players={players} renderPlayer={renderPlayerChip} />
+        {gameState.status === 'LOBBY' && <RoundSettingsPanel settings={settings} onChange={handleSettingChange} />}
+        {gameState.status === 'LOBBY' && <ModerationPanel moderation={moderation} onChange={handleModerationChange} />}
+        {gameState.status === 'LOBBY' && <BotsPanel teams={teams} players={players} onAdd={handleAddBots} onRemoveAll={handleRemoveBots} />}
+        <div className="flex justify-center gap-4 pb-6">
+          <button onClick={() => setShowHistory(true)} className="text-xs text-zinc-400 underline hover:text-white">{t('host.roundHistory')}</button>
+          <button onClick={() => setShowAllTime(true)} className="text-xs text-zinc-400 underline hover:text-white">{t('host.allTime')}</button>
+        </div>
+      </div>
+    );
+  }
 
   return (
-    <div className={`flex flex-col items-center justify-center min-h-screen text-white p-8 transition-colors duration-1000 ${bgGradient}`}>
+    <div className="flex flex-col items-center justify-center min-h-screen bg-black text-white p-8 transition-colors duration-1000" style={{ backgroundImage: bgGradient }}>
       <GlobalStyles />
+      {modals}
+      <ReactionLayer reactions={reactions} teams={teams} />
       <header className="w-full max-w-6xl flex justify-between items-end mb-8 border-b border-zinc-800 pb-4">
         <div>
-          <h1 className="text-4xl font-bold tracking-tight">Host Dashboard</h1>
-          <p className="text-zinc-500">Room Status: <span className={`font-mono font-bold ${gameState.status === 'PLAYING' ? 'text-green-500 animate-pulse' : 'text-yellow-500'}`}>{gameState.status}</span></p>
+          <h1 className="text-4xl font-bold tracking-tight">{t('host.dashboard')}</h1>
+          <p className="text-zinc-500">{t('host.roomStatus')} <span className={`font-mono font-bold ${gameState.status === 'PLAYING' || gameState.status === 'COUNTDOWN' ? 'text-green-500 animate-pulse' : 'text-yellow-500'}`}>{t(`status.${gameState.status}`)}</span></p>
+          <p className="text-zinc-500">{t('host.mode')} <span className="font-bold text-white">{mode.label}</span> <span className="text-xs">({mode.goal})</span></p>
+          <SeriesScore settings={shownSettings} matchScore={gameState.match_score} className="text-sm text-zinc-400" />
+          {missingBatches > 0 && <p className="text-amber-500 text-sm font-mono">{t('host.missing', { count: missingBatches, players: t('host.missingPlayers', { count: gaps.length }) })}</p>}
+          {gameState.status !== 'LOBBY' && <IngestMeter stats={ingest} className="text-sm" />}
+          {driverNotice}
+        </div>
+        <div className="text-center">
+          <div className="text-sm text-zinc-400">{t('host.joinCode')}</div>
+          <div className="text-5xl font-mono font-black tracking-[0.2em]">{roomCode}</div>
+          <div className="text-xs text-zinc-500 font-mono">{roomJoinUrl(roomCode)}</div>
+          <div className="mt-2 flex justify-center gap-2">{lockButton}{reactionsButton}</div>
+          <div className="mt-2 flex justify-center gap-4">
+            <button onClick={() => setShowHistory(true)} className="text-xs text-zinc-400 underline hover:text-white">{t('host.roundHistory')}</button>
+            <button onClick={() => setShowAllTime(true)} className="text-xs text-zinc-400 underline hover:text-white">{t('host.allTime')}</button>
+          </div>
+          <div className="mt-1 flex justify-center gap-4">
+            <a href={roomDisplayUrl(roomCode)} target="_blank" rel="noreferrer" className="text-xs text-zinc-400 underline hover:text-white">{t('host.openBigScreen')}</a>
+            <button onClick={() => setLayout('controls')} className="text-xs text-zinc-400 underline hover:text-white">{t('host.compact')}</button>
+            <button onClick={() => setShowHostLink(true)} className="text-xs text-zinc-400 underline hover:text-white">{t('host.hostLink')}</button>
+          </div>
         </div>
         <div className="text-right">
-          <div className="text-sm text-zinc-400">Time Remaining</div>
-          <div className={`text-5xl font-mono font-bold ${timeLeft <= 10 && gameState.status === 'PLAYING' ? 'text-red-500 animate-pulse' : 'text-white'}`}>{gameState.status === 'FINISHED' ? '0.0s' : timeLeft.toFixed(1) + 's'}</div>
+          <div className="text-sm text-zinc-400">{t('host.timeRemaining')}</div>
+          <div className={`text-5xl font-mono font-bold ${isChaosTime(timeLeft, settings) && gameState.status === 'PLAYING' ? 'text-red-500 animate-pulse' : 'text-white'}`}>{timeLabel}</div>
+          {gameState.status === 'PLAYING' && timeLeft <= 0 && <div className="text-xs text-zinc-400 animate-pulse">{t('host.lateTaps')}</div>}
         </div>
       </header>
 
-      {gameState.status === 'FINISHED' && (
-        <div className="w-full max-w-6xl mb-12 flex flex-col gap-8 animate-in zoom-in duration-500">
-          <div className="py-12 bg-zinc-900/50 border border-zinc-700 rounded-3xl text-center">
-            <h2 className="text-2xl text-zinc-400 uppercase tracking-widest mb-4">WINNER</h2>
-            <h1 className={`text-9xl font-black uppercase tracking-tighter drop-shadow-[0_0_30px_rgba(255,255,255,0.2)] ${gameState.winner === 'RED' ? 'text-red-500' : gameState.winner === 'BLUE' ? 'text-blue-500' : 'text-gray-400'}`}>{gameState.winner === 'DRAW' ? 'DRAW!' : `TEAM ${gameState.winner}`}</h1>
-            <div className="flex justify-center gap-12 mt-8 text-4xl font-mono">
-              <div className="text-red-500">Red: {redScore}</div>
-              <div className="text-blue-500">Blue: {blueScore}</div>
-            </div>
-          </div>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-            {sortedPlayers.map(([name, score], index) => (
-              <div key={name} className={`bg-zinc-800/80 rounded-2xl p-6 border-2 flex flex-col items-center shadow-xl transform ${index === 0 ? 'scale-110 border-yellow-500 z-10' : index === 1 ? 'border-gray-400' : 'border-orange-700'}`}>
-                <div className="text-4xl mb-2">{index === 0 ? '👑' : index === 1 ? '🥈' : '🥉'}</div>
-                <div className="text-2xl font-bold truncate max-w-full">{name}</div>
-                <div className="text-zinc-400 font-mono text-xl">{score} clicks</div>
-              </div>
-            ))}
-            {sortedPlayers.length === 0 && <div className="col-span-3 text-center text-zinc-500 py-8 italic">No clicks recorded yet!</div>}
-          </div>
-        </div>
-      )}
+      {gameState.status !== 'LOBBY' && <FlaggedPlayers suspects={suspects} teams={teams} penaltyOf={penaltyOf} onPenalty={handlePenalty} />}
 
-      {gameState.status === 'PLAYING' && (
-        <div className="w-full max-w-6xl mb-12 animate-in fade-in zoom-in duration-500">
-          <div className="flex justify-between mb-2 font-black text-4xl uppercase tracking-tighter">
-            <span className={`text-red-500 ${pulseClass === 'bar-pulse-red' ? 'scale-110' : ''} transition-transform duration-75`}>{redScore}</span>
-            <span className={`text-blue-500 ${pulseClass === 'bar-pulse-blue' ? 'scale-110' : ''} transition-transform duration-75`}>{blueScore}</span>
-          </div>
-          <div className={`relative h-24 w-full bg-zinc-900 rounded-2xl overflow-hidden border-4 border-zinc-800 shadow-[0_0_50px_rgba(0,0,0,0.5)] ${pulseClass} transition-all duration-100`}>
-            <div className="absolute left-1/2 top-0 bottom-0 w-1 bg-white/20 z-10"></div>
-            <div className="absolute top-0 bottom-0 left-0 bg-gradient-to-r from-red-900 to-red-600 transition-all duration-300 ease-out" style={{ width: `${redPercent}%` }}>
-                <div className="absolute right-0 top-0 bottom-0 w-2 bg-white/50 animate-pulse"></div>
-            </div>
-            <div className="absolute top-0 bottom-0 right-0 left-0 bg-gradient-to-l from-blue-900 to-blue-600 -z-10"></div>
-          </div>
-        </div>
-      )}
+      {gameState.status === 'FINISHED' && <RoundResults teams={teams} settings={shownSettings} gameState={gameState} scores={scores} leaderboard={leaderboard} timeline={timeline} />}
 
-      {gameState.status !== 'FINISHED' && (
-        <main className="grid grid-cols-1 md:grid-cols-2 gap-8 w-full max-w-6xl flex-grow opacity-50 hover:opacity-100 transition-opacity">
-          <div className="bg-zinc-900/30 border border-red-900/30 rounded-xl flex flex-col relative overflow-hidden h-[40vh]">
-            <div className="absolute top-0 left-0 w-full h-1 bg-red-600"></div>
-            <div className="p-4 bg-zinc-900/80 border-b border-red-900/20 flex justify-between items-center backdrop-blur-sm"><h2 className="text-xl font-black text-red-500 uppercase italic">Team Red</h2><span className="bg-red-900/20 text-red-500 px-3 py-1 rounded text-sm font-mono">{redPlayers.length} Joined</span></div>
-            <div className="flex-grow overflow-y-auto p-4 space-y-2 scrollbar-hide"><div className="grid grid-cols-2 gap-2">{redPlayers.map(p => <div key={p.id} className="bg-red-950/40 border border-red-900/20 rounded px-3 py-2 text-red-200 font-mono text-xs truncate">{p.nickname}</div>)}</div></div>
-          </div>
-          <div className="bg-zinc-900/30 border border-blue-900/30 rounded-xl flex flex-col relative overflow-hidden h-[40vh]">
-            <div className="absolute top-0 left-0 w-full h-1 bg-blue-600"></div>
-            <div className="p-4 bg-zinc-900/80 border-b border-blue-900/20 flex justify-between items-center backdrop-blur-sm"><h2 className="text-xl font-black text-blue-500 uppercase italic">Team Blue</h2><span className="bg-blue-900/20 text-blue-500 px-3 py-1 rounded text-sm font-mono">{bluePlayers.length} Joined</span></div>
-            <div className="flex-grow overflow-y-auto p-4 space-y-2 scrollbar-hide"><div className="grid grid-cols-2 gap-2">{bluePlayers.map(p => <div key={p.id} className="bg-blue-950/40 border border-blue-900/20 rounded px-3 py-2 text-blue-200 font-mono text-xs truncate">{p.nickname}</div>)}</div></div>
-          </div>
-        </main>
-      )}
+      {(gameState.status === 'COUNTDOWN' || gameState.status === 'PLAYING') && <Countdown countdown={countdown.countdown} elapsed={countdown.elapsed} />}
+
+      {(gameState.status === 'COUNTDOWN' || gameState.status === 'PLAYING') && <LiveStandings teams={teams} settings={shownSettings} scores={scores} pulseTeam={pulseTeam} chaosEvents={chaosEvents} at={countdown.at} />}
+      {gameState.status === 'PLAYING' && <LiveLeaders leaderboard={leaderboard} teams={teams} />}
+
+      {gameState.status !== 'FINISHED' && <TeamRosters teams={teams} players={players} renderPlayer={renderPlayerChip} className="opacity-50 hover:opacity-100 transition-opacity" />}
+
+      {gameState.status === 'LOBBY' && <RoundSettingsPanel settings={settings} onChange={handleSettingChange} />}
+      {gameState.status === 'LOBBY' && <ModerationPanel moderation={moderation} onChange={handleModerationChange} />}
+      {gameState.status === 'LOBBY' && <BotsPanel teams={teams} players={players} onAdd={handleAddBots} onRemoveAll={handleRemoveBots} />}
 
       <footer className="w-full max-w-6xl mt-12 flex justify-center pb-8 gap-4">
-        {gameState.status === 'LOBBY' ? (
-           <button onClick={handleStartGame} disabled={players.length === 0} className="px-12 py-4 bg-white text-black font-black text-xl rounded-full disabled:opacity-50 disabled:cursor-not-allowed hover:scale-105 active:scale-95 transition-all shadow-[0_0_20px_rgba(255,255,255,0.3)]">
-             Start Game {players.length === 0 ? "(Waiting for Players)" : `(${players.length} Ready)`}
-           </button>
-        ) : gameState.status === 'FINISHED' ? (
-           <button onClick={handleReset} className="px-12 py-4 bg-white text-black font-black text-xl rounded-full hover:scale-105 active:scale-95 transition-all shadow-[0_0_20px_rgba(255,255,255,0.3)]">
-             Play Again
-           </button>
-        ) : (
-          <div className="flex flex-col items-center gap-2">
-             <div className="text-2xl font-bold animate-pulse text-green-500">GAME IN PROGRESS</div>
-             {timeLeft <= 5 && (
-               <button onClick={finishGame} className="text-xs bg-red-900/50 text-red-300 px-3 py-1 rounded hover:bg-red-800">
-                 Force Finish
-               </button>
-             )}
-          </div>
-        )}
+        {roundControls}
       </footer>
     </div>
   );
 };
 
+// `?mode=host` runs the room, `?mode=display` is the big screen, anything else is a player.
+const VIEWS = { host: HostView, display: DisplayView };
+
 const AppContent = () => {
-  const [isHost, setIsHost] = useState(false);
+  const [View] = useState(() => VIEWS[new URLSearchParams(window.location.search).get('mode')] || PlayerView);
+  const { gameState } = useContext(GameContext);
+  const { reducedMotion } = useContext(AccessibilityContext);
 
+  // Browsers keep audio locked until the first gesture on the page.
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    if (params.get('mode') === 'host') {
-      setIsHost(true);
-    }
+    window.addEventListener('pointerdown', unlockAudio);
+    window.addEventListener('keydown', unlockAudio);
+    return () => {
+      window.removeEventListener('pointerdown', unlockAudio);
+      window.removeEventListener('keydown', unlockAudio);
+    };
   }, []);
 
   return (
-    <div className="min-h-screen bg-black text-white font-sans selection:bg-red-500 selection:text-white overflow-hidden">
-      {isHost ? <HostView /> : <PlayerView />}
+    <div className={`min-h-screen bg-black text-white font-sans selection:bg-red-500 selection:text-white overflow-hidden ${reducedMotion ? 'reduce-motion' : ''}`}>
+      <View />
+      <StatusAnnouncer />
+      {(gameState.status === 'LOBBY' || gameState.status === 'FINISHED') && <PreferencesMenu />}
     </div>
   );
 };
@@ -617,7 +2711,11 @@ const AppContent = () => {
 const App = () => {
   return (
     <GameProvider>
-      <AppContent />
+      <I18nProvider>
+        <AccessibilityProvider>
+          <AppContent />
+        </AccessibilityProvider>
+      </I18nProvider>
     </GameProvider>
   );
 };
@@ -0,0 +1,78 @@
+import { COUNTDOWN_SECONDS } from './clock';
+
+// --- Accessibility ---
+// Viewing preferences belong to the device, not the room: each phone or
+// screen picks its own palette and motion level, stored in localStorage.
+// The colour-blind palette recolours teams by slot and gives every team a
+// shape and a fill pattern, so no two teams differ by hue alone.
+
+export const PALETTES = { STANDARD: 'STANDARD', COLORBLIND: 'COLORBLIND' };
+
+// SYSTEM follows the OS `prefers-reduced-motion` setting.
+export const MOTION = { SYSTEM: 'SYSTEM', REDUCED: 'REDUCED', FULL: 'FULL' };
+
+export const DEFAULT_PREFERENCES = { palette: PALETTES.STANDARD, motion: MOTION.SYSTEM };
+
+const PREFERENCES_KEY = 'tapwar_accessibility';
+
+export const loadPreferences = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PREFERENCES_KEY)) || {};
+    return {
+      palette: Object.values(PALETTES).includes(stored.palette) ? stored.palette : DEFAULT_PREFERENCES.palette,
+      motion: Object.values(MOTION).includes(stored.motion) ? stored.motion : DEFAULT_PREFERENCES.motion,
+    };
+  } catch {
+    return DEFAULT_PREFERENCES;
+  }
+};
+
+export const savePreferences = (preferences) => localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+
+export const reducesMotion = (preferences, systemReduced) => preferences.motion === MOTION.REDUCED || (preferences.motion === MOTION.SYSTEM && systemReduced);
+
+// Okabe-Ito colours, by team slot; told apart under every common colour vision deficiency.
+const SAFE_COLORS = ['#e69f00', '#0072b2', '#009e73', '#f0e442', '#cc79a7', '#56b4e9'];
+const SHAPES = ['●', '▲', '■', '◆', '★', '✚'];
+const PATTERNS = [
+  { image: 'repeating-linear-gradient(45deg, rgba(0,0,0,0.3) 0 4px, transparent 4px 12px)', size: 'auto' },
+  { image: 'radial-gradient(rgba(0,0,0,0.35) 30%, transparent 32%)', size: '12px 12px' },
+  { image: 'repeating-linear-gradient(0deg, rgba(0,0,0,0.3) 0 4px, transparent 4px 12px)', size: 'auto' },
+  { image: 'conic-gradient(rgba(0,0,0,0.3) 25%, transparent 0 50%, rgba(0,0,0,0.3) 0 75%, transparent 0)', size: '16px 16px' },
+  { image: 'repeating-linear-gradient(-45deg, rgba(0,0,0,0.3) 0 4px, transparent 4px 12px)', size: 'auto' },
+  { image: 'repeating-linear-gradient(90deg, rgba(0,0,0,0.3) 0 4px, transparent 4px 12px)', size: 'auto' },
+];
+
+// The room's teams as this device shows them. Only ever used for display:
+// the host's settings editor keeps working on the room's own colours.
+export const applyPalette = (teams, palette) => {
+  if (palette !== PALETTES.COLORBLIND) return teams;
+  return teams.map((team, i) => ({ ...team, color: SAFE_COLORS[i % SAFE_COLORS.length], mark: SHAPES[i % SHAPES.length], pattern: PATTERNS[i % PATTERNS.length] }));
+};
+
+// Background styles for a team-coloured area: its pattern (if any) over `base`,
+// a CSS image such as a gradient. Without `base` the pattern sits over the
+// element's background colour.
+export const teamFill = (team, base = null) => {
+  const layers = [team.pattern, base && { image: base, size: 'auto' }].filter(Boolean);
+  if (layers.length === 0) return {};
+  return { backgroundImage: layers.map(layer => layer.image).join(', '), backgroundSize: layers.map(layer => layer.size).join(', ') };
+};
+
+// What a screen reader should hear about the room right now.
+export const describeStatus = (gameState, teams, t) => {
+  const teamName = (id) => teams.find(team => team.id === id)?.name || id;
+  switch (gameState.status) {
+    case 'COUNTDOWN':
+      return t('announce.countdown', { count: COUNTDOWN_SECONDS });
+    case 'PLAYING':
+      return t('announce.playing');
+    case 'FINISHED': {
+      if (!gameState.winner) return t('announce.counting');
+      const result = gameState.winner === 'DRAW' ? t('announce.draw') : t('announce.winner', { team: teamName(gameState.winner) });
+      return gameState.series_winner ? t('announce.series', { result, team: teamName(gameState.series_winner) }) : result;
+    }
+    default:
+      return t('announce.lobby');
+  }
+};
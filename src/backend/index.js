@@ -0,0 +1,49 @@
+import { createSupabaseBackend } from './supabase';
+import { createLocalBackend } from './local';
+import { devicePlayerKey } from '../hostAuth';
+
+/**
+ * Realtime backend adapter.
+ *
+ * The views never talk to Supabase directly; everything goes through this
+ * interface so the game can also run fully offline:
+ *
+ *   select(table, match)                  -> Promise<{ data: Row[], error }>
+ *   selectOne(table, match)               -> Promise<{ data: Row | null, error }>
+ *   count(table, match)                   -> Promise<{ count: number, error }>
+ *   insert(table, row)                    -> Promise<{ data: Row, error }>
+ *   update(table, match, patch)           -> Promise<{ data: Row[], error }>
+ *   remove(table, match)                  -> Promise<{ error }>
+ *   onTableChange(table, { event, match }, handler) -> unsubscribe()
+ *     handler receives { eventType: 'INSERT' | 'UPDATE' | 'DELETE', new, old }
+ *   channel(name) -> { on(event, handler), subscribe(), send(event, payload), unsubscribe() }
+ *     broadcast handlers receive the bare payload
+ *   setHostKey(key | null)                -> sends the room's host key with every write
+ *   setPlayerKey(key | null)              -> sends this device's player key with every write
+ *
+ * Only writes with the room's host key may create or change its `game_state`
+ * row, edit its players, add bots to it or record its rounds and profile stats.
+ * A player's row can also be removed, and its click batches sent, with the
+ * player key it joined with. Other writes to those rows are skipped or
+ * refused, the way Postgres row security handles them (see ../hostAuth.js).
+ *
+ * `match` is a plain object of column equality filters, e.g. `{ id: 1 }`.
+ *
+ * Pick the implementation with VITE_BACKEND=supabase|local. When it is unset,
+ * Supabase is used if VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY are present,
+ * otherwise the local in-browser backend.
+ */
+export const createBackend = (env = import.meta.env) => {
+  const hasSupabaseConfig = Boolean(env.VITE_SUPABASE_URL && env.VITE_SUPABASE_ANON_KEY);
+  const kind = env.VITE_BACKEND || (hasSupabaseConfig ? 'supabase' : 'local');
+
+  if (kind === 'supabase') {
+    if (!hasSupabaseConfig) throw new Error('VITE_BACKEND=supabase requires VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY');
+    return createSupabaseBackend({ url: env.VITE_SUPABASE_URL, anonKey: env.VITE_SUPABASE_ANON_KEY });
+  }
+  if (kind === 'local') return createLocalBackend();
+  throw new Error(`Unknown VITE_BACKEND "${kind}" (expected "supabase" or "local")`);
+};
+
+export const backend = createBackend();
+backend.setPlayerKey(devicePlayerKey());
@@ -0,0 +1,184 @@
+/**
+ * Offline implementation of the backend adapter (see ./index.js).
+ *
+ * Tables live in localStorage, so every tab on the same origin shares them.
+ * Table changes and broadcast channels are fanned out to the other tabs over
+ * BroadcastChannel, which is enough to run a host and several player tabs on
+ * one machine with no network at all.
+ */
+
+import { ROOM_TTL_MS } from '../rooms';
+
+const ok = (data) => Promise.resolve({ data, error: null });
+
+const matches = (row, match = {}) => Object.entries(match).every(([key, value]) => row?.[key] === value);
+
+const forbidden = () => Promise.resolve({ data: null, error: { code: '42501', message: 'new row violates row-level security policy' } });
+
+const newId = () => (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+export const createLocalBackend = ({ namespace = 'tapwar_local' } = {}) => {
+  const dbBus = new BroadcastChannel(`${namespace}:db`);
+  const tableListeners = new Set();
+
+  const storageKey = (table) => `${namespace}:table:${table}`;
+
+  // Mirrors the host-key and player-key row policies in supabase/schema.sql.
+  // The keys sit in this browser's storage like everything else, so this only
+  // keeps the local backend behaving the same; it protects nothing.
+  let hostKey = null;
+  let playerKey = null;
+  const hostKeysKey = `${namespace}:host_keys`;
+  const playerKeysKey = `${namespace}:player_keys`;
+  const readKeys = (key) => JSON.parse(localStorage.getItem(key) || '{}');
+  const writeKeys = (key, keys) => localStorage.setItem(key, JSON.stringify(keys));
+  const isHost = (roomCode) => hostKey !== null && readKeys(hostKeysKey)[roomCode] === hostKey;
+  const isPlayer = (playerId) => playerKey !== null && readKeys(playerKeysKey)[playerId] === playerKey;
+  const sendsFor = (batch) => readTable('players').some((player) => player.id === batch.player_id && player.room_code === batch.room_code
+    && (player.profile_id ?? null) === (batch.profile_id ?? null) && player.team === batch.team
+    && (isPlayer(player.id) || (player.bot && isHost(batch.room_code))));
+  const credits = (profile) => readTable('clicks').some((batch) => batch.profile_id === profile.id && isHost(batch.room_code));
+  const mayWrite = (table, eventType, row) => {
+    if (table === 'game_state' && eventType === 'DELETE') return isHost(row.room_code) || Date.now() - new Date(row.last_active_at || 0).getTime() > ROOM_TTL_MS;
+    if (table === 'game_state' || (table === 'players' && eventType === 'UPDATE')) return isHost(row.room_code);
+    // Only the host adds bots.
+    if (table === 'players' && eventType === 'INSERT') return row.bot ? isHost(row.room_code) : playerKey !== null;
+    if (table === 'players') return isPlayer(row.id) || isHost(row.room_code);
+    if (table === 'clicks') return eventType === 'INSERT' ? sendsFor(row) : isHost(row.room_code);
+    if (table === 'rounds') return isHost(row.room_code);
+    if (table === 'profiles') return credits(row);
+    return true;
+  };
+
+  const readTable = (table) => {
+    const stored = localStorage.getItem(storageKey(table));
+    return stored ? JSON.parse(stored) : [];
+  };
+
+  const writeTable = (table, rows) => localStorage.setItem(storageKey(table), JSON.stringify(rows));
+
+  const notify = (change) => {
+    const row = change.eventType === 'DELETE' ? change.old : change.new;
+    tableListeners.forEach((listener) => {
+      if (listener.table !== change.table) return;
+      if (listener.event !== '*' && listener.event !== change.eventType) return;
+      if (!matches(row, listener.match)) return;
+      listener.handler({ eventType: change.eventType, new: change.new, old: change.old });
+    });
+  };
+
+  // BroadcastChannel never delivers to the sender, so local listeners are notified directly.
+  const emit = (change) => {
+    notify(change);
+    dbBus.postMessage(change);
+  };
+
+  dbBus.onmessage = ({ data }) => notify(data);
+
+  const deleteRows = (table, shouldDelete) => {
+    const rows = readTable(table);
+    const removed = rows.filter(shouldDelete);
+    writeTable(table, rows.filter((row) => !removed.includes(row)));
+    if (table === 'players') {
+      const keys = readKeys(playerKeysKey);
+      removed.forEach((row) => delete keys[row.id]);
+      writeKeys(playerKeysKey, keys);
+    }
+    removed.forEach((old) => emit({ table, eventType: 'DELETE', new: {}, old }));
+    return removed;
+  };
+
+  return {
+    name: 'local',
+
+    select: (table, match = {}) => ok(readTable(table).filter((row) => matches(row, match))),
+
+    selectOne: (table, match = {}) => ok(readTable(table).find((row) => matches(row, match)) || null),
+
+    count: (table, match = {}) => Promise.resolve({ count: readTable(table).filter((row) => matches(row, match)).length, error: null }),
+
+    insert: (table, row) => {
+      if (table === 'game_state') {
+        if (!hostKey) return forbidden();
+        writeKeys(hostKeysKey, { ...readKeys(hostKeysKey), [row.room_code]: hostKey });
+      } else if (!mayWrite(table, 'INSERT', row)) {
+        return forbidden();
+      }
+      const inserted = { id: newId(), created_at: new Date().toISOString(), ...row };
+      if (table === 'players') writeKeys(playerKeysKey, { ...readKeys(playerKeysKey), [inserted.id]: playerKey });
+      writeTable(table, [...readTable(table), inserted]);
+      emit({ table, eventType: 'INSERT', new: inserted, old: {} });
+      return ok(inserted);
+    },
+
+    update: (table, match, patch) => {
+      const updated = [];
+      const rows = readTable(table).map((row) => {
+        if (!matches(row, match) || !mayWrite(table, 'UPDATE', row)) return row;
+        const next = { ...row, ...patch };
+        updated.push([row, next]);
+        return next;
+      });
+      writeTable(table, rows);
+      updated.forEach(([old, next]) => emit({ table, eventType: 'UPDATE', new: next, old }));
+      return ok(updated.map(([, next]) => next));
+    },
+
+    remove: (table, match) => {
+      const removed = deleteRows(table, (row) => matches(row, match) && mayWrite(table, 'DELETE', row));
+      if (table === 'game_state') {
+        const keys = readKeys(hostKeysKey);
+        removed.forEach((row) => delete keys[row.room_code]);
+        writeKeys(hostKeysKey, keys);
+        // Like `on delete cascade`, which is how the sweep clears out a room's rows.
+        const codes = removed.map((row) => row.room_code);
+        deleteRows('clicks', (row) => codes.includes(row.room_code));
+        deleteRows('players', (row) => codes.includes(row.room_code));
+      }
+      return ok(null);
+    },
+
+    setHostKey: (key) => {
+      hostKey = key;
+    },
+
+    setPlayerKey: (key) => {
+      playerKey = key;
+    },
+
+    onTableChange: (table, { event = '*', match = {} } = {}, handler) => {
+      const listener = { table, event, match, handler };
+      tableListeners.add(listener);
+      return () => tableListeners.delete(listener);
+    },
+
+    channel: (name) => {
+      const handlers = {};
+      const busName = `${namespace}:channel:${name}`;
+      let bus = null;
+      const channel = {
+        on(event, handler) {
+          handlers[event] = [...(handlers[event] || []), handler];
+          return channel;
+        },
+        subscribe() {
+          bus = new BroadcastChannel(busName);
+          bus.onmessage = ({ data }) => (handlers[data.event] || []).forEach((handler) => handler(data.payload));
+          return channel;
+        },
+        send(event, payload) {
+          // Like Supabase, sending works without subscribing first.
+          const target = bus || new BroadcastChannel(busName);
+          target.postMessage({ event, payload });
+          if (!bus) target.close();
+          return Promise.resolve('ok');
+        },
+        unsubscribe() {
+          if (bus) bus.close();
+          bus = null;
+        },
+      };
+      return channel;
+    },
+  };
+};
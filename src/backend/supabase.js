@@ -0,0 +1,105 @@
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * Supabase implementation of the backend adapter (see ./index.js).
+ * Tables map 1:1 onto Postgres tables, table changes onto `postgres_changes`
+ * and channels onto Realtime broadcast channels.
+ */
+export const createSupabaseBackend = ({ url, anonKey }) => {
+  const client = createClient(url, anonKey);
+  let subscriptionSeq = 0;
+  const sharedChannels = {};
+  // Row policies only let writes carrying the room's host key touch it, and a
+  // player's row and clicks take the player key it joined with (see supabase/schema.sql).
+  let hostKey = null;
+  let playerKey = null;
+  const withKeys = (query) => {
+    const hosted = hostKey ? query.setHeader('x-host-key', hostKey) : query;
+    return playerKey ? hosted.setHeader('x-player-key', playerKey) : hosted;
+  };
+
+  return {
+    name: 'supabase',
+
+    select: (table, match = {}) => client.from(table).select().match(match),
+
+    selectOne: (table, match = {}) => client.from(table).select().match(match).maybeSingle(),
+
+    count: async (table, match = {}) => {
+      const { count, error } = await client.from(table).select('*', { count: 'exact', head: true }).match(match);
+      return { count: count || 0, error };
+    },
+
+    insert: (table, row) => withKeys(client.from(table).insert(row).select().single()),
+
+    update: (table, match, patch) => withKeys(client.from(table).update(patch).match(match).select()),
+
+    remove: (table, match) => withKeys(client.from(table).delete().match(match)),
+
+    setHostKey: (key) => {
+      hostKey = key;
+    },
+
+    setPlayerKey: (key) => {
+      playerKey = key;
+    },
+
+    onTableChange: (table, { event = '*', match = {} } = {}, handler) => {
+      // Realtime only accepts a single `col=eq.value` filter and cannot filter
+      // DELETEs at all, so everything is re-checked client-side. DELETE rows
+      // carry their columns only with `replica identity full` (see supabase/schema.sql).
+      const [filterKey] = Object.keys(match);
+      const filter = filterKey !== undefined && event !== 'DELETE' && event !== '*' ? `${filterKey}=eq.${match[filterKey]}` : undefined;
+      // Topics are de-duplicated per client, so every subscription needs its own.
+      const channel = client
+        .channel(`db:${table}:${++subscriptionSeq}`)
+        .on('postgres_changes', { event, schema: 'public', table, filter }, (payload) => {
+          const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+          const matches = Object.entries(match).every(([key, value]) => row?.[key] === value);
+          if (matches) handler({ eventType: payload.eventType, new: payload.new, old: payload.old });
+        })
+        .subscribe();
+      return () => client.removeChannel(channel);
+    },
+
+    channel: (name) => {
+      // Same-topic channels would collide here too, but broadcast topics have
+      // to match across clients. So every view opening `name` shares one
+      // Realtime channel, keeps its own handlers, and the last one out closes it.
+      if (!sharedChannels[name]) sharedChannels[name] = { realtime: client.channel(name), events: new Set(), members: new Set(), joined: false };
+      const shared = sharedChannels[name];
+      const handlers = {};
+      const member = (event, payload) => (handlers[event] || []).forEach((handler) => handler(payload));
+      const channel = {
+        on(event, handler) {
+          handlers[event] = [...(handlers[event] || []), handler];
+          if (!shared.events.has(event)) {
+            shared.events.add(event);
+            // Supabase wraps broadcasts in an envelope; handlers only ever want the payload.
+            shared.realtime.on('broadcast', { event }, ({ payload }) => shared.members.forEach((m) => m(event, payload)));
+          }
+          return channel;
+        },
+        subscribe() {
+          shared.members.add(member);
+          if (!shared.joined) {
+            shared.joined = true;
+            shared.realtime.subscribe();
+          }
+          return channel;
+        },
+        send(event, payload) {
+          return shared.realtime.send({ type: 'broadcast', event, payload });
+        },
+        unsubscribe() {
+          shared.members.delete(member);
+          if (shared.members.size === 0 && sharedChannels[name] === shared) {
+            delete sharedChannels[name];
+            client.removeChannel(shared.realtime);
+          }
+        },
+      };
+      return channel;
+    },
+  };
+};
@@ -0,0 +1,118 @@
+import { createTally, drainTally, recordTap } from './tapBatcher';
+import { pickSmallestTeam } from './teams';
+
+// --- Bots ---
+// Host-controlled players for filling empty seats or evening out the teams. A
+// bot is an ordinary `players` row whose `bot` column holds its skill profile;
+// it joins through the same team balancing as a phone, and the host tab taps
+// for it. Every batch interval (and at the whistle) each bot seals a numbered
+// batch from its tally (see ./tapBatcher.js) the way PlayerView does, and it
+// goes into the `clicks` table and the host's ingest like anyone else's. Bot
+// batches carry `bot: true`, so rosters and leaderboards can mark them and MVP
+// skips them.
+
+// Skill profiles: average taps per second at GO, how uneven the tapping is
+// (0 steady, 0.5 alternating spurts at 1.5× and breathers at 0.5× the pace)
+// and how much of the pace is gone by the whistle.
+export const BOT_SKILLS = {
+  ROOKIE: { taps_per_second: 4, burstiness: 0.4, fatigue: 0.3 },
+  REGULAR: { taps_per_second: 7, burstiness: 0.25, fatigue: 0.2 },
+  PRO: { taps_per_second: 10, burstiness: 0.1, fatigue: 0.1 },
+};
+export const DEFAULT_BOT_SKILL = 'REGULAR';
+
+// Comfortably under what the ledger flags as inhuman (see ./clickLedger.js),
+// even in a spurt.
+export const MAX_BOT_TAPS_PER_SECOND = 12;
+export const MAX_BOT_BURSTINESS = 0.5;
+export const MAX_BOT_FATIGUE = 0.8;
+
+// Bots do not all leap in the instant GO shows.
+const REACTION_MS = 150;
+const REACTION_RANGE_MS = 350;
+// Spurts and breathers last 0.5-1.5 s each.
+const PHASE_MS = 500;
+const PHASE_RANGE_MS = 1000;
+// Intervals wobble like a person's, so the autoclicker check has nothing to flag.
+const TAP_WOBBLE = 0.3;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const numberOr = (value, fallback) => (Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : fallback);
+
+export const normalizeBotSkill = (skill) => {
+  const source = skill && typeof skill === 'object' ? skill : {};
+  const fallback = BOT_SKILLS[DEFAULT_BOT_SKILL];
+  return {
+    taps_per_second: Math.round(clamp(numberOr(source.taps_per_second, fallback.taps_per_second), 1, MAX_BOT_TAPS_PER_SECOND) * 10) / 10,
+    burstiness: Math.round(clamp(numberOr(source.burstiness, fallback.burstiness), 0, MAX_BOT_BURSTINESS) * 100) / 100,
+    fatigue: Math.round(clamp(numberOr(source.fatigue, fallback.fatigue), 0, MAX_BOT_FATIGUE) * 100) / 100,
+  };
+};
+
+// The preset a skill profile matches, or null for a custom one.
+export const botSkillPreset = (skill) => {
+  const normalized = normalizeBotSkill(skill);
+  return Object.keys(BOT_SKILLS).find(key => Object.entries(BOT_SKILLS[key]).every(([field, value]) => normalized[field] === value)) || null;
+};
+
+// One bot's taps through one round, on the host's clock. `startsAt` and
+// `endsAt` are GO and the whistle; a bot that starts later (added mid-round,
+// or after the host tab reloaded) begins at `from`. Its pace falls linearly by
+// `fatigue` between GO and the whistle.
+export const createBotTapper = (skill, { startsAt, endsAt, from = startsAt, random = Math.random }) => {
+  const { taps_per_second: pace, burstiness, fatigue } = normalizeBotSkill(skill);
+  let spurt = random() < 0.5;
+  let phaseEndsAt = -Infinity;
+  let nextTapAt = Math.max(startsAt, from) + REACTION_MS + random() * REACTION_RANGE_MS;
+  const tally = createTally();
+
+  const paceAt = (at) => {
+    if (at >= phaseEndsAt) {
+      spurt = !spurt;
+      phaseEndsAt = at + PHASE_MS + random() * PHASE_RANGE_MS;
+    }
+    const progress = clamp((at - startsAt) / Math.max(1, endsAt - startsAt), 0, 1);
+    return pace * (1 - fatigue * progress) * (spurt ? 1 + burstiness : 1 - burstiness);
+  };
+
+  return {
+    // The taps since the last call, up to `at`, with the inter-tap interval
+    // stats a phone sends along (ms, one decimal).
+    tapsUntil: (at) => {
+      const until = Math.min(at, endsAt);
+      while (nextTapAt < until) {
+        recordTap(tally, nextTapAt);
+        nextTapAt += (1000 / paceAt(nextTapAt)) * (1 + (random() - 0.5) * TAP_WOBBLE);
+      }
+      return drainTally(tally);
+    },
+  };
+};
+
+// Teams for the bots that bring every team up to the biggest one (at least
+// one player each), smallest teams first.
+export const botsToBalance = (teams, players) => {
+  const counts = {};
+  players.forEach(player => {
+    counts[player.team] = (counts[player.team] || 0) + 1;
+  });
+  const target = Math.max(1, ...teams.map(team => counts[team.id] || 0));
+  const added = [];
+  for (let missing = teams.reduce((sum, team) => sum + target - (counts[team.id] || 0), 0); missing > 0; missing--) {
+    const team = pickSmallestTeam(teams, counts);
+    counts[team] = (counts[team] || 0) + 1;
+    added.push(team);
+  }
+  return added;
+};
+
+// The first `count` bot names (`nameFor(1)`, `nameFor(2)`...) that nobody in
+// the room goes by yet.
+export const freeBotNames = (players, count, nameFor) => {
+  const taken = new Set(players.map(player => player.nickname));
+  const names = [];
+  for (let number = 1; names.length < count; number++) {
+    if (!taken.has(nameFor(number))) names.push(nameFor(number));
+  }
+  return names;
+};
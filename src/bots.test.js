@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import { BOT_SKILLS, MAX_BOT_TAPS_PER_SECOND, botSkillPreset, botsToBalance, createBotTapper, freeBotNames, normalizeBotSkill } from './bots';
+import { flaggedPlayers, rankPlayers, recordBatch } from './clickLedger';
+import { createRoundLedger } from './engine';
+import { roundResults } from './profiles';
+import { seededRandom } from './simulator';
+
+const GO = Date.UTC(2026, 0, 1, 12, 0, 0);
+const ROUND_MS = 30000;
+
+// Taps per second over the round, sampled once a second like a batch interval.
+const tapSeconds = (skill, seed = 1) => {
+  const tapper = createBotTapper(skill, { startsAt: GO, endsAt: GO + ROUND_MS, random: seededRandom(seed) });
+  return Array.from({ length: ROUND_MS / 1000 + 2 }, (_, i) => tapper.tapsUntil(GO + (i + 1) * 1000));
+};
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+describe('normalizeBotSkill', () => {
+  it('fills in the default profile and keeps values in range', () => {
+    expect(normalizeBotSkill(null)).toEqual(BOT_SKILLS.REGULAR);
+    expect(normalizeBotSkill({ taps_per_second: 40, burstiness: -1, fatigue: 2 })).toEqual({ taps_per_second: MAX_BOT_TAPS_PER_SECOND, burstiness: 0, fatigue: 0.8 });
+  });
+
+  it('knows the presets', () => {
+    expect(botSkillPreset(BOT_SKILLS.PRO)).toBe('PRO');
+    expect(botSkillPreset({ ...BOT_SKILLS.PRO, fatigue: 0.5 })).toBeNull();
+  });
+});
+
+describe('createBotTapper', () => {
+  it('taps at about its pace, only between GO and the whistle', () => {
+    const steady = { taps_per_second: 8, burstiness: 0, fatigue: 0 };
+    const seconds = tapSeconds(steady);
+    expect(sum(seconds.map(s => s.count)) / (ROUND_MS / 1000)).toBeCloseTo(8, 0);
+    expect(seconds.slice(-2).every(s => s.count === 0)).toBe(true);
+    const tapper = createBotTapper(steady, { startsAt: GO, endsAt: GO + ROUND_MS });
+    expect(tapper.tapsUntil(GO).count).toBe(0);
+  });
+
+  it('slows down with fatigue', () => {
+    const counts = tapSeconds({ taps_per_second: 10, burstiness: 0, fatigue: 0.6 }).map(s => s.count);
+    expect(sum(counts.slice(0, 5))).toBeGreaterThan(1.8 * sum(counts.slice(25, 30)));
+  });
+
+  it('alternates spurts and breathers when bursty', () => {
+    const spread = (skill) => {
+      const counts = tapSeconds(skill, 3).slice(0, 30).map(s => s.count);
+      return Math.max(...counts) - Math.min(...counts);
+    };
+    expect(spread({ taps_per_second: 8, burstiness: 0.5, fatigue: 0 })).toBeGreaterThan(spread({ taps_per_second: 8, burstiness: 0, fatigue: 0 }));
+  });
+
+  it('starts from `from` rather than GO when it joins late', () => {
+    const tapper = createBotTapper(BOT_SKILLS.PRO, { startsAt: GO, endsAt: GO + ROUND_MS, from: GO + 10000 });
+    expect(tapper.tapsUntil(GO + 10000).count).toBe(0);
+    expect(tapper.tapsUntil(GO + 11000).count).toBeLessThanOrEqual(12);
+  });
+
+  it('looks human to the ledger, even flat out', () => {
+    const ledger = createRoundLedger(new Date(GO).toISOString(), ROUND_MS / 1000, 1000);
+    tapSeconds({ taps_per_second: MAX_BOT_TAPS_PER_SECOND, burstiness: 0.5, fatigue: 0 }).forEach((taps, i) => {
+      recordBatch(ledger, { player_id: 'b1', team: 'RED', nickname: 'Bot 1', seq: i + 1, count: taps.count, interval_mean: taps.interval_mean, interval_sd: taps.interval_sd, sent_at: GO + (i + 1) * 1000 });
+    });
+    expect(ledger.players.b1.flags).toEqual({});
+  });
+});
+
+describe('bots in the results', () => {
+  it('are ranked and marked, but never flagged or MVP', () => {
+    const ledger = createRoundLedger(new Date(GO).toISOString(), ROUND_MS / 1000, 1000);
+    recordBatch(ledger, { player_id: 'b1', team: 'RED', nickname: 'Bot 1', seq: 1, count: 40, sent_at: GO + 1000, bot: true });
+    recordBatch(ledger, { player_id: 'p1', team: 'BLUE', nickname: 'Ana', seq: 1, count: 9, sent_at: GO + 1000, profile_id: 'ana' });
+    expect(rankPlayers(ledger).map(player => [player.id, player.bot])).toEqual([['b1', true], ['p1', false]]);
+    expect(ledger.players.b1.flags.BATCH_LIMIT).toBe(true);
+    expect(flaggedPlayers(ledger)).toEqual([]);
+    expect(roundResults(ledger, {}, 'RED')).toEqual([expect.objectContaining({ profile_id: 'ana', mvp: true })]);
+  });
+});
+
+describe('botsToBalance', () => {
+  const teams = [{ id: 'RED' }, { id: 'BLUE' }, { id: 'GREEN' }];
+
+  it('brings every team up to the biggest one', () => {
+    const players = [{ team: 'RED' }, { team: 'RED' }, { team: 'RED' }, { team: 'BLUE' }];
+    expect(botsToBalance(teams, players)).toEqual(['GREEN', 'BLUE', 'GREEN', 'BLUE', 'GREEN']);
+    expect(botsToBalance(teams.slice(0, 1), players)).toEqual([]);
+  });
+
+  it('seats one bot per team in an empty room', () => {
+    expect(botsToBalance(teams, [])).toEqual(['RED', 'BLUE', 'GREEN']);
+  });
+});
+
+describe('freeBotNames', () => {
+  it('skips names already in the room', () => {
+    const players = [{ nickname: 'Bot 1' }, { nickname: 'Bot 3' }, { nickname: 'Ana' }];
+    expect(freeBotNames(players, 3, (number) => `Bot ${number}`)).toEqual(['Bot 2', 'Bot 4', 'Bot 5']);
+  });
+});
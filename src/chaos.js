@@ -0,0 +1,99 @@
+// --- Chaos Events ---
+// During the chaos window the host fires random events. Each one is written
+// to `game_state.chaos_events` (the record every client and the scoring reads)
+// and broadcast on the room channel as `chaos-event` so phones react at once.
+// Times are ms on the host's clock (see ./clock.js).
+//
+//   GOLDEN  every tap is worth more for a few seconds
+//   FREEZE  a power-up pops up on every phone; the first player to grab it
+//           stops the opposing teams' buttons for a few seconds
+//   DOUBLE  a power-up pops up on every phone; the first player to grab it
+//           taps double for a while
+//
+// Power-ups are grabbed with `powerup-grab`, which the host confirms.
+
+export const CHAOS_EVENTS = {
+  GOLDEN: 'GOLDEN',
+  FREEZE: 'FREEZE',
+  DOUBLE: 'DOUBLE',
+};
+
+export const POWER_UPS = [CHAOS_EVENTS.FREEZE, CHAOS_EVENTS.DOUBLE];
+
+export const CHAOS_EVENT_INFO = {
+  GOLDEN: { emoji: '🌟', durationMs: 4000, multiplier: 3 },
+  FREEZE: { emoji: '🧊', durationMs: 3000, multiplier: 0 },
+  DOUBLE: { emoji: '⚡', durationMs: 5000, multiplier: 2 },
+};
+
+// How long an unclaimed power-up stays on screen, plus some slack for grabs
+// that were in flight when it expired.
+export const POWERUP_GRAB_MS = 2500;
+const GRAB_SLACK_MS = 500;
+// Quiet time between events, so they do not all stack up.
+const MIN_GAP_MS = 2500;
+const MAX_GAP_MS = 4500;
+
+export const nextEventDelay = (random = Math.random) => MIN_GAP_MS + random() * (MAX_GAP_MS - MIN_GAP_MS);
+
+export const createChaosEvent = ({ roundId, now, random = Math.random }) => {
+  const types = Object.values(CHAOS_EVENTS);
+  const type = types[Math.floor(random() * types.length)];
+  const event = { id: `${now.toString(36)}-${Math.floor(random() * 1e6).toString(36)}`, round_id: roundId, type };
+
+  if (POWER_UPS.includes(type)) {
+    // Positions are percentages of the screen, kept clear of the edges.
+    return { ...event, x: 15 + random() * 70, y: 20 + random() * 60, grab_until: now + POWERUP_GRAB_MS, player_id: null, team: null, starts_at: null, ends_at: null };
+  }
+  return { ...event, starts_at: now, ends_at: now + CHAOS_EVENT_INFO.GOLDEN.durationMs };
+};
+
+export const isUpForGrabs = (event, at) => POWER_UPS.includes(event.type) && !event.player_id && at <= event.grab_until;
+
+// Returns the claimed event, or null when somebody was faster or it expired.
+// The grabber's team is the one a freeze spares.
+export const claimPowerUp = (event, player, now) => {
+  if (!event || !POWER_UPS.includes(event.type) || event.player_id || now > event.grab_until + GRAB_SLACK_MS) return null;
+  return { ...event, player_id: player.id, nickname: player.nickname, team: player.team, starts_at: now, ends_at: now + CHAOS_EVENT_INFO[event.type].durationMs };
+};
+
+export const isEventActive = (event, at) => event.starts_at !== null && event.ends_at !== null && at >= event.starts_at && at < event.ends_at;
+
+// What a tap by `player` at `at` is worth, relative to a normal one.
+export const multiplierAt = (events = [], player, at) => events.reduce((multiplier, event) => {
+  if (!isEventActive(event, at)) return multiplier;
+  if (event.type === CHAOS_EVENTS.FREEZE) return event.team !== player.team ? 0 : multiplier;
+  if (event.type === CHAOS_EVENTS.DOUBLE) return event.player_id === player.id ? multiplier * CHAOS_EVENT_INFO.DOUBLE.multiplier : multiplier;
+  return multiplier * CHAOS_EVENT_INFO[event.type].multiplier;
+}, 1);
+
+// The average of multiplierAt over [from, to), for taps spread evenly across
+// it: an event that covers half the span counts for half of them.
+export const averageMultiplier = (events = [], player, from, to) => {
+  if (to <= from) return multiplierAt(events, player, from);
+  const edges = [from, to];
+  events.forEach(event => [event.starts_at, event.ends_at].forEach(edge => {
+    if (edge !== null && edge !== undefined && edge > from && edge < to) edges.push(edge);
+  }));
+  edges.sort((a, b) => a - b);
+  let weighted = 0;
+  for (let i = 1; i < edges.length; i++) weighted += (edges[i] - edges[i - 1]) * multiplierAt(events, player, (edges[i - 1] + edges[i]) / 2);
+  return weighted / (to - from);
+};
+
+// Newer copies of an event (a claimed power-up) replace older ones.
+export const mergeChaosEvents = (events, incoming) => {
+  const byId = Object.fromEntries(events.map(event => [event.id, event]));
+  incoming.forEach(event => {
+    const known = byId[event.id];
+    if (!known || (!known.player_id && event.player_id)) byId[event.id] = event;
+  });
+  return Object.values(byId);
+};
+
+export const describeChaosEvent = (event, teamName, t) => {
+  const info = CHAOS_EVENT_INFO[event.type];
+  if (event.type === CHAOS_EVENTS.FREEZE) return event.player_id ? t('chaos.frozen', { emoji: info.emoji, nickname: event.nickname, team: teamName(event.team) }) : t('chaos.freezeUpForGrabs', { emoji: info.emoji });
+  if (event.type === CHAOS_EVENTS.DOUBLE) return event.player_id ? t('chaos.grabbed', { emoji: info.emoji, nickname: event.nickname }) : t('chaos.upForGrabs', { emoji: info.emoji });
+  return t('chaos.golden', { emoji: info.emoji, multiplier: info.multiplier });
+};
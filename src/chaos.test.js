@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { CHAOS_EVENTS, CHAOS_EVENT_INFO, claimPowerUp, createChaosEvent, isUpForGrabs, multiplierAt } from './chaos';
+import { effectiveCount, recordBatch } from './clickLedger';
+import { createRoundLedger } from './engine';
+
+const GO = Date.UTC(2026, 0, 1, 12, 0, 0);
+// Always picks the middle of the event types, FREEZE.
+const freeze = () => createChaosEvent({ roundId: 'r1', now: GO + 1000, random: () => 0.5 });
+const ana = { id: 'p1', nickname: 'Ana', team: 'RED' };
+
+describe('FREEZE', () => {
+  it('is up for grabs until somebody takes it', () => {
+    const event = freeze();
+    expect(event.type).toBe(CHAOS_EVENTS.FREEZE);
+    expect(isUpForGrabs(event, GO + 1000)).toBe(true);
+    expect(multiplierAt([event], { id: 'p2', team: 'BLUE' }, GO + 1000)).toBe(1);
+    const claimed = claimPowerUp(event, ana, GO + 1500);
+    expect(isUpForGrabs(claimed, GO + 1500)).toBe(false);
+    expect(claimPowerUp(claimed, { id: 'p2', nickname: 'Ben', team: 'BLUE' }, GO + 1600)).toBeNull();
+  });
+
+  it('stops the teams opposing whoever grabbed it', () => {
+    const claimed = claimPowerUp(freeze(), ana, GO + 1500);
+    expect(multiplierAt([claimed], { id: 'p3', team: 'RED' }, GO + 2000)).toBe(1);
+    expect(multiplierAt([claimed], { id: 'p2', team: 'BLUE' }, GO + 2000)).toBe(0);
+    expect(multiplierAt([claimed], { id: 'p4', team: 'GREEN' }, GO + 2000)).toBe(0);
+    expect(multiplierAt([claimed], { id: 'p2', team: 'BLUE' }, GO + 1500 + CHAOS_EVENT_INFO.FREEZE.durationMs)).toBe(1);
+  });
+});
+
+describe('chaos in the ledger', () => {
+  const golden = { id: 'g', round_id: 'r1', type: CHAOS_EVENTS.GOLDEN, starts_at: GO + 1500, ends_at: GO + 5500 };
+  const tally = (events, sentAt) => {
+    const ledger = createRoundLedger(new Date(GO).toISOString(), 30, 1000);
+    ledger.events = events;
+    recordBatch(ledger, { player_id: 'p1', team: 'RED', nickname: 'Ana', seq: 1, count: 10, sent_at: sentAt });
+    return effectiveCount(ledger, ledger.players.p1);
+  };
+
+  it('multiplies only the share of a batch the event covered', () => {
+    expect(tally([golden], GO + 2000)).toBe(20);
+    expect(tally([golden], GO + 3000)).toBe(30);
+    expect(tally([golden], GO + 6000)).toBe(20);
+    expect(tally([golden], GO + 1500)).toBe(10);
+  });
+
+  it('only lets through the taps from before a freeze began', () => {
+    const claimed = claimPowerUp(freeze(), ana, GO + 1250);
+    expect(tally([claimed], GO + 2000)).toBe(10);
+    const blue = createRoundLedger(new Date(GO).toISOString(), 30, 1000);
+    blue.events = [claimed];
+    recordBatch(blue, { player_id: 'p2', team: 'BLUE', nickname: 'Ben', seq: 1, count: 8, sent_at: GO + 2000 });
+    expect(effectiveCount(blue, blue.players.p2)).toBe(2);
+  });
+});
@@ -0,0 +1,265 @@
+import { averageMultiplier } from './chaos';
+
+// --- Click Ledger ---
+// Players send their taps in numbered batches (seq 1, 2, 3... per player per
+// round) and every batch is persisted in the `clicks` table. The ledger keeps
+// one entry per (player, seq), so a batch that arrives twice (over broadcast
+// and again from the database, or from a retry) is only counted once, and a
+// seq that never arrived shows up as a gap. The copy in the database is the
+// one that counts in the end; a broadcast only gets the score moving early.
+//
+// This is also where tap plausibility is enforced: a batch can never count for
+// more than a human could tap in one batch interval, a player can never have
+// more taps credited than they could have tapped since GO, and players whose
+// batches look machine-made are flagged for the host.
+
+export const BATCH_INTERVAL_MS = 1000;
+
+// How often the host sends phones a score snapshot during a round.
+export const SNAPSHOT_INTERVAL_MS = 1000;
+
+// After the whistle the host waits this long for batches that were still in
+// flight (or buffered on a flaky phone) before it settles the round.
+export const FINISH_GRACE_MS = 3000;
+// Phones seal their last batch at the whistle; allow for timer and clock jitter.
+const LATE_SEAL_MS = 1000;
+
+// Short bursts from very fast tappers reach ~20/s; nobody sustains that.
+export const MAX_TAPS_PER_SECOND = 20;
+const SUSTAINED_TAPS_PER_SECOND = 14;
+const SUSTAINED_WINDOW = 5;
+// Human tap intervals wobble by 10-20%; autoclickers are near-metronomic.
+const REGULAR_INTERVAL_CV = 0.05;
+const REGULAR_MIN_TAPS = 10;
+const REGULAR_MIN_BATCHES = 3;
+// Discounted players only get credit up to a comfortably human rate.
+const DISCOUNTED_TAPS_PER_SECOND = 8;
+
+// A little slack for timer jitter between the player's batches.
+export const maxTapsPerBatch = (batchIntervalMs = BATCH_INTERVAL_MS) => Math.ceil(MAX_TAPS_PER_SECOND * (batchIntervalMs / 1000) * 1.25);
+
+// By `at` (ms, host clock), at the same rate with one batch of slack for clock error.
+const tapsAllowedBy = (ledger, at) => maxTapsPerBatch(ledger.batchIntervalMs) * (Math.max(0, at - ledger.startsAt) / ledger.batchIntervalMs + 1);
+
+// How much a batch sealed at `at` may still add without the player having
+// more taps credited, at that or any later seal, than tapsAllowedBy. Order
+// does not matter: however the batches arrive, honest ones always fit.
+// Unstamped batches count as sealed at the whistle.
+const headroom = (ledger, player, at) => {
+  if (ledger.startsAt === null || ledger.endsAt === null) return Infinity;
+  const sealed = Object.keys(player.batches)
+    .map(seq => ({ at: player.sentAt[seq] ?? ledger.endsAt, count: player.batches[seq] }))
+    .sort((a, b) => a.at - b.at);
+  let credited = 0;
+  let room = Infinity;
+  sealed.forEach(batch => {
+    credited += batch.count;
+    if (batch.at >= at) room = Math.min(room, tapsAllowedBy(ledger, batch.at) - credited);
+  });
+  const before = sealed.filter(batch => batch.at <= at).reduce((sum, batch) => sum + batch.count, 0);
+  return Math.max(0, Math.floor(Math.min(room, tapsAllowedBy(ledger, at) - before)));
+};
+
+export const PENALTIES = { DISCOUNTED: 'DISCOUNTED', DISQUALIFIED: 'DISQUALIFIED' };
+
+export const describeFlagReason = (reason, t) => t(`flags.${reason}`, { rate: SUSTAINED_TAPS_PER_SECOND, seconds: SUSTAINED_WINDOW });
+
+// Limits scale with the round's batch interval, so the ledger is created with
+// it. `startsAt` and `endsAt` (ms, host clock) are GO and the scheduled whistle;
+// `events` are the round's chaos events (see ./chaos.js), set by the host.
+// The host closes the ledger once the round is settled; nothing counts after that.
+export const createLedger = (batchIntervalMs = BATCH_INTERVAL_MS, startsAt = null, endsAt = null) => ({ players: {}, batchIntervalMs, startsAt, endsAt, events: [], closed: false });
+
+// Adds what one batch is worth to the player's tally.
+const countBatch = (ledger, player, seq, batch) => {
+  const { batchIntervalMs } = ledger;
+  const sent = Math.max(0, Math.floor(Number(batch.count) || 0));
+  // Batches are stamped with the player's synced clock when they are sealed, so
+  // one stamped before GO holds nothing but countdown taps, and one stamped
+  // well after the whistle nothing but overtime. Either still takes up its seq
+  // so the copy in the table cannot slip in later.
+  const sentAt = batch.sent_at != null ? Number(batch.sent_at) : null;
+  const early = ledger.startsAt !== null && sentAt !== null && sentAt < ledger.startsAt;
+  const late = ledger.endsAt !== null && sentAt !== null && sentAt > ledger.endsAt + LATE_SEAL_MS;
+  const plausible = early || late ? 0 : Math.min(sent, maxTapsPerBatch(batchIntervalMs));
+  const count = Math.min(plausible, headroom(ledger, player, sentAt ?? ledger.endsAt));
+  player.batches[seq] = count;
+  player.count += count;
+  player.rejected += sent - count;
+  if (!early && !late && sent > plausible) player.flags.BATCH_LIMIT = true;
+  if (plausible > count) player.flags.RATE_LIMIT = true;
+  if (sentAt !== null) player.sentAt[seq] = sentAt;
+  if (batch.interval_mean > 0) player.timing[seq] = { mean: batch.interval_mean, sd: batch.interval_sd || 0, taps: count };
+};
+
+// Counts the player's batches again from scratch, after one was replaced or dropped.
+const recount = (ledger, player) => {
+  Object.assign(player, { count: 0, rejected: 0, batches: {}, sentAt: {}, timing: {}, flags: {} });
+  Object.keys(player.received).forEach(seq => countBatch(ledger, player, Number(seq), player.received[seq]));
+  detectSuspicion(player, ledger.batchIntervalMs);
+};
+
+// Interval stats come back from the table as single-precision floats.
+const sameStat = (a, b) => Math.abs((Number(a) || 0) - (Number(b) || 0)) < 0.05;
+const sameBatch = (a, b) => Number(a.count) === Number(b.count) && Number(a.sent_at) === Number(b.sent_at)
+  && sameStat(a.interval_mean, b.interval_mean) && sameStat(a.interval_sd, b.interval_sd);
+
+// Whether the ledger holds this batch's seq only from a broadcast so far.
+export const heldProvisionally = (ledger, batch) => Boolean(ledger.players[batch.player_id]?.received[Number(batch.seq)]?.provisional);
+
+// Returns true when the batch was new and changed the totals. Anyone on the
+// room channel can broadcast, so a `provisional` batch (one that came over the
+// broadcast) only holds its seq until the copy in the table arrives: if that
+// copy says something else, it replaces the broadcast one.
+export const recordBatch = (ledger, batch, { provisional = false } = {}) => {
+  const seq = Number(batch.seq);
+  if (ledger.closed || !batch.player_id || !Number.isInteger(seq) || seq < 1) return false;
+
+  if (!ledger.players[batch.player_id]) {
+    ledger.players[batch.player_id] = { id: batch.player_id, profile_id: batch.profile_id || null, nickname: batch.nickname, team: batch.team, bot: Boolean(batch.bot), count: 0, rejected: 0, batches: {}, sentAt: {}, timing: {}, flags: {}, received: {} };
+  }
+  const player = ledger.players[batch.player_id];
+  const { count, sent_at: sentAt = null, interval_mean: intervalMean, interval_sd: intervalSd } = batch;
+  const received = { count, sent_at: sentAt, interval_mean: intervalMean, interval_sd: intervalSd, provisional };
+  const held = player.received[seq];
+  if (held) {
+    if (provisional || !held.provisional) return false;
+    player.received[seq] = received;
+    if (sameBatch(held, received)) return false;
+    recount(ledger, player);
+    return true;
+  }
+
+  player.received[seq] = received;
+  countBatch(ledger, player, seq, received);
+  detectSuspicion(player, ledger.batchIntervalMs);
+  return true;
+};
+
+// Once the table has been read in full, broadcast batches it never got a copy
+// of are dropped. Returns true when that changed the totals.
+export const dropUnconfirmed = (ledger) => {
+  let changed = false;
+  Object.values(ledger.players).forEach(player => {
+    const unconfirmed = Object.keys(player.received).filter(seq => player.received[seq].provisional);
+    if (unconfirmed.length === 0) return;
+    unconfirmed.forEach(seq => delete player.received[seq]);
+    if (Object.keys(player.received).length === 0) delete ledger.players[player.id];
+    else recount(ledger, player);
+    changed = true;
+  });
+  return changed;
+};
+
+const detectSuspicion = (player, batchIntervalMs) => {
+  const seqs = Object.keys(player.batches).map(Number).sort((a, b) => a - b);
+  const sustainedLimit = SUSTAINED_TAPS_PER_SECOND * (batchIntervalMs / 1000);
+  for (let i = 0; i + SUSTAINED_WINDOW <= seqs.length; i++) {
+    const window = seqs.slice(i, i + SUSTAINED_WINDOW);
+    const consecutive = window[window.length - 1] - window[0] === SUSTAINED_WINDOW - 1;
+    const average = window.reduce((sum, seq) => sum + player.batches[seq], 0) / SUSTAINED_WINDOW;
+    if (consecutive && average > sustainedLimit) {
+      player.flags.SUSTAINED_RATE = true;
+      break;
+    }
+  }
+
+  const regularBatches = Object.values(player.timing).filter(t => t.taps >= REGULAR_MIN_TAPS && t.sd / t.mean < REGULAR_INTERVAL_CV);
+  if (regularBatches.length >= REGULAR_MIN_BATCHES) player.flags.REGULAR_INTERVALS = true;
+};
+
+// What one batch is worth once the host's penalty is applied.
+const creditFor = (count, penalty, batchIntervalMs = BATCH_INTERVAL_MS) => {
+  if (penalty === PENALTIES.DISQUALIFIED) return 0;
+  if (penalty === PENALTIES.DISCOUNTED) return Math.min(count, Math.ceil(DISCOUNTED_TAPS_PER_SECOND * (batchIntervalMs / 1000)));
+  return count;
+};
+
+// A batch is sealed at the end of its interval, so its midpoint is the best
+// guess at when its taps happened. Null for clients too old to stamp batches.
+export const batchMidpoint = (ledger, player, seq) => (player.sentAt[seq] === undefined ? null : player.sentAt[seq] - ledger.batchIntervalMs / 2);
+
+// The penalty first, then whatever chaos events ran during the batch's
+// interval. Its taps are taken to be spread evenly over the interval, so an
+// event that starts or ends halfway through multiplies half of them.
+export const batchCredit = (ledger, player, seq, penalty) => {
+  const credit = creditFor(player.batches[seq], penalty, ledger.batchIntervalMs);
+  const sealedAt = player.sentAt[seq];
+  if (sealedAt === undefined || credit === 0) return credit;
+  return Math.round(credit * averageMultiplier(ledger.events, player, sealedAt - ledger.batchIntervalMs, sealedAt));
+};
+
+export const effectiveCount = (ledger, player, penalty) => Object.keys(player.batches).reduce((sum, seq) => sum + batchCredit(ledger, player, seq, penalty), 0);
+
+// The player's best batch, as taps per second. Real taps only: chaos
+// multipliers are left out.
+export const peakTapsPerSecond = (player, penalty, batchIntervalMs = BATCH_INTERVAL_MS) => {
+  const best = Math.max(0, ...Object.values(player.batches).map(count => creditFor(count, penalty, batchIntervalMs)));
+  return Math.round((best / (batchIntervalMs / 1000)) * 10) / 10;
+};
+
+// `teamIds` seeds every team with 0 so teams nobody tapped for still show up.
+export const teamTotals = (ledger, penalties = {}, teamIds = []) => {
+  const totals = Object.fromEntries(teamIds.map(team => [team, 0]));
+  Object.values(ledger.players).forEach(player => {
+    totals[player.team] = (totals[player.team] || 0) + effectiveCount(ledger, player, penalties[player.id]);
+  });
+  return totals;
+};
+
+// Disqualified players drop off the leaderboard entirely.
+export const rankPlayers = (ledger, penalties = {}) => Object.values(ledger.players)
+  .filter(player => penalties[player.id] !== PENALTIES.DISQUALIFIED)
+  .map(player => ({ id: player.id, nickname: player.nickname, team: player.team, bot: player.bot, count: effectiveCount(ledger, player, penalties[player.id]), penalty: penalties[player.id] || null }))
+  .sort((a, b) => b.count - a.count);
+
+// What the host broadcasts to the phones: team totals plus every tapper's
+// credited count and place within their own team.
+export const scoreSnapshot = (ledger, penalties = {}, teamIds = []) => {
+  const players = {};
+  const teamSizes = {};
+  rankPlayers(ledger, penalties).forEach(player => {
+    teamSizes[player.team] = (teamSizes[player.team] || 0) + 1;
+    players[player.id] = { count: player.count, rank: teamSizes[player.team], penalty: player.penalty };
+  });
+  Object.values(ledger.players)
+    .filter(player => penalties[player.id] === PENALTIES.DISQUALIFIED)
+    .forEach(player => { players[player.id] = { count: 0, rank: null, penalty: PENALTIES.DISQUALIFIED }; });
+  return { totals: teamTotals(ledger, penalties, teamIds), players, team_sizes: teamSizes };
+};
+
+// Bots tap for the host, so there is nothing to flag about them.
+export const flaggedPlayers = (ledger) => Object.values(ledger.players)
+  .filter(player => !player.bot && Object.keys(player.flags).length > 0)
+  .map(player => ({ id: player.id, nickname: player.nickname, team: player.team, count: player.count, rejected: player.rejected, reasons: Object.keys(player.flags) }));
+
+// Sequence numbers a player skipped; they may still turn up late.
+export const findGaps = (ledger) => Object.values(ledger.players)
+  .map(player => {
+    const seqs = Object.keys(player.batches).map(Number);
+    const missing = [];
+    for (let seq = 1; seq < Math.max(...seqs); seq++) {
+      if (player.batches[seq] === undefined) missing.push(seq);
+    }
+    return { id: player.id, nickname: player.nickname, missing };
+  })
+  .filter(gap => gap.missing.length > 0);
+
+// Teams ordered by score, highest first.
+export const rankTeams = (totals) => Object.entries(totals)
+  .map(([team, score]) => ({ team, score }))
+  .sort((a, b) => b.score - a.score);
+
+// A team's score against its strongest rival; `lead` is negative when behind.
+export const teamStanding = (totals, team) => {
+  const score = totals[team] || 0;
+  const [rival] = rankTeams(Object.fromEntries(Object.entries(totals).filter(([id]) => id !== team)));
+  return { score, rival: rival || null, lead: score - (rival ? rival.score : 0) };
+};
+
+// A shared top score between any number of teams is a draw.
+export const decideWinner = (totals) => {
+  const [first, second] = rankTeams(totals);
+  if (!first || (second && second.score === first.score)) return 'DRAW';
+  return first.team;
+};
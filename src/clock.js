@@ -0,0 +1,39 @@
+// --- Clock Sync ---
+// `round_start_time` is written by the host, so the host's clock is the
+// room's reference. Players measure their offset from it NTP-style: they ping
+// over the room channel, the host answers with its time, and the sample with
+// the shortest round trip wins (it leaves the least room for one-sided delay).
+// Every round time on a player's device is then computed from `Date.now()`
+// plus that offset.
+
+// Rounds start with a 3-2-1-GO; `round_start_time` is the moment of GO.
+export const COUNTDOWN_SECONDS = 3;
+
+export const CLOCK_SAMPLES = 5;
+export const CLOCK_PING_SPACING_MS = 250;
+export const CLOCK_RESYNC_MS = 30 * 1000;
+// Enough to ride out a burst of slow pings without letting drift go stale.
+const MAX_SAMPLES = 3 * CLOCK_SAMPLES;
+
+// A sample is { sentAt, hostTime, receivedAt }, the first and last on the local clock.
+export const sampleOffset = ({ sentAt, hostTime, receivedAt }) => hostTime + (receivedAt - sentAt) / 2 - receivedAt;
+
+export const addSample = (samples, sample) => [...samples, sample].slice(-MAX_SAMPLES);
+
+export const estimateOffset = (samples) => {
+  if (samples.length === 0) return 0;
+  const best = samples.reduce((a, b) => (b.receivedAt - b.sentAt < a.receivedAt - a.sentAt ? b : a));
+  return Math.round(sampleOffset(best));
+};
+
+// Where a round stands at `now` (host time, in ms).
+export const roundClock = (roundStartTime, roundDuration, now) => {
+  const start = new Date(roundStartTime).getTime();
+  const elapsed = (now - start) / 1000;
+  return {
+    started: elapsed >= 0,
+    countdown: Math.max(0, -elapsed),
+    elapsed: Math.max(0, elapsed),
+    timeLeft: Math.max(0, Math.min(roundDuration, roundDuration - elapsed)),
+  };
+};
@@ -0,0 +1,101 @@
+import { createLedger, decideWinner, recordBatch } from './clickLedger';
+import { COUNTDOWN_SECONDS, roundClock } from './clock';
+import { applySeriesResult, isRoundDecided } from './modes';
+import { pickSmallestTeam } from './teams';
+
+// --- Round Engine ---
+// The rules of a round, free of React and of the backend: every step takes the
+// room's `game_state` row (plus settings and totals where they matter) and
+// returns the patch the host should write, or null when the step does not apply
+// in the current status. HostDashboard drives it from timers and buttons; the
+// headless simulator (./simulator.js) drives it on a virtual clock.
+//
+// LOBBY -> COUNTDOWN -> PLAYING -> FINISHED -> LOBBY. The countdown is the
+// 3-2-1 before GO; taps only count while PLAYING.
+
+export const STATUS = { LOBBY: 'LOBBY', COUNTDOWN: 'COUNTDOWN', PLAYING: 'PLAYING', FINISHED: 'FINISHED' };
+
+const TRANSITIONS = {
+  [STATUS.LOBBY]: [STATUS.COUNTDOWN],
+  [STATUS.COUNTDOWN]: [STATUS.PLAYING],
+  [STATUS.PLAYING]: [STATUS.FINISHED],
+  [STATUS.FINISHED]: [STATUS.LOBBY],
+};
+
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// What the host's timer should do next (see `hostTick`).
+export const TICK = { GO: 'GO', DECIDED: 'DECIDED', WHISTLE: 'WHISTLE' };
+
+// Everyone counts down to the same instant, `now` being the host's clock.
+export const startRound = (gameState, { roundId, now }) => {
+  if (!canTransition(gameState.status, STATUS.COUNTDOWN)) return null;
+  return { status: STATUS.COUNTDOWN, round_id: roundId, round_start_time: new Date(now + COUNTDOWN_SECONDS * 1000).toISOString(), chaos_events: [] };
+};
+
+export const beginPlaying = (gameState) => (canTransition(gameState.status, STATUS.PLAYING) ? { status: STATUS.PLAYING } : null);
+
+// Settles the round from the final team totals and folds it into the series.
+export const finishRound = (gameState, settings, totals) => {
+  if (!canTransition(gameState.status, STATUS.FINISHED)) return null;
+  const winner = decideWinner(totals);
+  return { status: STATUS.FINISHED, winner, ...applySeriesResult(gameState.match_score, winner, settings.series_length) };
+};
+
+// A ruling after the whistle still changes the result (and the series): the
+// round's old winner gives back its point before the new one is decided.
+export const rescoreRound = (gameState, settings, totals) => {
+  if (gameState.status !== STATUS.FINISHED) return null;
+  const winner = decideWinner(totals);
+  const matchScore = { ...gameState.match_score };
+  if (gameState.winner && gameState.winner !== 'DRAW') matchScore[gameState.winner] -= 1;
+  return { winner, ...applySeriesResult(matchScore, winner, settings.series_length) };
+};
+
+// Play Again continues a best-of-N series until somebody has won it.
+export const resetRound = (gameState, settings) => {
+  if (!canTransition(gameState.status, STATUS.LOBBY)) return null;
+  const seriesContinues = settings.series_length > 1 && !gameState.series_winner;
+  const series = seriesContinues ? {} : { match_score: {}, series_winner: null };
+  return { status: STATUS.LOBBY, winner: null, round_id: null, round_start_time: null, chaos_events: [], ...series };
+};
+
+// One step of the host's round timer at `now` (host clock). Returns the round
+// clock and what to do: GO when the countdown is over, DECIDED when the mode's
+// win condition is met before time, WHISTLE when time runs out (the host then
+// waits FINISH_GRACE_MS for batches in flight before finishing), or null.
+export const hostTick = (gameState, settings, totals, now) => {
+  if (!gameState.round_start_time) return { clock: null, action: null };
+  const clock = roundClock(gameState.round_start_time, settings.round_duration, now);
+  let action = null;
+  if (gameState.status === STATUS.COUNTDOWN && clock.started) action = TICK.GO;
+  else if (gameState.status === STATUS.PLAYING && clock.timeLeft <= 0) action = TICK.WHISTLE;
+  else if (gameState.status === STATUS.PLAYING && isRoundDecided(settings, totals)) action = TICK.DECIDED;
+  return { clock, action };
+};
+
+// A ledger bounded by the round's GO and its scheduled whistle.
+export const createRoundLedger = (roundStartTime, roundDuration, batchIntervalMs) => {
+  const startsAt = roundStartTime ? new Date(roundStartTime).getTime() : null;
+  const endsAt = startsAt === null ? null : startsAt + roundDuration * 1000;
+  return createLedger(batchIntervalMs, startsAt, endsAt);
+};
+
+// A player's batch reaching the host. Every batch of this round is acked so
+// the phone can stop resending it, whether or not it still counted. `options`
+// go to recordBatch.
+export const acceptBatch = (ledger, batch, roundId, options) => {
+  if (batch.round_id !== roundId) return { ack: false, counted: false };
+  return { ack: Boolean(batch.player_id && batch.seq), counted: recordBatch(ledger, batch, options) };
+};
+
+// Players on a team that no longer exists are spread over the remaining ones.
+// Returns the moves as [{ id, team }].
+export const rebalanceTeams = (players, teams) => {
+  const counts = Object.fromEntries(teams.map(({ id }) => [id, players.filter(p => p.team === id).length]));
+  return players.filter(p => !(p.team in counts)).map(player => {
+    const team = pickSmallestTeam(teams, counts);
+    counts[team] += 1;
+    return { id: player.id, team };
+  });
+};
@@ -0,0 +1,184 @@
+import { describe, expect, it } from 'vitest';
+import { STATUS, TICK, acceptBatch, beginPlaying, canTransition, createRoundLedger, finishRound, hostTick, rebalanceTeams, rescoreRound, resetRound, startRound } from './engine';
+import { normalizeSettings } from './settings';
+import { dropUnconfirmed, maxTapsPerBatch, teamTotals } from './clickLedger';
+
+const settings = normalizeSettings({});
+const lobby = { status: STATUS.LOBBY, winner: null, match_score: {}, series_winner: null, round_id: null, round_start_time: null };
+const GO = Date.UTC(2026, 0, 1, 12, 0, 0);
+const playing = { ...lobby, status: STATUS.PLAYING, round_id: 'r1', round_start_time: new Date(GO).toISOString() };
+
+const batch = (overrides) => ({ round_id: 'r1', player_id: 'p1', team: 'RED', nickname: 'Ana', seq: 1, count: 10, sent_at: GO + 1000, ...overrides });
+
+describe('canTransition', () => {
+  it('only moves forward through the round', () => {
+    expect(canTransition(STATUS.LOBBY, STATUS.COUNTDOWN)).toBe(true);
+    expect(canTransition(STATUS.COUNTDOWN, STATUS.PLAYING)).toBe(true);
+    expect(canTransition(STATUS.PLAYING, STATUS.FINISHED)).toBe(true);
+    expect(canTransition(STATUS.FINISHED, STATUS.LOBBY)).toBe(true);
+    expect(canTransition(STATUS.LOBBY, STATUS.PLAYING)).toBe(false);
+    expect(canTransition(STATUS.PLAYING, STATUS.LOBBY)).toBe(false);
+    expect(canTransition(STATUS.FINISHED, STATUS.PLAYING)).toBe(false);
+    expect(canTransition('CLOSED', STATUS.LOBBY)).toBe(false);
+  });
+});
+
+describe('startRound', () => {
+  it('counts down to GO from the lobby', () => {
+    expect(startRound(lobby, { roundId: 'r1', now: GO - 3000 })).toEqual({ status: STATUS.COUNTDOWN, round_id: 'r1', round_start_time: new Date(GO).toISOString(), chaos_events: [] });
+  });
+
+  it('does nothing mid-round', () => {
+    expect(startRound(playing, { roundId: 'r2', now: GO })).toBeNull();
+  });
+});
+
+describe('beginPlaying', () => {
+  it('only follows the countdown', () => {
+    expect(beginPlaying({ ...playing, status: STATUS.COUNTDOWN })).toEqual({ status: STATUS.PLAYING });
+    expect(beginPlaying(lobby)).toBeNull();
+  });
+});
+
+describe('finishRound', () => {
+  it('picks the team with the most taps and scores the series', () => {
+    const result = finishRound(playing, { ...settings, series_length: 3 }, { RED: 12, BLUE: 9 });
+    expect(result).toEqual({ status: STATUS.FINISHED, winner: 'RED', match_score: { RED: 1 }, series_winner: null });
+  });
+
+  it('calls a shared top score a draw that counts for nobody', () => {
+    const result = finishRound({ ...playing, match_score: { BLUE: 1 } }, { ...settings, series_length: 3 }, { RED: 9, BLUE: 9 });
+    expect(result).toMatchObject({ winner: 'DRAW', match_score: { BLUE: 1 }, series_winner: null });
+  });
+
+  it('ends the series once a team has enough wins', () => {
+    const result = finishRound({ ...playing, match_score: { RED: 1 } }, { ...settings, series_length: 3 }, { RED: 5, BLUE: 3 });
+    expect(result.series_winner).toBe('RED');
+  });
+
+  it('cannot finish a round that is not being played', () => {
+    expect(finishRound(lobby, settings, { RED: 1 })).toBeNull();
+    expect(finishRound({ ...playing, status: STATUS.FINISHED }, settings, { RED: 1 })).toBeNull();
+  });
+});
+
+describe('rescoreRound', () => {
+  it('takes the old winner\'s point back before awarding the new one', () => {
+    const finished = { ...playing, status: STATUS.FINISHED, winner: 'RED', match_score: { RED: 2, BLUE: 1 }, series_winner: 'RED' };
+    const result = rescoreRound(finished, { ...settings, series_length: 3 }, { RED: 4, BLUE: 7 });
+    expect(result).toEqual({ winner: 'BLUE', match_score: { RED: 1, BLUE: 2 }, series_winner: 'BLUE' });
+  });
+
+  it('only applies after the whistle', () => {
+    expect(rescoreRound(playing, settings, { RED: 1 })).toBeNull();
+  });
+});
+
+describe('resetRound', () => {
+  const finished = { ...playing, status: STATUS.FINISHED, winner: 'RED', match_score: { RED: 1 } };
+
+  it('keeps a best-of-N series going', () => {
+    const result = resetRound(finished, { ...settings, series_length: 3 });
+    expect(result).toEqual({ status: STATUS.LOBBY, winner: null, round_id: null, round_start_time: null, chaos_events: [] });
+  });
+
+  it('starts over once the series is won, or for single rounds', () => {
+    expect(resetRound({ ...finished, series_winner: 'RED' }, { ...settings, series_length: 3 })).toMatchObject({ match_score: {}, series_winner: null });
+    expect(resetRound(finished, settings)).toMatchObject({ match_score: {}, series_winner: null });
+  });
+
+  it('does not interrupt a round', () => {
+    expect(resetRound(playing, settings)).toBeNull();
+  });
+});
+
+describe('hostTick', () => {
+  const countdown = { ...playing, status: STATUS.COUNTDOWN };
+
+  it('waits out the countdown, then says GO', () => {
+    expect(hostTick(countdown, settings, {}, GO - 1).action).toBeNull();
+    const { clock, action } = hostTick(countdown, settings, {}, GO);
+    expect(action).toBe(TICK.GO);
+    expect(clock.timeLeft).toBe(settings.round_duration);
+  });
+
+  it('blows the whistle when time runs out', () => {
+    expect(hostTick(playing, settings, { RED: 500 }, GO + settings.round_duration * 1000 - 1).action).toBeNull();
+    expect(hostTick(playing, settings, { RED: 500 }, GO + settings.round_duration * 1000).action).toBe(TICK.WHISTLE);
+  });
+
+  it('ends first-to-N and tug-of-war rounds early', () => {
+    const firstTo = { ...settings, mode: 'FIRST_TO', target: 100 };
+    expect(hostTick(playing, firstTo, { RED: 99, BLUE: 50 }, GO + 5000).action).toBeNull();
+    expect(hostTick(playing, firstTo, { RED: 100, BLUE: 50 }, GO + 5000).action).toBe(TICK.DECIDED);
+    const tug = { ...settings, mode: 'TUG_OF_WAR', rope_length: 50 };
+    expect(hostTick(playing, tug, { RED: 120, BLUE: 70 }, GO + 5000).action).toBe(TICK.DECIDED);
+  });
+
+  it('has nothing to do outside a round', () => {
+    expect(hostTick(lobby, settings, {}, GO).action).toBeNull();
+    expect(hostTick({ ...playing, status: STATUS.FINISHED }, settings, {}, GO + 60000).action).toBeNull();
+  });
+});
+
+describe('acceptBatch', () => {
+  it('counts a batch once but acks every copy', () => {
+    const ledger = createRoundLedger(playing.round_start_time, settings.round_duration, settings.batch_interval_ms);
+    expect(acceptBatch(ledger, batch(), 'r1')).toEqual({ ack: true, counted: true });
+    expect(acceptBatch(ledger, batch(), 'r1')).toEqual({ ack: true, counted: false });
+    expect(teamTotals(ledger, {}, ['RED', 'BLUE'])).toEqual({ RED: 10, BLUE: 0 });
+  });
+
+  it('ignores batches from another round', () => {
+    const ledger = createRoundLedger(playing.round_start_time, settings.round_duration, settings.batch_interval_ms);
+    expect(acceptBatch(ledger, batch({ round_id: 'r0' }), 'r1')).toEqual({ ack: false, counted: false });
+  });
+
+  it('credits nothing for batches sealed before GO or long after the whistle', () => {
+    const ledger = createRoundLedger(playing.round_start_time, settings.round_duration, settings.batch_interval_ms);
+    acceptBatch(ledger, batch({ seq: 1, sent_at: GO - 10 }), 'r1');
+    acceptBatch(ledger, batch({ seq: 2, sent_at: GO + settings.round_duration * 1000 + 500 }), 'r1');
+    acceptBatch(ledger, batch({ seq: 3, sent_at: GO + settings.round_duration * 1000 + 5000 }), 'r1');
+    expect(teamTotals(ledger, {}, ['RED']).RED).toBe(10);
+  });
+
+  it('never credits more than could have been tapped since GO, however many seqs arrive', () => {
+    const ledger = createRoundLedger(playing.round_start_time, settings.round_duration, settings.batch_interval_ms);
+    for (let seq = 1; seq <= 400; seq++) acceptBatch(ledger, batch({ seq, count: 25, sent_at: GO + 1000 }), 'r1');
+    const { RED } = teamTotals(ledger, {}, ['RED']);
+    expect(RED).toBeLessThanOrEqual(2 * maxTapsPerBatch(settings.batch_interval_ms));
+    expect(ledger.players.p1.flags.RATE_LIMIT).toBe(true);
+    expect(ledger.players.p1.rejected).toBe(400 * 25 - RED);
+  });
+
+  it('keeps every honest batch whatever order they arrive in', () => {
+    const ledger = createRoundLedger(playing.round_start_time, settings.round_duration, settings.batch_interval_ms);
+    [5, 3, 1, 4, 2].forEach(seq => acceptBatch(ledger, batch({ seq, count: 18, sent_at: GO + seq * 1000 }), 'r1'));
+    expect(teamTotals(ledger, {}, ['RED']).RED).toBe(90);
+    expect(ledger.players.p1.flags.RATE_LIMIT).toBeUndefined();
+  });
+
+  it('lets the copy in the table overrule a broadcast of the same seq', () => {
+    const ledger = createRoundLedger(playing.round_start_time, settings.round_duration, settings.batch_interval_ms);
+    acceptBatch(ledger, batch({ seq: 1, count: 25 }), 'r1', { provisional: true });
+    acceptBatch(ledger, batch({ seq: 2, count: 6, sent_at: GO + 2000 }), 'r1', { provisional: true });
+    expect(acceptBatch(ledger, batch({ seq: 1, count: 4 }), 'r1')).toEqual({ ack: true, counted: true });
+    expect(acceptBatch(ledger, batch({ seq: 1, count: 9 }), 'r1')).toEqual({ ack: true, counted: false });
+    expect(teamTotals(ledger, {}, ['RED']).RED).toBe(10);
+    expect(ledger.players.p1.flags).toEqual({});
+    expect(dropUnconfirmed(ledger)).toBe(true);
+    expect(teamTotals(ledger, {}, ['RED']).RED).toBe(4);
+  });
+});
+
+describe('rebalanceTeams', () => {
+  it('moves players off removed teams onto the smallest ones, earlier teams first', () => {
+    const teams = [{ id: 'RED' }, { id: 'BLUE' }];
+    const players = [
+      { id: 'a', team: 'RED' }, { id: 'b', team: 'RED' },
+      { id: 'c', team: 'GREEN' }, { id: 'd', team: 'GREEN' }, { id: 'e', team: 'GREEN' },
+    ];
+    expect(rebalanceTeams(players, teams)).toEqual([{ id: 'c', team: 'BLUE' }, { id: 'd', team: 'BLUE' }, { id: 'e', team: 'RED' }]);
+    expect(rebalanceTeams(players.slice(0, 2), teams)).toEqual([]);
+  });
+});
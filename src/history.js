@@ -0,0 +1,78 @@
+import { effectiveCount, teamTotals } from './clickLedger';
+
+// --- Round History ---
+// Every finished round is written to the `rounds` table as a self-contained
+// record (settings, team totals, every player's taps and the winner), keyed by
+// its round id. Records are not tied to the room's lifetime, so they are
+// still there for reporting after the room is closed.
+
+export const buildRoundRecord = ({ roomCode, roundId, startedAt, settings, ledger, penalties, winner, matchScore }) => ({
+  id: roundId,
+  room_code: roomCode,
+  started_at: startedAt,
+  ended_at: new Date().toISOString(),
+  settings,
+  totals: teamTotals(ledger, penalties, settings.teams.map(team => team.id)),
+  players: Object.values(ledger.players)
+    .map(player => ({
+      player_id: player.id,
+      profile_id: player.profile_id,
+      nickname: player.nickname,
+      team: player.team,
+      bot: player.bot,
+      taps: effectiveCount(ledger, player, penalties[player.id]),
+      penalty: penalties[player.id] || null,
+    }))
+    .sort((a, b) => b.taps - a.taps),
+  winner,
+  match_score: matchScore || {},
+  chaos_events: ledger.events,
+});
+
+// Saving again (after a penalty changed the result) replaces the record.
+export const saveRound = async (backend, record) => {
+  const { data: existing } = await backend.selectOne('rounds', { id: record.id });
+  return existing ? backend.update('rounds', { id: record.id }, record) : backend.insert('rounds', record);
+};
+
+// Newest first; all rooms when no code is given.
+export const loadRounds = async (backend, roomCode = null) => {
+  const { data, error } = await backend.select('rounds', roomCode ? { room_code: roomCode } : {});
+  if (error) throw error;
+  return (data || []).sort((a, b) => new Date(b.ended_at) - new Date(a.ended_at));
+};
+
+export const roundsToJson = (rounds) => JSON.stringify(rounds, null, 2);
+
+const CSV_COLUMNS = ['round_id', 'room_code', 'started_at', 'ended_at', 'mode', 'round_duration', 'winner', 'team', 'team_name', 'team_total', 'player_id', 'profile_id', 'nickname', 'bot', 'taps', 'penalty'];
+
+const csvCell = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  // Nicknames are user input; keep spreadsheets from running them as formulas.
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One line per player per round; rounds nobody tapped in still get a line per team.
+export const roundsToCsv = (rounds) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  rounds.forEach(round => {
+    const teams = (round.settings && round.settings.teams) || [];
+    const teamName = (id) => (teams.find(team => team.id === id) || {}).name || id;
+    const base = { round_id: round.id, room_code: round.room_code, started_at: round.started_at, ended_at: round.ended_at, mode: round.settings?.mode, round_duration: round.settings?.round_duration, winner: round.winner };
+    const rows = round.players.length > 0
+      ? round.players.map(player => ({ ...base, ...player, team_name: teamName(player.team), team_total: round.totals[player.team] || 0 }))
+      : Object.entries(round.totals).map(([team, total]) => ({ ...base, team, team_name: teamName(team), team_total: total }));
+    rows.forEach(row => lines.push(CSV_COLUMNS.map(column => csvCell(row[column])).join(',')));
+  });
+  return lines.join('\n');
+};
+
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
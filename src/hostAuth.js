@@ -0,0 +1,62 @@
+import { touchRoom } from './rooms';
+
+// --- Host Key ---
+// Creating a room also creates a random host key. Only writes carrying it may
+// change the room's `game_state` row or its players (see supabase/schema.sql),
+// so opening `?mode=host` for someone else's room gets an unlock screen and
+// nothing more. The creating device remembers the key; the host link takes it
+// to another device in the URL fragment, which browsers never send to a server.
+
+const storageKey = (code) => `tapwar_host_key:${code}`;
+
+// 128 random bits, as hex. Long enough that the stored hash gives nothing away.
+export const generateHostKey = () => Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+export const rememberedHostKey = (code) => localStorage.getItem(storageKey(code));
+
+export const rememberHostKey = (code, key) => localStorage.setItem(storageKey(code), key);
+
+export const forgetHostKey = (code) => localStorage.removeItem(storageKey(code));
+
+export const hostLink = (code, key) => `${window.location.origin}${window.location.pathname}?mode=host&room=${code}#key=${key}`;
+
+// Accepts a bare key or a whole pasted host link.
+export const parseHostKey = (text) => {
+  const match = (text || '').match(/(?:#key=)?([0-9a-f]{32})\s*$/i);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// A key handed over in a host link. Read it once, then clear it out of the address bar.
+export const hostKeyFromUrl = () => parseHostKey(new URLSearchParams(window.location.hash.slice(1)).get('key'));
+
+export const clearHostKeyFromUrl = () => {
+  if (window.location.hash) window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+};
+
+// A write only lands with the right key, so a heartbeat doubles as the check.
+export const unlockRoom = async (backend, code, key) => {
+  backend.setHostKey(key);
+  const { data } = await touchRoom(backend, code);
+  if (data && data.length > 0) {
+    rememberHostKey(code, key);
+    return true;
+  }
+  backend.setHostKey(null);
+  return false;
+};
+
+// --- Player Key ---
+// Every device also keeps a random key of its own and sends it with every
+// write. A `players` row keeps the hash of the key it joined with, so only that
+// device or the host can take the seat away, and only that device can send
+// click batches for it.
+const PLAYER_KEY = 'tapwar_player_key';
+
+export const devicePlayerKey = () => {
+  let key = localStorage.getItem(PLAYER_KEY);
+  if (!key) {
+    key = generateHostKey();
+    localStorage.setItem(PLAYER_KEY, key);
+  }
+  return key;
+};
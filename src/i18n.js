@@ -0,0 +1,52 @@
+import en from './locales/en';
+import es from './locales/es';
+
+// --- Translations ---
+// UI text lives in per-locale message catalogues under ./locales, keyed by
+// dotted ids ('player.join'). A device shows the language its player picked,
+// otherwise the room's default (a round setting the host chooses), otherwise
+// the browser's. Messages that count something are objects keyed by
+// Intl.PluralRules category; anything a catalogue lacks falls back to English.
+
+export const LOCALES = {
+  en: { name: 'English', messages: en },
+  es: { name: 'Español', messages: es },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+const CHOSEN_LOCALE_KEY = 'tapwar_locale';
+
+// 'es-MX' -> 'es', when we have it.
+const supportedLocale = (tag) => {
+  const base = (tag || '').toLowerCase().split('-')[0];
+  return LOCALES[base] ? base : null;
+};
+
+export const isSupportedLocale = (locale) => Boolean(LOCALES[locale]);
+
+export const browserLocale = () => (navigator.languages || [navigator.language]).map(supportedLocale).find(Boolean) || DEFAULT_LOCALE;
+
+export const loadChosenLocale = () => supportedLocale(localStorage.getItem(CHOSEN_LOCALE_KEY));
+
+// `null` goes back to following the room and the browser.
+export const saveChosenLocale = (locale) => {
+  if (locale) localStorage.setItem(CHOSEN_LOCALE_KEY, locale);
+  else localStorage.removeItem(CHOSEN_LOCALE_KEY);
+};
+
+export const resolveLocale = (chosen, roomDefault) => chosen || (isSupportedLocale(roomDefault) ? roomDefault : null) || browserLocale();
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+
+// Returns `t(key, params)`. `params.count` picks the plural form.
+export const createTranslator = (locale) => {
+  const plurals = new Intl.PluralRules(locale);
+  const messages = (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).messages;
+  return (key, params = {}) => {
+    let message = lookup(messages, key) ?? lookup(en, key);
+    if (message && typeof message === 'object') message = message[plurals.select(params.count ?? 0)] ?? message.other;
+    if (typeof message !== 'string') return key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  };
+};
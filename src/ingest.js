@@ -0,0 +1,111 @@
+import { PENALTIES, batchCredit, heldProvisionally, rankPlayers, teamTotals } from './clickLedger';
+import { acceptBatch } from './engine';
+
+// --- Host Ingest ---
+// In a big room the host gets hundreds of batches a second, one broadcast or
+// table insert at a time. They are queued as they arrive and applied to the
+// ledger together (`drainIngest`), which the host does once per animation
+// frame, so the dashboard renders once per frame however busy the room is.
+// Team totals and the top of the leaderboard are kept up to date from just
+// the batches that counted; anything that changes old batches' worth (a
+// penalty, a chaos event, a new ledger) calls `rescoreIngest` instead.
+// The pipeline also measures how fast batches arrive and how late they are.
+
+// How many players the live leaderboard keeps.
+export const LEADERBOARD_SIZE = 10;
+// Arrival rate is averaged over this window.
+const RATE_WINDOW_MS = 2000;
+// Weight of the newest drain in the smoothed lag.
+const LAG_SMOOTHING = 0.2;
+
+// `detailsAt` is when the host last rebuilt its slower views from the ledger.
+export const createIngest = () => ({ queue: [], totals: {}, counts: {}, top: [], arrivals: [], lagMs: null, detailsAt: -Infinity });
+
+// `provisional` is for batches that came over the broadcast (see recordBatch).
+export const queueBatch = (ingest, batch, { provisional = false } = {}) => {
+  ingest.queue.push({ batch, provisional });
+};
+
+// Where `count` goes in the top list, or -1 when it does not make the cut.
+// Ties keep their place, as with the full sort.
+const topIndex = (top, count) => {
+  let index = top.length;
+  while (index > 0 && top[index - 1].count < count) index -= 1;
+  return index < LEADERBOARD_SIZE ? index : -1;
+};
+
+// Counts only go up between rescores, so a player only ever moves up the list.
+const promote = (ingest, player, penalty) => {
+  if (penalty === PENALTIES.DISQUALIFIED) return;
+  const entry = { id: player.id, nickname: player.nickname, team: player.team, bot: player.bot, count: ingest.counts[player.id], penalty: penalty || null };
+  const top = ingest.top.filter(other => other.id !== player.id);
+  const index = topIndex(top, entry.count);
+  if (index === -1) return;
+  top.splice(index, 0, entry);
+  ingest.top = top.slice(0, LEADERBOARD_SIZE);
+};
+
+// Applies everything queued for round `roundId` at `now` (host clock, ms).
+// Returns the batches to ack and the ones that changed the score; `totals`
+// and `top` are replaced when anything counted, so they can go straight
+// into React state. A table copy that replaced a different broadcast one
+// changes a batch already counted, so then everything is rescored.
+export const drainIngest = (ingest, ledger, { roundId, penalties = {}, now = Date.now() }) => {
+  const batches = ingest.queue;
+  ingest.queue = [];
+  const acked = [];
+  const counted = [];
+  let revised = false;
+  batches.forEach(({ batch, provisional }) => {
+    const revising = !provisional && heldProvisionally(ledger, batch);
+    const result = acceptBatch(ledger, batch, roundId, { provisional });
+    if (result.ack) acked.push(batch);
+    if (result.counted) counted.push(batch);
+    if (result.counted && revising) revised = true;
+  });
+
+  ingest.arrivals = [...ingest.arrivals.filter(arrival => now - arrival.at < RATE_WINDOW_MS), { at: now, count: batches.length }];
+  if (counted.length === 0) return { acked, counted };
+
+  const totals = { ...ingest.totals };
+  let lag = 0;
+  let stamped = 0;
+  counted.forEach(batch => {
+    const player = ledger.players[batch.player_id];
+    const penalty = penalties[player.id];
+    const credit = batchCredit(ledger, player, Number(batch.seq), penalty);
+    totals[player.team] = (totals[player.team] || 0) + credit;
+    ingest.counts[player.id] = (ingest.counts[player.id] || 0) + credit;
+    promote(ingest, player, penalty);
+    // Batches are stamped on the phone's synced clock, so this is the whole
+    // trip: waiting to be sent, the network and the queue here.
+    if (batch.sent_at != null) {
+      lag += Math.max(0, now - Number(batch.sent_at));
+      stamped += 1;
+    }
+  });
+  ingest.totals = totals;
+  if (stamped > 0) {
+    const average = lag / stamped;
+    ingest.lagMs = ingest.lagMs === null ? average : ingest.lagMs + LAG_SMOOTHING * (average - ingest.lagMs);
+  }
+  if (revised) rescoreIngest(ingest, ledger, penalties);
+  return { acked, counted };
+};
+
+// Recomputes totals and the top list from the whole ledger.
+export const rescoreIngest = (ingest, ledger, penalties = {}) => {
+  ingest.totals = teamTotals(ledger, penalties);
+  const ranked = rankPlayers(ledger, penalties);
+  ingest.counts = Object.fromEntries(ranked.map(player => [player.id, player.count]));
+  ingest.top = ranked.slice(0, LEADERBOARD_SIZE);
+  return ingest.totals;
+};
+
+// For the host's meter: batches per second over the last couple of seconds,
+// how many are waiting, and the smoothed lag in ms (null before the first).
+export const ingestStats = (ingest, now) => {
+  const recent = ingest.arrivals.filter(arrival => now - arrival.at < RATE_WINDOW_MS);
+  const received = recent.reduce((sum, arrival) => sum + arrival.count, 0) + ingest.queue.length;
+  return { rate: Math.round(received / (RATE_WINDOW_MS / 1000)), queued: ingest.queue.length, lagMs: ingest.lagMs === null ? null : Math.round(ingest.lagMs) };
+};
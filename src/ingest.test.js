@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import { PENALTIES, rankPlayers, teamTotals } from './clickLedger';
+import { createRoundLedger } from './engine';
+import { LEADERBOARD_SIZE, createIngest, drainIngest, ingestStats, queueBatch, rescoreIngest } from './ingest';
+import { normalizeSettings } from './settings';
+import { seededRandom } from './simulator';
+
+const settings = normalizeSettings({});
+const GO = Date.UTC(2026, 0, 1, 12, 0, 0);
+const START = new Date(GO).toISOString();
+
+const newLedger = () => createRoundLedger(START, settings.round_duration, settings.batch_interval_ms);
+const batch = (overrides) => ({ round_id: 'r1', player_id: 'p1', team: 'RED', nickname: 'Ana', seq: 1, count: 5, sent_at: GO + 1000, ...overrides });
+
+describe('drainIngest', () => {
+  it('applies everything queued at once and acks every copy', () => {
+    const ingest = createIngest();
+    const ledger = newLedger();
+    queueBatch(ingest, batch());
+    queueBatch(ingest, batch());
+    queueBatch(ingest, batch({ player_id: 'p2', team: 'BLUE', nickname: 'Bo', count: 7 }));
+    queueBatch(ingest, batch({ round_id: 'r0', player_id: 'p3' }));
+    const { acked, counted } = drainIngest(ingest, ledger, { roundId: 'r1', now: GO + 1100 });
+    expect(acked).toHaveLength(3);
+    expect(counted).toHaveLength(2);
+    expect(ingest.queue).toEqual([]);
+    expect(ingest.totals).toEqual({ RED: 5, BLUE: 7 });
+    expect(ingest.top.map(player => player.id)).toEqual(['p2', 'p1']);
+  });
+
+  it('keeps totals and the top of the leaderboard the same as a full recount', () => {
+    const random = seededRandom(11);
+    const ingest = createIngest();
+    const ledger = newLedger();
+    const penalties = { p4: PENALTIES.DISCOUNTED, p9: PENALTIES.DISQUALIFIED };
+    for (let seq = 1; seq <= 20; seq++) {
+      for (let id = 1; id <= 30; id++) {
+        queueBatch(ingest, batch({ player_id: `p${id}`, team: id % 2 ? 'RED' : 'BLUE', nickname: `P${id}`, seq, count: Math.floor(random() * 13), sent_at: GO + seq * 1000 }));
+      }
+      drainIngest(ingest, ledger, { roundId: 'r1', penalties, now: GO + seq * 1000 + 50 });
+    }
+    expect(ingest.totals).toEqual(teamTotals(ledger, penalties));
+    expect(ingest.top.map(player => player.count)).toEqual(rankPlayers(ledger, penalties).slice(0, LEADERBOARD_SIZE).map(player => player.count));
+    expect(ingest.top.some(player => player.id === 'p9')).toBe(false);
+    expect(rankPlayers(ledger, penalties).find(player => player.id === 'p4').count).toBeLessThan(ledger.players.p4.count);
+  });
+
+  it('leaves totals alone when nothing new counted', () => {
+    const ingest = createIngest();
+    const ledger = newLedger();
+    queueBatch(ingest, batch());
+    drainIngest(ingest, ledger, { roundId: 'r1', now: GO + 1100 });
+    const { totals } = ingest;
+    queueBatch(ingest, batch());
+    drainIngest(ingest, ledger, { roundId: 'r1', now: GO + 1200 });
+    expect(ingest.totals).toBe(totals);
+  });
+
+  it('rescores when the table overrules a broadcast', () => {
+    const ingest = createIngest();
+    const ledger = newLedger();
+    queueBatch(ingest, batch({ count: 20 }), { provisional: true });
+    queueBatch(ingest, batch({ player_id: 'p2', team: 'BLUE', nickname: 'Bo', count: 7 }));
+    drainIngest(ingest, ledger, { roundId: 'r1', now: GO + 1100 });
+    expect(ingest.totals).toEqual({ RED: 20, BLUE: 7 });
+    queueBatch(ingest, batch({ count: 5 }));
+    drainIngest(ingest, ledger, { roundId: 'r1', now: GO + 1200 });
+    expect(ingest.totals).toEqual({ RED: 5, BLUE: 7 });
+    expect(ingest.top.map(player => player.id)).toEqual(['p2', 'p1']);
+  });
+});
+
+describe('rescoreIngest', () => {
+  it('recounts after a penalty', () => {
+    const ingest = createIngest();
+    const ledger = newLedger();
+    queueBatch(ingest, batch({ count: 8 }));
+    drainIngest(ingest, ledger, { roundId: 'r1', now: GO + 1100 });
+    rescoreIngest(ingest, ledger, { p1: PENALTIES.DISQUALIFIED });
+    expect(ingest.totals).toEqual({ RED: 0 });
+    expect(ingest.top).toEqual([]);
+  });
+});
+
+describe('ingestStats', () => {
+  it('reports the arrival rate, the queue and the smoothed lag', () => {
+    const ingest = createIngest();
+    const ledger = newLedger();
+    expect(ingestStats(ingest, GO)).toEqual({ rate: 0, queued: 0, lagMs: null });
+    queueBatch(ingest, batch({ sent_at: GO + 1000 }));
+    queueBatch(ingest, batch({ player_id: 'p2', sent_at: GO + 1200 }));
+    drainIngest(ingest, ledger, { roundId: 'r1', now: GO + 1400 });
+    queueBatch(ingest, batch({ seq: 2, sent_at: GO + 1500 }));
+    expect(ingestStats(ingest, GO + 1500)).toEqual({ rate: 2, queued: 1, lagMs: 300 });
+    expect(ingestStats(ingest, GO + 5000).rate).toBe(1);
+  });
+});
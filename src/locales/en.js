@@ -0,0 +1,308 @@
+// English messages; also the fallback for anything a locale leaves out.
+// `{name}` is filled in from the params; an object is picked by plural
+// category of `count` (see ../i18n.js).
+
+export default {
+  app: {
+    close: 'Close',
+    loading: 'Loading…',
+    language: 'Language',
+    preferences: 'Preferences',
+  },
+  countdown: {
+    go: 'GO!',
+  },
+  status: {
+    LOBBY: 'LOBBY',
+    COUNTDOWN: 'COUNTDOWN',
+    PLAYING: 'PLAYING',
+    FINISHED: 'FINISHED',
+  },
+  announce: {
+    lobby: 'Waiting in the lobby for the host to start the round.',
+    countdown: { one: 'Get ready. The round starts in {count} second.', other: 'Get ready. The round starts in {count} seconds.' },
+    playing: 'Go! Tap now.',
+    counting: 'Round over. Counting the taps.',
+    draw: 'Round over. It is a draw.',
+    winner: 'Round over. Team {team} wins.',
+    series: '{result} Team {team} takes the series.',
+  },
+  a11y: {
+    languageAuto: 'Automatic',
+    colours: 'Team colours',
+    standard: 'Standard',
+    colorblind: 'Colour-blind safe',
+    motion: 'Motion',
+    motionSystem: 'Like my device',
+    motionReduced: 'Reduced',
+    motionFull: 'Full',
+  },
+  sound: {
+    title: 'Sound',
+    mute: 'Mute',
+    volume: 'Volume',
+  },
+  rooms: {
+    notFound: 'Room {code} does not exist.',
+    closed: 'Room {code} has been closed.',
+  },
+  modes: {
+    CLASSIC: { label: 'Classic', goal: 'Most taps when the timer runs out' },
+    TUG_OF_WAR: { label: 'Tug-of-War', goal: { one: 'Pull the rope {count} tap your way', other: 'Pull the rope {count} taps your way' } },
+    FIRST_TO: { label: 'First to {target}', goal: { one: 'First team to {count} tap wins', other: 'First team to {count} taps wins' } },
+  },
+  chaos: {
+    frozen: '{emoji} {nickname} froze every team but {team}!',
+    freezeUpForGrabs: '{emoji} Freeze power-up up for grabs',
+    grabbed: '{emoji} {nickname} grabbed 2×',
+    upForGrabs: '{emoji} 2× power-up up for grabs',
+    golden: '{emoji} Golden taps: every tap ×{multiplier}',
+    youDouble: '{emoji} You tap double!',
+    mode: 'CHAOS MODE!',
+    frozenBanner: '🧊 FROZEN!',
+    grab: {
+      DOUBLE: 'Grab the double-tap power-up',
+      FREEZE: 'Grab the freeze power-up',
+    },
+  },
+  series: {
+    bestOf: '(best of {length}, first to {wins})',
+    won: 'Series won!',
+    lost: 'Series lost',
+    takes: '{emoji} Takes the series!',
+  },
+  connection: {
+    ONLINE: 'Connected',
+    RETRYING: 'Retrying',
+    OFFLINE: 'Offline',
+    waiting: { one: '· {count} batch waiting', other: '· {count} batches waiting' },
+  },
+  player: {
+    enterName: 'Enter your name to join room {code}',
+    enterCode: 'Enter the room code from the host screen',
+    roomCode: 'Room Code',
+    nickname: 'Nickname',
+    nicknamePlaceholder: 'e.g. SpeedDemon',
+    join: 'JOIN GAME',
+    joining: 'JOINING...',
+    joinFailed: 'Join failed. Try again.',
+    noRoom: 'No room with code {code}. Check the host screen.',
+    kicked: 'The host removed you from this room.',
+    locked: 'Room {code} is locked. Ask the host to let you in.',
+    leave: 'Leave Game',
+    leaveConfirm: 'Leave game? You will lose your spot.',
+    fightingFor: 'You are fighting for',
+    team: 'TEAM {team}',
+    waiting: 'Waiting for host to start...',
+    roundLength: '{seconds}s round',
+    chaosWindow: ' · last {seconds}s chaos',
+    tapFor: 'Tap for Team {team}',
+    taps: { one: 'tap', other: 'taps' },
+    victory: 'VICTORY!',
+    defeat: 'DEFEAT',
+    winners: 'GLORY TO THE WINNERS!',
+    losers: 'YOU FOUGHT BRAVELY',
+    yourRound: 'Your round',
+    disqualified: 'Disqualified by the host',
+    place: '#{rank} of {size} on {team}',
+    ahead: 'Ahead',
+    behind: 'Behind',
+    tied: 'Tied',
+  },
+  nickname: {
+    empty: 'Pick a nickname.',
+    tooLong: { one: 'Nicknames are at most {count} character.', other: 'Nicknames are at most {count} characters.' },
+    blocked: 'That nickname is not allowed here. Try another one.',
+  },
+  standings: {
+    even: 'Even',
+    winner: 'WINNER',
+    draw: 'DRAW!',
+    clicks: { one: '{count} click', other: '{count} clicks' },
+    noClicks: 'No clicks recorded yet!',
+    joined: { one: '{count} Joined', other: '{count} Joined' },
+    team: 'Team {team}',
+    momentum: 'Momentum',
+    leadChanges: { one: '{count} lead change', other: '{count} lead changes' },
+    chaos: '▮ chaos',
+    upDown: '{up} up · {down} down',
+  },
+  flags: {
+    title: 'Flagged Players',
+    BATCH_LIMIT: 'Sent more taps in one batch than is humanly possible',
+    RATE_LIMIT: 'Sent more taps than the round so far allows',
+    SUSTAINED_RATE: 'Sustained over {rate} taps/s for {seconds}+ seconds',
+    REGULAR_INTERVALS: 'Tap intervals are machine-regular',
+    rejected: { one: '{count} tap rejected', other: '{count} taps rejected' },
+    discount: 'Discount',
+    disqualify: 'Disqualify',
+    clear: 'Clear',
+    DISCOUNTED: 'DISCOUNTED',
+    DISQUALIFIED: 'DISQUALIFIED',
+  },
+  controls: {
+    start: 'Start Game',
+    waitingForPlayers: '(Waiting for Players)',
+    ready: { one: '({count} Ready)', other: '({count} Ready)' },
+    resetSeries: 'Reset Series',
+    closeRoom: 'Close Room',
+    nextRound: 'Next Round',
+    playAgain: 'Play Again',
+    inProgress: 'GAME IN PROGRESS',
+    forceFinish: 'Force Finish',
+  },
+  settings: {
+    title: 'Round Settings',
+    mode: 'Game mode',
+    ropeLength: 'Rope length',
+    target: 'Target',
+    taps: { one: '{count} tap', other: '{count} taps' },
+    series: 'Series',
+    singleRound: 'Single round',
+    bestOf: 'Best of {count}',
+    duration: 'Round duration',
+    seconds: '{count}s',
+    chaosWindow: 'Chaos window',
+    off: 'Off',
+    lastSeconds: 'Last {count}s',
+    batchInterval: 'Batch interval',
+    milliseconds: '{count} ms',
+    chaosJump: 'Chaos button jumps',
+    chaosEvents: 'Chaos events & power-ups',
+    teams: 'Teams',
+    teamEmoji: 'Team {index} emoji',
+    teamName: 'Team {index} name',
+    teamColour: 'Team {index} colour',
+    language: 'Room language',
+    languageAuto: "Each device's own",
+  },
+  moderation: {
+    title: 'Moderation',
+    kicked: { one: "{count} kicked player can't rejoin", other: "{count} kicked players can't rejoin" },
+    letBack: 'Let them back in',
+    blocklist: 'Blocked nickname words, comma separated (common slurs are always blocked)',
+    moveTo: 'Move {nickname} to team',
+    rename: 'Rename',
+    renameLabel: 'Rename {nickname}',
+    kick: 'Kick',
+    kickLabel: 'Kick {nickname}',
+    kickConfirm: "Kick {nickname}? They won't be able to rejoin this room.",
+    renamePrompt: 'New nickname for {nickname}:',
+    locked: '🔒 Lobby locked · unlock',
+    open: '🔓 Lobby open · lock',
+    reactionsOn: '💬 Reactions on · turn off',
+    reactionsOff: '💬 Reactions off · turn on',
+    mute: 'Mute reactions',
+    muteLabel: 'Mute reactions from {nickname}',
+    unmute: 'Unmute reactions',
+    unmuteLabel: 'Unmute reactions from {nickname}',
+  },
+  reactions: {
+    title: 'Cheer on the big screen',
+    LETS_GO: "Let's go!",
+    AGAIN: 'Again!',
+    GG: 'GG',
+    SO_CLOSE: 'So close!',
+    slowDown: 'Easy there, one moment…',
+  },
+  bots: {
+    title: 'Bots',
+    hint: 'Bots join a team like players, tap by themselves and never count for MVP.',
+    label: 'Bot',
+    nickname: 'Bot {number}',
+    skill: 'Skill',
+    ROOKIE: 'Rookie',
+    REGULAR: 'Regular',
+    PRO: 'Pro',
+    custom: 'Custom',
+    taps_per_second: 'Taps per second',
+    burstiness: 'Burstiness (%)',
+    fatigue: 'Fatigue (%)',
+    team: 'Team',
+    smallestTeam: 'Smallest team',
+    add: '🤖 Add bot',
+    balance: { one: 'Even out teams (+{count} bot)', other: 'Even out teams (+{count} bots)' },
+    removeAll: { one: 'Remove {count} bot', other: 'Remove all {count} bots' },
+    describe: 'Bot · {rate} taps/s · {burstiness}% bursty · {fatigue}% fatigue',
+  },
+  leaderboard: {
+    title: 'All-Time Leaderboard',
+    failed: 'Could not load the leaderboard.',
+    empty: 'No finished rounds yet.',
+    player: 'Player',
+    rounds: 'Rounds',
+    total_taps: 'Total taps',
+    wins: 'Wins',
+    mvps: 'MVPs',
+    best_round: 'Best round',
+    peak_tps: 'Peak taps/s',
+  },
+  history: {
+    title: 'Round History',
+    failed: 'Could not load the round history.',
+    empty: 'No rounds recorded yet.',
+    room: 'Room {code}',
+    allRooms: 'All rooms',
+    allJson: 'All JSON',
+    allCsv: 'All CSV',
+    won: '{emoji} {team} won',
+    draw: 'Draw',
+    players: { one: '{count} player', other: '{count} players' },
+  },
+  create: {
+    intro: 'Create a room and share its join code with your players.',
+    create: 'Create Room',
+    creating: 'Creating...',
+    failed: 'Could not create room. Try again.',
+  },
+  display: {
+    enterCode: 'Enter the room code to show it on this screen.',
+    roomCode: 'Room code',
+    show: 'SHOW',
+    fullscreen: '⛶ Full screen',
+    scan: 'Scan the code, or go to',
+    enterRoom: 'and enter room',
+    join: 'Join:',
+    counting: 'Counting the taps…',
+    qr: 'QR code for {text}',
+  },
+  unlock: {
+    checking: 'Checking host key…',
+    title: 'Room {code} is locked',
+    intro: 'Only its host can run it. Open the host link from the device that created the room, or paste it here.',
+    placeholder: 'Host link or key',
+    badFormat: 'Paste the host link or the 32-character host key.',
+    wrongKey: 'That key does not unlock room {code}.',
+    unlock: 'Unlock',
+    unlocking: 'Unlocking...',
+    newRoom: 'Create a new room instead',
+  },
+  host: {
+    dashboard: 'Host Dashboard',
+    roomStatus: 'Room Status:',
+    mode: 'Mode:',
+    room: 'Room',
+    joinCode: 'Join Code',
+    timeRemaining: 'Time Remaining',
+    lateTaps: 'Collecting late taps…',
+    missing: { one: '⚠ {count} click batch missing from {players}', other: '⚠ {count} click batches missing from {players}' },
+    missingPlayers: { one: '{count} player', other: '{count} players' },
+    teamPlayers: { one: '{count} player', other: '{count} players' },
+    topTappers: 'Top Tappers',
+    ingestRate: { one: '{count} batch/s', other: '{count} batches/s' },
+    ingestLag: '{ms} ms behind',
+    ingestQueued: '{count} queued',
+    roundHistory: 'Round History',
+    allTime: 'All-Time Leaderboard',
+    openBigScreen: 'Open Big Screen',
+    bigScreenButton: '📺 Open big screen',
+    compact: 'Compact Controls',
+    fullDashboard: 'Full dashboard',
+    hostLink: 'Host Link',
+    hostLinkButton: '🔑 Host link',
+    hostLinkWarning: "Anyone with this link can run room {code}. Don't show it on the big screen.",
+    otherTabDriving: 'Another host tab is running this room.',
+    takeOver: 'Run it from here',
+    closeConfirm: 'Close room {code}? All players will be removed.',
+  },
+};
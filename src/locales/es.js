@@ -0,0 +1,306 @@
+// Spanish messages. Keys missing here fall back to English (see ../i18n.js).
+
+export default {
+  app: {
+    close: 'Cerrar',
+    loading: 'Cargando…',
+    language: 'Idioma',
+    preferences: 'Preferencias',
+  },
+  countdown: {
+    go: '¡YA!',
+  },
+  status: {
+    LOBBY: 'SALA DE ESPERA',
+    COUNTDOWN: 'CUENTA ATRÁS',
+    PLAYING: 'EN JUEGO',
+    FINISHED: 'TERMINADA',
+  },
+  announce: {
+    lobby: 'Esperando en la sala a que el anfitrión empiece la ronda.',
+    countdown: { one: 'Prepárate. La ronda empieza en {count} segundo.', other: 'Prepárate. La ronda empieza en {count} segundos.' },
+    playing: '¡Ya! Toca ahora.',
+    counting: 'Fin de la ronda. Contando los toques.',
+    draw: 'Fin de la ronda. Es un empate.',
+    winner: 'Fin de la ronda. Gana el equipo {team}.',
+    series: '{result} El equipo {team} se lleva la serie.',
+  },
+  a11y: {
+    languageAuto: 'Automático',
+    colours: 'Colores de los equipos',
+    standard: 'Estándar',
+    colorblind: 'Aptos para daltónicos',
+    motion: 'Movimiento',
+    motionSystem: 'Como mi dispositivo',
+    motionReduced: 'Reducido',
+    motionFull: 'Completo',
+  },
+  sound: {
+    title: 'Sonido',
+    mute: 'Silenciar',
+    volume: 'Volumen',
+  },
+  rooms: {
+    notFound: 'La sala {code} no existe.',
+    closed: 'La sala {code} se ha cerrado.',
+  },
+  modes: {
+    CLASSIC: { label: 'Clásico', goal: 'Más toques cuando se acaba el tiempo' },
+    TUG_OF_WAR: { label: 'Tira y afloja', goal: { one: 'Tira de la cuerda {count} toque hacia tu lado', other: 'Tira de la cuerda {count} toques hacia tu lado' } },
+    FIRST_TO: { label: 'Primero a {target}', goal: { one: 'Gana el primer equipo en llegar a {count} toque', other: 'Gana el primer equipo en llegar a {count} toques' } },
+  },
+  chaos: {
+    frozen: '{emoji} ¡{nickname} congeló a todos menos a {team}!',
+    freezeUpForGrabs: '{emoji} Potenciador de congelar para quien lo atrape',
+    grabbed: '{emoji} {nickname} consiguió el 2×',
+    upForGrabs: '{emoji} Potenciador 2× para quien lo atrape',
+    golden: '{emoji} Toques dorados: cada toque ×{multiplier}',
+    youDouble: '{emoji} ¡Tus toques valen doble!',
+    mode: '¡MODO CAOS!',
+    frozenBanner: '🧊 ¡CONGELADO!',
+    grab: {
+      DOUBLE: 'Atrapa el potenciador de toque doble',
+      FREEZE: 'Atrapa el potenciador de congelar',
+    },
+  },
+  series: {
+    bestOf: '(al mejor de {length}, gana quien llegue a {wins})',
+    won: '¡Serie ganada!',
+    lost: 'Serie perdida',
+    takes: '{emoji} ¡Se lleva la serie!',
+  },
+  connection: {
+    ONLINE: 'Conectado',
+    RETRYING: 'Reintentando',
+    OFFLINE: 'Sin conexión',
+    waiting: { one: '· {count} lote pendiente', other: '· {count} lotes pendientes' },
+  },
+  player: {
+    enterName: 'Escribe tu nombre para unirte a la sala {code}',
+    enterCode: 'Escribe el código de sala que aparece en la pantalla del anfitrión',
+    roomCode: 'Código de sala',
+    nickname: 'Apodo',
+    nicknamePlaceholder: 'p. ej. Rayo',
+    join: 'UNIRSE',
+    joining: 'UNIÉNDOTE...',
+    joinFailed: 'No se pudo unir. Inténtalo de nuevo.',
+    noRoom: 'No hay ninguna sala con el código {code}. Revisa la pantalla del anfitrión.',
+    kicked: 'El anfitrión te ha expulsado de esta sala.',
+    locked: 'La sala {code} está cerrada. Pide al anfitrión que te deje entrar.',
+    leave: 'Salir de la partida',
+    leaveConfirm: '¿Salir de la partida? Perderás tu sitio.',
+    fightingFor: 'Luchas por el',
+    team: 'EQUIPO {team}',
+    waiting: 'Esperando a que el anfitrión empiece...',
+    roundLength: 'Ronda de {seconds} s',
+    chaosWindow: ' · caos en los últimos {seconds} s',
+    tapFor: 'Toca por el equipo {team}',
+    taps: { one: 'toque', other: 'toques' },
+    victory: '¡VICTORIA!',
+    defeat: 'DERROTA',
+    winners: '¡GLORIA A LOS GANADORES!',
+    losers: 'LUCHASTE CON VALENTÍA',
+    yourRound: 'Tu ronda',
+    disqualified: 'Descalificado por el anfitrión',
+    place: 'N.º {rank} de {size} en {team}',
+    ahead: 'Por delante',
+    behind: 'Por detrás',
+    tied: 'Empate',
+  },
+  nickname: {
+    empty: 'Elige un apodo.',
+    tooLong: { one: 'Los apodos tienen como máximo {count} carácter.', other: 'Los apodos tienen como máximo {count} caracteres.' },
+    blocked: 'Ese apodo no está permitido aquí. Prueba con otro.',
+  },
+  standings: {
+    even: 'Igualados',
+    winner: 'GANADOR',
+    draw: '¡EMPATE!',
+    clicks: { one: '{count} toque', other: '{count} toques' },
+    noClicks: '¡Aún no hay toques registrados!',
+    joined: { one: '{count} dentro', other: '{count} dentro' },
+    team: 'Equipo {team}',
+    momentum: 'Impulso',
+    leadChanges: { one: '{count} cambio de líder', other: '{count} cambios de líder' },
+    chaos: '▮ caos',
+    upDown: '{up} arriba · {down} abajo',
+  },
+  flags: {
+    title: 'Jugadores señalados',
+    BATCH_LIMIT: 'Envió más toques en un lote de lo que es humanamente posible',
+    RATE_LIMIT: 'Envió más toques de los que permite lo jugado de la ronda',
+    SUSTAINED_RATE: 'Mantuvo más de {rate} toques/s durante {seconds} s o más',
+    REGULAR_INTERVALS: 'Los intervalos entre toques son de máquina',
+    rejected: { one: '{count} toque rechazado', other: '{count} toques rechazados' },
+    discount: 'Descontar',
+    disqualify: 'Descalificar',
+    clear: 'Quitar',
+    DISCOUNTED: 'DESCONTADO',
+    DISQUALIFIED: 'DESCALIFICADO',
+  },
+  controls: {
+    start: 'Empezar partida',
+    waitingForPlayers: '(Esperando jugadores)',
+    ready: { one: '({count} listo)', other: '({count} listos)' },
+    resetSeries: 'Reiniciar serie',
+    closeRoom: 'Cerrar sala',
+    nextRound: 'Siguiente ronda',
+    playAgain: 'Jugar otra vez',
+    inProgress: 'PARTIDA EN CURSO',
+    forceFinish: 'Terminar ya',
+  },
+  settings: {
+    title: 'Ajustes de la ronda',
+    mode: 'Modo de juego',
+    ropeLength: 'Largo de la cuerda',
+    target: 'Meta',
+    taps: { one: '{count} toque', other: '{count} toques' },
+    series: 'Serie',
+    singleRound: 'Una sola ronda',
+    bestOf: 'Al mejor de {count}',
+    duration: 'Duración de la ronda',
+    seconds: '{count} s',
+    chaosWindow: 'Tramo de caos',
+    off: 'Desactivado',
+    lastSeconds: 'Últimos {count} s',
+    batchInterval: 'Intervalo de lotes',
+    milliseconds: '{count} ms',
+    chaosJump: 'El botón salta en el caos',
+    chaosEvents: 'Eventos de caos y potenciadores',
+    teams: 'Equipos',
+    teamEmoji: 'Emoji del equipo {index}',
+    teamName: 'Nombre del equipo {index}',
+    teamColour: 'Color del equipo {index}',
+    language: 'Idioma de la sala',
+    languageAuto: 'El de cada dispositivo',
+  },
+  moderation: {
+    title: 'Moderación',
+    kicked: { one: '{count} jugador expulsado no puede volver', other: '{count} jugadores expulsados no pueden volver' },
+    letBack: 'Dejarles volver',
+    blocklist: 'Palabras prohibidas en los apodos, separadas por comas (los insultos comunes siempre están prohibidos)',
+    moveTo: 'Mover a {nickname} al equipo',
+    rename: 'Renombrar',
+    renameLabel: 'Renombrar a {nickname}',
+    kick: 'Expulsar',
+    kickLabel: 'Expulsar a {nickname}',
+    kickConfirm: '¿Expulsar a {nickname}? No podrá volver a esta sala.',
+    renamePrompt: 'Nuevo apodo para {nickname}:',
+    locked: '🔒 Sala cerrada · abrir',
+    open: '🔓 Sala abierta · cerrar',
+    reactionsOn: '💬 Reacciones activadas · desactivar',
+    reactionsOff: '💬 Reacciones desactivadas · activar',
+    mute: 'Silenciar reacciones',
+    muteLabel: 'Silenciar las reacciones de {nickname}',
+    unmute: 'Reactivar reacciones',
+    unmuteLabel: 'Reactivar las reacciones de {nickname}',
+  },
+  reactions: {
+    title: 'Anima en la pantalla grande',
+    LETS_GO: '¡Vamos!',
+    AGAIN: '¡Otra!',
+    GG: 'GG',
+    SO_CLOSE: '¡Por poco!',
+    slowDown: 'Con calma, un momento…',
+  },
+  bots: {
+    title: 'Bots',
+    hint: 'Los bots se unen a un equipo como los jugadores, tocan solos y nunca cuentan para el MVP.',
+    label: 'Bot',
+    nickname: 'Bot {number}',
+    skill: 'Nivel',
+    ROOKIE: 'Novato',
+    REGULAR: 'Normal',
+    PRO: 'Pro',
+    custom: 'Personalizado',
+    taps_per_second: 'Toques por segundo',
+    burstiness: 'Ráfagas (%)',
+    fatigue: 'Cansancio (%)',
+    team: 'Equipo',
+    smallestTeam: 'El equipo más pequeño',
+    add: '🤖 Añadir bot',
+    balance: { one: 'Igualar equipos (+{count} bot)', other: 'Igualar equipos (+{count} bots)' },
+    removeAll: { one: 'Quitar {count} bot', other: 'Quitar los {count} bots' },
+    describe: 'Bot · {rate} toques/s · {burstiness}% ráfagas · {fatigue}% cansancio',
+  },
+  leaderboard: {
+    title: 'Clasificación histórica',
+    failed: 'No se pudo cargar la clasificación.',
+    empty: 'Aún no ha terminado ninguna ronda.',
+    player: 'Jugador',
+    rounds: 'Rondas',
+    total_taps: 'Toques totales',
+    wins: 'Victorias',
+    mvps: 'MVP',
+    best_round: 'Mejor ronda',
+    peak_tps: 'Máx. toques/s',
+  },
+  history: {
+    title: 'Historial de rondas',
+    failed: 'No se pudo cargar el historial de rondas.',
+    empty: 'Todavía no hay rondas guardadas.',
+    room: 'Sala {code}',
+    allRooms: 'Todas las salas',
+    allJson: 'Todo en JSON',
+    allCsv: 'Todo en CSV',
+    won: '{emoji} Ganó {team}',
+    draw: 'Empate',
+    players: { one: '{count} jugador', other: '{count} jugadores' },
+  },
+  create: {
+    intro: 'Crea una sala y comparte su código con tus jugadores.',
+    create: 'Crear sala',
+    creating: 'Creando...',
+    failed: 'No se pudo crear la sala. Inténtalo de nuevo.',
+  },
+  display: {
+    enterCode: 'Escribe el código de sala para mostrarla en esta pantalla.',
+    roomCode: 'Código de sala',
+    show: 'MOSTRAR',
+    fullscreen: '⛶ Pantalla completa',
+    scan: 'Escanea el código o entra en',
+    enterRoom: 'y escribe la sala',
+    join: 'Únete:',
+    counting: 'Contando los toques…',
+    qr: 'Código QR de {text}',
+  },
+  unlock: {
+    checking: 'Comprobando la clave de anfitrión…',
+    title: 'La sala {code} está bloqueada',
+    intro: 'Solo su anfitrión puede dirigirla. Abre el enlace de anfitrión desde el dispositivo que creó la sala o pégalo aquí.',
+    placeholder: 'Enlace o clave de anfitrión',
+    badFormat: 'Pega el enlace de anfitrión o la clave de 32 caracteres.',
+    wrongKey: 'Esa clave no desbloquea la sala {code}.',
+    unlock: 'Desbloquear',
+    unlocking: 'Desbloqueando...',
+    newRoom: 'Crear una sala nueva',
+  },
+  host: {
+    dashboard: 'Panel del anfitrión',
+    roomStatus: 'Estado de la sala:',
+    mode: 'Modo:',
+    room: 'Sala',
+    joinCode: 'Código para unirse',
+    timeRemaining: 'Tiempo restante',
+    lateTaps: 'Recogiendo toques rezagados…',
+    missing: { one: '⚠ Falta {count} lote de toques de {players}', other: '⚠ Faltan {count} lotes de toques de {players}' },
+    missingPlayers: { one: '{count} jugador', other: '{count} jugadores' },
+    teamPlayers: { one: '{count} jugador', other: '{count} jugadores' },
+    topTappers: 'Mejores jugadores',
+    ingestRate: { one: '{count} lote/s', other: '{count} lotes/s' },
+    ingestLag: '{ms} ms de retraso',
+    ingestQueued: '{count} en cola',
+    roundHistory: 'Historial de rondas',
+    allTime: 'Clasificación histórica',
+    openBigScreen: 'Abrir pantalla grande',
+    bigScreenButton: '📺 Abrir pantalla grande',
+    compact: 'Controles compactos',
+    fullDashboard: 'Panel completo',
+    hostLink: 'Enlace de anfitrión',
+    hostLinkButton: '🔑 Enlace de anfitrión',
+    hostLinkWarning: 'Cualquiera con este enlace puede dirigir la sala {code}. No lo muestres en la pantalla grande.',
+    otherTabDriving: 'Otra pestaña de anfitrión está dirigiendo esta sala.',
+    takeOver: 'Dirigirla desde aquí',
+    closeConfirm: '¿Cerrar la sala {code}? Se expulsará a todos los jugadores.',
+  },
+};
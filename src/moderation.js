@@ -0,0 +1,50 @@
+// --- Moderation ---
+// The host can lock the lobby, kick players (their profile then cannot rejoin
+// the room), add words to the nickname blocklist, and turn reactions off or
+// mute single players' reactions (see ./reactions.js). All of it lives on the
+// room's `game_state` row (`moderation`), so joining phones check it
+// themselves; kicks, renames and team moves are plain `players` row changes
+// that the player's phone picks up through its realtime subscription.
+
+export const NICKNAME_MAX_LENGTH = 12;
+
+export const DEFAULT_MODERATION = { locked: false, blocklist: [], kicked: [], reactions: true, muted: [] };
+
+// Always blocked, on top of whatever the host adds.
+const BASE_BLOCKLIST = ['fuck', 'shit', 'cunt', 'nigger', 'faggot', 'retard', 'whore', 'slut', 'nazi', 'hitler'];
+
+// l33t spellings and separators are folded away before words are compared.
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i' };
+const foldWord = (text) => text.toLowerCase().replace(/[0134578@$!]/g, char => LOOKALIKES[char]).replace(/[^a-z]/g, '');
+
+const normalizeWords = (words) => [...new Set((Array.isArray(words) ? words : []).map(foldWord).filter(Boolean))];
+
+// Rooms from before moderation have no `moderation` at all.
+export const normalizeModeration = (moderation = {}) => {
+  const merged = { ...DEFAULT_MODERATION, ...(moderation || {}) };
+  return {
+    locked: merged.locked === true,
+    blocklist: normalizeWords(merged.blocklist),
+    kicked: Array.isArray(merged.kicked) ? merged.kicked.filter(id => typeof id === 'string') : [],
+    reactions: merged.reactions !== false,
+    // Player ids whose reactions are not shown.
+    muted: Array.isArray(merged.muted) ? merged.muted.filter(id => typeof id === 'string') : [],
+  };
+};
+
+// The host types extra words as a comma- or newline-separated list.
+export const parseBlocklist = (text) => normalizeWords((text || '').split(/[,\n]/));
+
+export const cleanNickname = (name) => (name || '').replace(/\p{Cc}/gu, '').replace(/\s+/g, ' ').trim();
+
+// Returns why a nickname is not allowed, as a message (`{ key, params }`,
+// see ./i18n.js), or null when it is fine.
+export const nicknameProblem = (name, moderation) => {
+  const nickname = cleanNickname(name);
+  if (!nickname) return { key: 'nickname.empty' };
+  if (nickname.length > NICKNAME_MAX_LENGTH) return { key: 'nickname.tooLong', params: { count: NICKNAME_MAX_LENGTH } };
+  const folded = foldWord(nickname);
+  const blocked = [...BASE_BLOCKLIST, ...normalizeModeration(moderation).blocklist];
+  if (blocked.some(word => folded.includes(word))) return { key: 'nickname.blocked' };
+  return null;
+};
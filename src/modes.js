@@ -0,0 +1,49 @@
+// --- Game Modes ---
+// The win condition for a round, plus the optional best-of-N series wrapped
+// around it. Both are part of the round settings on `game_state`; the series
+// score itself lives in `game_state.match_score`.
+
+import { rankTeams } from './clickLedger';
+
+export const MODES = {
+  CLASSIC: 'CLASSIC',
+  TUG_OF_WAR: 'TUG_OF_WAR',
+  FIRST_TO: 'FIRST_TO',
+};
+
+// Label and one-line goal for the round's mode, in the language of `t`.
+export const describeMode = (settings, t) => {
+  switch (settings.mode) {
+    case MODES.TUG_OF_WAR:
+      return { label: t('modes.TUG_OF_WAR.label'), goal: t('modes.TUG_OF_WAR.goal', { count: settings.rope_length }) };
+    case MODES.FIRST_TO:
+      return { label: t('modes.FIRST_TO.label', { target: settings.target }), goal: t('modes.FIRST_TO.goal', { count: settings.target }) };
+    default:
+      return { label: t('modes.CLASSIC.label'), goal: t('modes.CLASSIC.goal') };
+  }
+};
+
+// How far the leading team has pulled the rope past the runner-up.
+export const ropePosition = (totals) => {
+  const [first, second] = rankTeams(totals);
+  if (!first) return { leader: null, lead: 0 };
+  const lead = first.score - (second ? second.score : 0);
+  return { leader: lead > 0 ? first.team : null, lead };
+};
+
+// Whether the round is over before the timer runs out.
+export const isRoundDecided = (settings, totals) => {
+  if (settings.mode === MODES.TUG_OF_WAR) return ropePosition(totals).lead >= settings.rope_length;
+  if (settings.mode === MODES.FIRST_TO) return Object.values(totals).some(score => score >= settings.target);
+  return false;
+};
+
+export const winsNeeded = (seriesLength) => Math.floor(seriesLength / 2) + 1;
+
+// Folds a round result into the series; draws don't count towards anyone.
+export const applySeriesResult = (matchScore, winner, seriesLength) => {
+  const next = { ...(matchScore || {}) };
+  if (winner && winner !== 'DRAW') next[winner] = (next[winner] || 0) + 1;
+  const seriesWinner = seriesLength > 1 ? Object.keys(next).find(team => next[team] >= winsNeeded(seriesLength)) || null : null;
+  return { match_score: next, series_winner: seriesWinner };
+};
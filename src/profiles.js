@@ -0,0 +1,76 @@
+import { effectiveCount, peakTapsPerSecond, rankPlayers } from './clickLedger';
+
+// --- Player Profiles ---
+// A profile is a player's identity across rounds and rooms. Its id lives in
+// localStorage, so it outlasts the tab, and rides along on every `players`
+// row and click batch. When a round finishes the host folds each tapper's
+// results into the `profiles` table, which backs the all-time leaderboard.
+
+const PROFILE_KEY = 'tapwar_profile';
+const PROFILE_NAME_KEY = 'tapwar_profile_name';
+
+// Same reason as newRoundId: no crypto.randomUUID on plain-http LAN origins.
+const newProfileId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}${Math.random().toString(36).slice(2, 10)}`;
+
+export const getProfileId = () => {
+  let id = localStorage.getItem(PROFILE_KEY);
+  if (!id) {
+    id = newProfileId();
+    localStorage.setItem(PROFILE_KEY, id);
+  }
+  return id;
+};
+
+export const getProfileName = () => localStorage.getItem(PROFILE_NAME_KEY) || '';
+
+export const setProfileName = (name) => localStorage.setItem(PROFILE_NAME_KEY, name);
+
+// Columns the leaderboard can be sorted by; their labels are `leaderboard.<key>` messages.
+export const LEADERBOARD_SORTS = ['total_taps', 'wins', 'mvps', 'best_round', 'peak_tps'];
+
+// One entry per profile that tapped in the round. Disqualified players still
+// play a round, they just do it with zero taps. Bots have no profile and are
+// never MVP.
+export const roundResults = (ledger, penalties, winner) => {
+  const [mvp] = rankPlayers(ledger, penalties).filter(player => !player.bot);
+  return Object.values(ledger.players)
+    .filter(player => player.profile_id)
+    .map(player => ({
+      profile_id: player.profile_id,
+      nickname: player.nickname,
+      taps: effectiveCount(ledger, player, penalties[player.id]),
+      peak_tps: peakTapsPerSecond(player, penalties[player.id], ledger.batchIntervalMs),
+      won: player.team === winner,
+      mvp: Boolean(mvp && mvp.id === player.id && mvp.count > 0),
+    }));
+};
+
+export const foldRound = (profile, result, roundId) => ({
+  id: result.profile_id,
+  nickname: result.nickname,
+  rounds: (profile?.rounds || 0) + 1,
+  total_taps: (profile?.total_taps || 0) + result.taps,
+  best_round: Math.max(profile?.best_round || 0, result.taps),
+  peak_tps: Math.max(profile?.peak_tps || 0, result.peak_tps),
+  wins: (profile?.wins || 0) + (result.won ? 1 : 0),
+  mvps: (profile?.mvps || 0) + (result.mvp ? 1 : 0),
+  last_round_id: roundId,
+  updated_at: new Date().toISOString(),
+});
+
+// A profile remembers the last round it was credited for, so finishing the
+// same round twice (a second host tab, a retry) never counts it twice.
+// Rulings made after the round was recorded do not change the stats.
+export const recordRound = (backend, roundId, results) => Promise.all(results.map(async (result) => {
+  const { data: profile, error } = await backend.selectOne('profiles', { id: result.profile_id });
+  if (error || (profile && profile.last_round_id === roundId)) return;
+  const row = foldRound(profile, result, roundId);
+  if (profile) await backend.update('profiles', { id: row.id }, row);
+  else await backend.insert('profiles', row);
+}));
+
+export const loadLeaderboard = async (backend, sortBy = 'total_taps') => {
+  const { data, error } = await backend.select('profiles');
+  if (error) throw error;
+  return (data || []).filter(profile => profile.rounds > 0).sort((a, b) => (b[sortBy] || 0) - (a[sortBy] || 0));
+};
@@ -0,0 +1,237 @@
+// --- QR Codes ---
+// Just enough of the QR spec to put a room's join link on the big screen:
+// byte mode, error correction level M, versions 1-10 (up to 213 bytes).
+// Returns the module grid (true = dark), without the quiet zone.
+
+const MAX_VERSION = 10;
+// Level M, indexed by version.
+const ECC_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const FORMAT_BITS_M = 0;
+
+const rawDataModules = (version) => {
+  let modules = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const aligns = Math.floor(version / 7) + 2;
+    modules -= (25 * aligns - 10) * aligns - 55;
+    if (version >= 7) modules -= 36;
+  }
+  return modules;
+};
+
+const dataCodewords = (version) => Math.floor(rawDataModules(version) / 8) - ECC_PER_BLOCK[version] * BLOCKS[version];
+
+const alignmentPositions = (version) => {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < count; pos -= step) positions.splice(1, 0, pos);
+  return positions;
+};
+
+// GF(256) arithmetic for the Reed-Solomon error correction.
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const rsDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const rsRemainder = (data, divisor) => {
+  const result = new Array(divisor.length).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  });
+  return result;
+};
+
+const encodeData = (bytes, version) => {
+  const bits = [];
+  const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => push(byte, 8));
+  const capacity = dataCodewords(version) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  return codewords;
+};
+
+// Splits the data into blocks, adds each block's error correction and interleaves them.
+const addErrorCorrection = (data, version) => {
+  const blockCount = BLOCKS[version];
+  const eccLength = ECC_PER_BLOCK[version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortLength = Math.floor(rawCodewords / blockCount);
+  const divisor = rsDivisor(eccLength);
+  const blocks = [];
+  for (let i = 0, k = 0; i < blockCount; i++) {
+    const block = data.slice(k, k + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = rsRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0);
+    blocks.push([...block, ...ecc]);
+  }
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks have a placeholder where long blocks have one more data byte.
+      if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const buildMatrix = (codewords, version, mask) => {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+  const aligns = alignmentPositions(version);
+  aligns.forEach((cx, i) => aligns.forEach((cy, j) => {
+    const last = aligns.length - 1;
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  const bit = (value, i) => ((value >>> i) & 1) !== 0;
+  let format = (FORMAT_BITS_M << 3) | mask;
+  let rem = format;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  format = ((format << 10) | rem) ^ 0x5412;
+  for (let i = 0; i <= 5; i++) set(8, i, bit(format, i));
+  set(8, 7, bit(format, 6));
+  set(8, 8, bit(format, 7));
+  set(7, 8, bit(format, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(format, i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(format, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(format, i));
+  set(8, size - 8, true);
+
+  if (version >= 7) {
+    let vrem = version;
+    for (let i = 0; i < 12; i++) vrem = (vrem << 1) ^ ((vrem >>> 11) * 0x1f25);
+    const versionBits = (version << 12) | vrem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, bit(versionBits, i));
+      set(b, a, bit(versionBits, i));
+    }
+  }
+
+  // Data runs in two-module columns, zig-zagging up and down from the bottom right.
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (reserved[y][x]) continue;
+        const dark = i < codewords.length * 8 && bit(codewords[i >>> 3], 7 - (i & 7));
+        modules[y][x] = dark !== MASKS[mask](x, y);
+        i++;
+      }
+    }
+  }
+  return modules;
+};
+
+// The spec's finder-lookalike rule is left out; the others keep the code easy to scan.
+const penalty = (modules) => {
+  const size = modules.length;
+  let score = 0;
+  let dark = 0;
+  for (let a = 0; a < size; a++) {
+    let rowRun = 1;
+    let colRun = 1;
+    for (let b = 1; b <= size; b++) {
+      if (b < size && modules[a][b] === modules[a][b - 1]) rowRun++;
+      else {
+        if (rowRun >= 5) score += rowRun - 2;
+        rowRun = 1;
+      }
+      if (b < size && modules[b][a] === modules[b - 1][a]) colRun++;
+      else {
+        if (colRun >= 5) score += colRun - 2;
+        colRun = 1;
+      }
+    }
+  }
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  return score + Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+};
+
+export const encodeQr = (text) => {
+  const bytes = [...new TextEncoder().encode(text)];
+  let version = 1;
+  while (version <= MAX_VERSION && bytes.length + (version < 10 ? 2 : 3) > dataCodewords(version)) version++;
+  if (version > MAX_VERSION) throw new Error(`Too long for a QR code: ${text}`);
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+  const candidates = MASKS.map((_, mask) => buildMatrix(codewords, version, mask));
+  return candidates.reduce((best, matrix) => (penalty(matrix) < penalty(best) ? matrix : best));
+};
@@ -0,0 +1,39 @@
+// --- Reactions ---
+// In the lobby and on the result screen, players can send an emoji or a preset
+// cheer to the big screen over the room channel (`reaction`). Only presets go
+// out, by key, so there is no free text to moderate. The host can turn
+// reactions off or mute single players (`moderation.reactions` and
+// `moderation.muted`, see ./moderation.js). Phones hold themselves to the rate
+// limit, and every screen drops whatever goes over it anyway.
+
+export const REACTION_EMOJIS = ['👏', '🔥', '😂', '😮', '💪', '🎉'];
+// Their text is the `reactions.<key>` message.
+export const CHEERS = ['LETS_GO', 'AGAIN', 'GG', 'SO_CLOSE'];
+
+// At most REACTION_LIMIT per player in any REACTION_WINDOW_MS.
+export const REACTION_LIMIT = 3;
+export const REACTION_WINDOW_MS = 5000;
+// How long one floats up the screen, and how many can be up there at once.
+export const REACTION_MS = 2500;
+export const MAX_SHOWN_REACTIONS = 40;
+
+export const isKnownReaction = (reaction) => Boolean(reaction)
+  && ((reaction.kind === 'emoji' && REACTION_EMOJIS.includes(reaction.value)) || (reaction.kind === 'cheer' && CHEERS.includes(reaction.value)));
+
+// Whether `reaction` may go out (on a phone) or be shown (on a screen) at
+// `now`. `sent` maps player id -> times of their recent reactions; it is
+// updated in place, so each side keeps its own.
+export const acceptReaction = (sent, reaction, moderation, now) => {
+  if (!moderation.reactions || !isKnownReaction(reaction) || !reaction.player_id || moderation.muted.includes(reaction.player_id)) return false;
+  const recent = (sent[reaction.player_id] || []).filter(at => now - at < REACTION_WINDOW_MS);
+  sent[reaction.player_id] = recent;
+  if (recent.length >= REACTION_LIMIT) return false;
+  recent.push(now);
+  return true;
+};
+
+// When a player with these recent reaction times may send the next one.
+export const reactionReadyAt = (times = [], now) => {
+  const recent = times.filter(at => now - at < REACTION_WINDOW_MS);
+  return recent.length < REACTION_LIMIT ? now : recent[recent.length - REACTION_LIMIT] + REACTION_WINDOW_MS;
+};
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeModeration } from './moderation';
+import { REACTION_LIMIT, REACTION_WINDOW_MS, acceptReaction, isKnownReaction, reactionReadyAt } from './reactions';
+
+const moderation = normalizeModeration({});
+const cheer = (overrides) => ({ player_id: 'p1', kind: 'cheer', value: 'GG', ...overrides });
+
+describe('isKnownReaction', () => {
+  it('only takes the presets', () => {
+    expect(isKnownReaction(cheer())).toBe(true);
+    expect(isKnownReaction(cheer({ kind: 'emoji', value: '🔥' }))).toBe(true);
+    expect(isKnownReaction(cheer({ value: 'anything I like' }))).toBe(false);
+    expect(isKnownReaction(cheer({ kind: 'emoji', value: '💩' }))).toBe(false);
+    expect(isKnownReaction(null)).toBe(false);
+  });
+});
+
+describe('acceptReaction', () => {
+  it('lets a few through per window, per player', () => {
+    const sent = {};
+    for (let i = 0; i < REACTION_LIMIT; i++) expect(acceptReaction(sent, cheer(), moderation, 1000 + i)).toBe(true);
+    expect(acceptReaction(sent, cheer(), moderation, 2000)).toBe(false);
+    expect(acceptReaction(sent, cheer({ player_id: 'p2' }), moderation, 2000)).toBe(true);
+    expect(acceptReaction(sent, cheer(), moderation, 1000 + REACTION_WINDOW_MS)).toBe(true);
+  });
+
+  it('follows the host: off for everyone, or muted for one player', () => {
+    expect(acceptReaction({}, cheer(), normalizeModeration({ reactions: false }), 0)).toBe(false);
+    const muted = normalizeModeration({ muted: ['p1'] });
+    expect(acceptReaction({}, cheer(), muted, 0)).toBe(false);
+    expect(acceptReaction({}, cheer({ player_id: 'p2' }), muted, 0)).toBe(true);
+  });
+});
+
+describe('reactionReadyAt', () => {
+  it('is now until the limit, then when the oldest one leaves the window', () => {
+    expect(reactionReadyAt([], 500)).toBe(500);
+    const times = Array.from({ length: REACTION_LIMIT }, (_, i) => 1000 * (i + 1));
+    expect(reactionReadyAt(times.slice(1), 3500)).toBe(3500);
+    expect(reactionReadyAt(times, 3500)).toBe(1000 + REACTION_WINDOW_MS);
+  });
+});
@@ -0,0 +1,108 @@
+import { DEFAULT_SETTINGS } from './settings';
+import { DEFAULT_MODERATION } from './moderation';
+
+// --- Rooms ---
+// Every game lives in its own room, identified by a short join code. The
+// room's `game_state` row carries the code, every player row points at it and
+// the realtime channel is named after it.
+
+// No I/O/0/1 so codes survive being read off a projector.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+
+// Rooms whose host has not checked in for this long are swept away.
+export const ROOM_TTL_MS = 2 * 60 * 60 * 1000;
+export const ROOM_HEARTBEAT_MS = 60 * 1000;
+
+export const normalizeRoomCode = (code) => (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, CODE_LENGTH);
+
+export const roomChannelName = (code) => `room:${code}`;
+
+export const roomJoinUrl = (code) => `${window.location.origin}${window.location.pathname}?room=${code}`;
+
+// The read-only big screen for the projector; the host drives it through `game_state`.
+export const roomDisplayUrl = (code) => `${window.location.origin}${window.location.pathname}?mode=display&room=${code}`;
+
+const generateRoomCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+// crypto.randomUUID is missing on plain-http LAN origins, which is how phones often reach a dev host.
+export const newRoundId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// --- Driver Lease ---
+// A room can be open in more than one host tab: the host link hands it to
+// another device, and the old tab may well stay open. Only the tab holding the
+// lease on `game_state` (`driver_id`) drives the round: it runs the round
+// clock, settles the round, taps for the bots, fires chaos events, answers
+// clock pings and sends score snapshots. It renews the lease
+// (`driver_seen_at`) every DRIVER_HEARTBEAT_MS. Another host tab claims it
+// once it is free or has not been renewed for DRIVER_LEASE_MS, timed on that
+// tab's own clock, or straight away when the room is handed over to it.
+export const DRIVER_HEARTBEAT_MS = 5000;
+export const DRIVER_LEASE_MS = 3 * DRIVER_HEARTBEAT_MS;
+
+// This tab, for the lease. A reload counts as a new tab.
+export const TAB_ID = newRoundId();
+
+const driverBeat = () => ({ driver_seen_at: new Date().toISOString() });
+
+export const renewDriver = (backend, code) => backend.update('game_state', { room_code: code, driver_id: TAB_ID }, driverBeat());
+
+// Only lands if the lease was last renewed at `seenAt`, so when two tabs claim
+// a lapsed lease at once, just one of them gets it. Without `seenAt` it always
+// lands: a takeover.
+export const claimDriver = (backend, code, seenAt = null) => backend.update('game_state', seenAt === null ? { room_code: code } : { room_code: code, driver_seen_at: seenAt }, { driver_id: TAB_ID, ...driverBeat() });
+
+export const releaseDriver = (backend, code) => backend.update('game_state', { room_code: code, driver_id: TAB_ID }, { driver_id: null });
+
+export const findRoom = async (backend, code) => {
+  const { data, error } = await backend.selectOne('game_state', { room_code: code });
+  if (error) throw error;
+  return data;
+};
+
+// The room's `game_state` row can only ever be changed with `hostKey` (see ./hostAuth.js).
+export const createRoom = async (backend, hostKey) => {
+  backend.setHostKey(hostKey);
+  let code = generateRoomCode();
+  while (await findRoom(backend, code)) code = generateRoomCode();
+
+  const now = new Date().toISOString();
+  const { error } = await backend.insert('game_state', {
+    room_code: code,
+    status: 'LOBBY',
+    winner: null,
+    round_start_time: null,
+    settings: DEFAULT_SETTINGS,
+    match_score: {},
+    series_winner: null,
+    chaos_events: [],
+    moderation: DEFAULT_MODERATION,
+    driver_id: TAB_ID,
+    driver_seen_at: now,
+    last_active_at: now,
+  });
+  if (error) throw error;
+  return code;
+};
+
+export const touchRoom = (backend, code) => backend.update('game_state', { room_code: code }, { last_active_at: new Date().toISOString() });
+
+export const closeRoom = async (backend, code) => {
+  await backend.remove('clicks', { room_code: code });
+  await backend.remove('players', { room_code: code });
+  await backend.remove('game_state', { room_code: code });
+};
+
+export const cleanupStaleRooms = async (backend) => {
+  const { data, error } = await backend.select('game_state');
+  if (error || !data) return;
+  const cutoff = Date.now() - ROOM_TTL_MS;
+  const stale = data.filter(room => room.room_code && new Date(room.last_active_at || 0).getTime() < cutoff);
+  await Promise.all(stale.map(room => closeRoom(backend, room.room_code)));
+};
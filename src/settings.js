@@ -0,0 +1,57 @@
+// --- Round Settings ---
+// Chosen by the host in the lobby and stored on the room's `game_state` row
+// (`settings`), so every player runs the round with the same values.
+
+import { DEFAULT_TEAMS, normalizeTeams } from './teams';
+import { MODES } from './modes';
+import { isSupportedLocale } from './i18n';
+
+export const DEFAULT_SETTINGS = {
+  mode: MODES.CLASSIC,
+  target: 250,
+  rope_length: 100,
+  series_length: 1,
+  round_duration: 30,
+  chaos_duration: 10,
+  chaos_jump: true,
+  chaos_events: true,
+  batch_interval_ms: 1000,
+  teams: DEFAULT_TEAMS,
+  // The room's default language; null leaves every device on its own.
+  locale: null,
+};
+
+export const SETTING_OPTIONS = {
+  mode: Object.values(MODES),
+  target: [100, 250, 500, 1000],
+  rope_length: [50, 100, 200, 400],
+  series_length: [1, 3, 5, 7],
+  round_duration: [15, 30, 45, 60, 90, 120],
+  chaos_duration: [0, 5, 10, 15, 20, 30],
+  batch_interval_ms: [250, 500, 1000, 2000],
+};
+
+const pick = (value, options, fallback) => (options.includes(Number(value)) ? Number(value) : fallback);
+
+// Older rooms have no settings at all and hand-edited rows may be nonsense,
+// so everything read from `game_state` goes through here.
+export const normalizeSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_SETTINGS, ...(settings || {}) };
+  const round_duration = pick(merged.round_duration, SETTING_OPTIONS.round_duration, DEFAULT_SETTINGS.round_duration);
+  return {
+    mode: SETTING_OPTIONS.mode.includes(merged.mode) ? merged.mode : DEFAULT_SETTINGS.mode,
+    target: pick(merged.target, SETTING_OPTIONS.target, DEFAULT_SETTINGS.target),
+    rope_length: pick(merged.rope_length, SETTING_OPTIONS.rope_length, DEFAULT_SETTINGS.rope_length),
+    series_length: pick(merged.series_length, SETTING_OPTIONS.series_length, DEFAULT_SETTINGS.series_length),
+    round_duration,
+    // The chaos window can never be longer than the round itself.
+    chaos_duration: Math.min(round_duration, pick(merged.chaos_duration, SETTING_OPTIONS.chaos_duration, DEFAULT_SETTINGS.chaos_duration)),
+    chaos_jump: merged.chaos_jump !== false,
+    chaos_events: merged.chaos_events !== false,
+    batch_interval_ms: pick(merged.batch_interval_ms, SETTING_OPTIONS.batch_interval_ms, DEFAULT_SETTINGS.batch_interval_ms),
+    teams: normalizeTeams(merged.teams),
+    locale: isSupportedLocale(merged.locale) ? merged.locale : null,
+  };
+};
+
+export const isChaosTime = (timeLeft, settings) => settings.chaos_duration > 0 && timeLeft <= settings.chaos_duration && timeLeft > 0;
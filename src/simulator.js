@@ -0,0 +1,233 @@
+import { FINISH_GRACE_MS, recordBatch, teamTotals } from './clickLedger';
+import { roundClock } from './clock';
+import { STATUS, TICK, acceptBatch, beginPlaying, createRoundLedger, finishRound, hostTick, startRound } from './engine';
+import { normalizeSettings } from './settings';
+import { createTally, createTapBatcher, recordTap } from './tapBatcher';
+import { ACK_FLUSH_MS } from './tapBuffer';
+import { pickSmallestTeam } from './teams';
+
+// --- Headless Simulator ---
+// Whole rounds without a browser or a backend, on a virtual clock. Virtual
+// players join through the usual team balancing, tap at their own pace, seal
+// numbered batches every batch interval (and at the whistle) and resend them
+// until acked, through the same ./tapBatcher.js as PlayerView; the host applies them and runs its timer
+// through ./engine.js, like HostDashboard. Broadcasts go over an in-memory
+// transport with configurable latency, jitter and loss; the `clicks` table and
+// `game_state` changes go over a second one that is just as slow but never
+// loses anything. Chaos events are left out: no host fires them here.
+
+// How often the virtual clock advances. The host's real timer runs at 100 ms.
+const STEP_MS = 50;
+// Human tap intervals wobble by 10-20% (see ./clickLedger.js).
+const TAP_WOBBLE = 0.3;
+
+// mulberry32: small, fast and good enough to make runs repeatable.
+export const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Listeners get a copy of each payload once `deliver(now)` passes its arrival time.
+export const createMemoryTransport = ({ latencyMs = 0, jitterMs = 0, dropRate = 0, random = Math.random } = {}) => {
+  const listeners = {};
+  let queue = [];
+  return {
+    on: (event, handler) => {
+      listeners[event] = [...(listeners[event] || []), handler];
+    },
+    send: (event, payload, now) => {
+      if (dropRate > 0 && random() < dropRate) return;
+      queue.push({ event, payload: JSON.parse(JSON.stringify(payload)), at: now + latencyMs + random() * jitterMs });
+    },
+    deliver: (now) => {
+      const due = queue.filter(message => message.at <= now).sort((a, b) => a.at - b.at);
+      queue = queue.filter(message => message.at > now);
+      due.forEach(({ event, payload }) => (listeners[event] || []).forEach(handler => handler(payload)));
+    },
+    pending: () => queue.length,
+  };
+};
+
+// A player spec is { tapsPerSecond, wobble, clockErrorMs, reactionMs, team,
+// nickname }, all optional. `wobble` is how much tap intervals vary (0 taps
+// like a metronome); `clockErrorMs` is what is left of the phone's clock offset
+// after syncing (positive: ahead of the host); `reactionMs` is how long after
+// GO the first tap comes; `team` skips the balancing and puts the player there.
+const joinPlayers = (specs, teams) => {
+  const counts = {};
+  return specs.map((spec, index) => {
+    const team = spec.team || pickSmallestTeam(teams, counts);
+    counts[team] = (counts[team] || 0) + 1;
+    return {
+      id: `sim-${index + 1}`,
+      nickname: spec.nickname || `Player ${index + 1}`,
+      team,
+      tapsPerSecond: spec.tapsPerSecond ?? 7,
+      wobble: spec.wobble ?? TAP_WOBBLE,
+      clockErrorMs: spec.clockErrorMs || 0,
+      reactionMs: spec.reactionMs || 0,
+      // What this phone knows about the round.
+      status: STATUS.LOBBY,
+      roundId: null,
+      roundStartTime: null,
+      nextTapAt: Infinity,
+      nextSealAt: Infinity,
+      whistled: false,
+      finished: false,
+      // Taps since the last seal, and the batches waiting for the host.
+      tally: createTally(),
+      batcher: null,
+      tapped: 0,
+    };
+  });
+};
+
+// Runs one round from Start Game to the final result. Returns the final
+// `game_state`, the host's ledger and totals, and for each team and player the
+// taps their phones counted (`tapped`) next to what the host credited.
+export const simulateRound = ({ players: specs, settings: roomSettings = {}, latencyMs = 50, jitterMs = 0, dropRate = 0, seed = 1 }) => {
+  const random = seededRandom(seed);
+  const settings = normalizeSettings({ ...roomSettings, chaos_events: false });
+  const teamIds = settings.teams.map(team => team.id);
+  const channel = createMemoryTransport({ latencyMs, jitterMs, dropRate, random });
+  const database = createMemoryTransport({ latencyMs, jitterMs, random });
+  const players = joinPlayers(specs, settings.teams);
+
+  let gameState = { room_code: 'SIM', status: STATUS.LOBBY, winner: null, match_score: {}, series_winner: null, settings };
+  let ledger = null;
+  const clicks = [];
+  let acks = {};
+  let timerRunning = false;
+  let finishAt = null;
+  let now = 0;
+
+  const write = (patch) => {
+    gameState = { ...gameState, ...patch };
+    database.send('game-state', gameState, now);
+  };
+
+  // --- Host ---
+  const acceptAndAck = (batch) => {
+    const { ack } = acceptBatch(ledger, batch, gameState.round_id);
+    if (ack) acks[batch.player_id] = [...(acks[batch.player_id] || []), batch.seq];
+  };
+  channel.on('client-click', acceptAndAck);
+  database.on('clicks-insert', (batch) => {
+    clicks.push(batch);
+    acceptAndAck(batch);
+  });
+
+  const finish = () => {
+    clicks.forEach(batch => recordBatch(ledger, batch));
+    ledger.closed = true;
+    write(finishRound(gameState, settings, teamTotals(ledger, {}, teamIds)));
+  };
+
+  const hostStep = () => {
+    if (timerRunning) {
+      const { action } = hostTick(gameState, settings, teamTotals(ledger, {}, teamIds), now);
+      if (action === TICK.GO) write(beginPlaying(gameState));
+      else if (action) timerRunning = false;
+      if (action === TICK.WHISTLE) finishAt = now + FINISH_GRACE_MS;
+      else if (action === TICK.DECIDED) finish();
+    }
+    if (finishAt !== null && now >= finishAt && gameState.status === STATUS.PLAYING) finish();
+    if (now % ACK_FLUSH_MS === 0 && Object.keys(acks).length > 0) {
+      channel.send('click-ack', { round_id: gameState.round_id, acks }, now);
+      acks = {};
+    }
+  };
+
+  // --- Phones ---
+  database.on('game-state', (row) => players.forEach(player => {
+    if (row.round_id && row.round_id !== player.roundId) {
+      player.roundId = row.round_id;
+      player.roundStartTime = row.round_start_time;
+      // A phone that hears about the round late cannot have tapped before then.
+      const firstTap = Math.max(new Date(row.round_start_time).getTime() + player.reactionMs, now + player.clockErrorMs);
+      player.nextTapAt = player.tapsPerSecond > 0 ? firstTap : Infinity;
+      player.nextSealAt = now + settings.batch_interval_ms;
+      let seq = 0;
+      player.batcher = createTapBatcher({
+        player: { room_code: row.room_code, round_id: row.round_id, player_id: player.id, nickname: player.nickname, team: player.team, profile_id: null },
+        nextSeq: () => ++seq,
+        send: (batch) => channel.send('client-click', batch, now),
+        // The table never loses anything.
+        persist: (batch) => {
+          database.send('clicks-insert', batch, now);
+          return true;
+        },
+      });
+    }
+    player.status = row.status;
+  }));
+  channel.on('click-ack', (ack) => players.forEach(player => {
+    const seqs = ack.round_id === player.roundId && ack.acks[player.id];
+    if (seqs) player.batcher.ack(seqs);
+  }));
+
+  const flush = (player, at) => player.batcher.flush(player.tally, at, now);
+
+  const playerStep = (player) => {
+    if (!player.roundId) return;
+    const at = now + player.clockErrorMs;
+    // Only taps between GO and the final whistle count, on the phone's own clock.
+    while (player.nextTapAt <= at && (player.status === STATUS.COUNTDOWN || player.status === STATUS.PLAYING)) {
+      const round = roundClock(player.roundStartTime, settings.round_duration, player.nextTapAt);
+      if (round.started && round.timeLeft > 0) {
+        recordTap(player.tally, player.nextTapAt);
+        player.tapped += 1;
+      }
+      player.nextTapAt += (1000 / player.tapsPerSecond) * (1 + (random() - 0.5) * player.wobble);
+    }
+    if (now >= player.nextSealAt) {
+      player.nextSealAt += settings.batch_interval_ms;
+      flush(player, at);
+    }
+    // The last batch is sealed right at the whistle, or as soon as the phone
+    // hears the round was decided early.
+    if (!player.whistled && roundClock(player.roundStartTime, settings.round_duration, at).timeLeft <= 0) {
+      player.whistled = true;
+      flush(player, at);
+    }
+    if (!player.finished && player.status === STATUS.FINISHED) {
+      player.finished = true;
+      flush(player, at);
+    }
+  };
+
+  // --- The round ---
+  write(startRound(gameState, { roundId: `sim-${seed}`, now }));
+  ledger = createRoundLedger(gameState.round_start_time, settings.round_duration, settings.batch_interval_ms);
+  timerRunning = true;
+
+  // Generous: the countdown, the round, the grace period and slow deliveries.
+  const giveUpAt = (settings.round_duration + 30) * 1000 + 4 * latencyMs + jitterMs;
+  while (gameState.status !== STATUS.FINISHED && now <= giveUpAt) {
+    now += STEP_MS;
+    database.deliver(now);
+    channel.deliver(now);
+    players.forEach(playerStep);
+    hostStep();
+  }
+
+  const totals = teamTotals(ledger, {}, teamIds);
+  const tapped = Object.fromEntries(teamIds.map(team => [team, 0]));
+  players.forEach(player => {
+    tapped[player.team] += player.tapped;
+  });
+  return {
+    gameState,
+    ledger,
+    totals,
+    tapped,
+    finishedAt: now,
+    players: players.map(player => ({ id: player.id, nickname: player.nickname, team: player.team, tapped: player.tapped, counted: ledger.players[player.id] ? ledger.players[player.id].count : 0 })),
+  };
+};
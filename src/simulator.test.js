@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import { FINISH_GRACE_MS, maxTapsPerBatch } from './clickLedger';
+import { createMemoryTransport, seededRandom, simulateRound } from './simulator';
+
+const crowd = (count, spec = {}) => Array.from({ length: count }, (_, i) => ({ tapsPerSecond: 4 + (i % 8), ...spec }));
+const sum = (totals) => Object.values(totals).reduce((a, b) => a + b, 0);
+
+describe('createMemoryTransport', () => {
+  it('delivers after the latency, in arrival order', () => {
+    const transport = createMemoryTransport({ latencyMs: 100 });
+    const seen = [];
+    transport.on('ping', (payload) => seen.push(payload.n));
+    transport.send('ping', { n: 1 }, 0);
+    transport.send('ping', { n: 2 }, 50);
+    transport.deliver(99);
+    expect(seen).toEqual([]);
+    transport.deliver(150);
+    expect(seen).toEqual([1, 2]);
+    expect(transport.pending()).toBe(0);
+  });
+
+  it('drops messages at the given rate', () => {
+    const transport = createMemoryTransport({ dropRate: 0.5, random: seededRandom(7) });
+    let seen = 0;
+    transport.on('ping', () => { seen += 1; });
+    for (let i = 0; i < 1000; i++) transport.send('ping', {}, 0);
+    transport.deliver(0);
+    expect(seen).toBeGreaterThan(400);
+    expect(seen).toBeLessThan(600);
+  });
+});
+
+describe('simulateRound', () => {
+  it('credits every tap of hundreds of players', () => {
+    const result = simulateRound({ players: crowd(400), latencyMs: 80, jitterMs: 120, seed: 1 });
+    expect(result.gameState.status).toBe('FINISHED');
+    expect(result.totals).toEqual(result.tapped);
+    expect(sum(result.totals)).toBeGreaterThan(400 * 4 * 25);
+    expect(result.players.every(player => player.counted === player.tapped)).toBe(true);
+  });
+
+  it('balances players across the teams', () => {
+    const { players } = simulateRound({ players: crowd(301), settings: { teams: [{}, {}, {}, {}] }, seed: 2 });
+    const sizes = Object.values(players.reduce((counts, player) => ({ ...counts, [player.team]: (counts[player.team] || 0) + 1 }), {}));
+    expect(sizes).toHaveLength(4);
+    expect(Math.max(...sizes) - Math.min(...sizes)).toBeLessThanOrEqual(1);
+  });
+
+  it('loses nothing when a third of the broadcasts are dropped', () => {
+    const result = simulateRound({ players: crowd(200), latencyMs: 150, jitterMs: 400, dropRate: 0.33, seed: 3 });
+    expect(result.totals).toEqual(result.tapped);
+  });
+
+  it('calls identical teams a draw', () => {
+    const players = [
+      ...crowd(50, { team: 'RED', wobble: 0 }),
+      ...crowd(50, { team: 'BLUE', wobble: 0 }),
+    ];
+    const result = simulateRound({ players, seed: 4 });
+    expect(result.totals.RED).toBe(result.totals.BLUE);
+    expect(result.gameState.winner).toBe('DRAW');
+  });
+
+  it('gives the round to the faster team', () => {
+    const players = [...crowd(30, { team: 'RED', tapsPerSecond: 8 }), ...crowd(30, { team: 'BLUE', tapsPerSecond: 7 })];
+    expect(simulateRound({ players, seed: 5 }).gameState.winner).toBe('RED');
+  });
+
+  it('counts taps from phones whose clocks are slightly off', () => {
+    const players = crowd(100).map((spec, i) => ({ ...spec, clockErrorMs: ((i % 9) - 4) * 200 }));
+    const result = simulateRound({ players, latencyMs: 60, seed: 6 });
+    expect(result.totals).toEqual(result.tapped);
+  });
+
+  it('waits out the grace period for late batches, but no longer', () => {
+    const inTime = simulateRound({ players: crowd(20), latencyMs: FINISH_GRACE_MS - 500, seed: 7 });
+    expect(inTime.totals).toEqual(inTime.tapped);
+    const tooLate = simulateRound({ players: crowd(20), latencyMs: FINISH_GRACE_MS + 500, seed: 7 });
+    expect(sum(tooLate.totals)).toBeLessThan(sum(tooLate.tapped));
+  });
+
+  it('finishes first-to-N rounds as soon as a team gets there', () => {
+    const players = [...crowd(20, { team: 'RED', tapsPerSecond: 10 }), ...crowd(20, { team: 'BLUE', tapsPerSecond: 5 })];
+    const result = simulateRound({ players, settings: { mode: 'FIRST_TO', target: 1000, round_duration: 60 }, seed: 8 });
+    expect(result.gameState.winner).toBe('RED');
+    expect(result.totals.RED).toBeGreaterThanOrEqual(1000);
+    expect(result.finishedAt).toBeLessThan((3 + 60) * 1000);
+  });
+
+  it('caps and flags inhuman tapping', () => {
+    const result = simulateRound({ players: [{ tapsPerSecond: 40 }, { tapsPerSecond: 6 }], seed: 9 });
+    const [bot, human] = result.players;
+    expect(bot.counted).toBeLessThan(bot.tapped);
+    expect(bot.counted).toBeLessThanOrEqual(30 * maxTapsPerBatch(1000) + maxTapsPerBatch(1000));
+    expect(result.ledger.players[bot.id].flags.BATCH_LIMIT).toBe(true);
+    expect(human.counted).toBe(human.tapped);
+  });
+});
@@ -0,0 +1,166 @@
+// --- Sound ---
+// Everything is synthesised with Web Audio, so there are no files to load and
+// a tap sound starts within a few milliseconds. Browsers only let audio start
+// from a user gesture: `unlockAudio` is called on the first pointer or key
+// press, and anything played before that is silently dropped.
+// Mute and volume belong to the device, like the accessibility preferences.
+
+const SOUND_SETTINGS_KEY = 'tapwar_sound';
+
+export const DEFAULT_SOUND_SETTINGS = { muted: false, volume: 0.8 };
+
+// Combined taps per second at which the crowd is at full roar.
+const CROWD_FULL_RATE = 60;
+
+const loadSoundSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SOUND_SETTINGS_KEY)) || {};
+    const volume = Number(stored.volume);
+    return {
+      muted: stored.muted === true,
+      volume: Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : DEFAULT_SOUND_SETTINGS.volume,
+    };
+  } catch {
+    return DEFAULT_SOUND_SETTINGS;
+  }
+};
+
+let settings = loadSoundSettings();
+let context = null;
+let master = null;
+
+const applyVolume = () => {
+  if (master) master.gain.setTargetAtTime(settings.muted ? 0 : settings.volume, context.currentTime, 0.02);
+};
+
+// The shared context, created on first use; null where Web Audio is missing.
+const audio = () => {
+  if (!context) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return null;
+    context = new AudioContext({ latencyHint: 'interactive' });
+    master = context.createGain();
+    master.connect(context.destination);
+    applyVolume();
+  }
+  return context;
+};
+
+// Only for one-off sounds: nothing is built while muted or still locked.
+const ready = () => {
+  if (settings.muted || settings.volume === 0) return null;
+  const ctx = audio();
+  return ctx && ctx.state === 'running' ? ctx : null;
+};
+
+export const unlockAudio = () => {
+  const ctx = audio();
+  if (ctx && ctx.state === 'suspended') ctx.resume();
+};
+
+export const getSoundSettings = () => settings;
+
+// Saves and applies the change; returns the new settings.
+export const setSoundSettings = (patch) => {
+  settings = { ...settings, ...patch };
+  localStorage.setItem(SOUND_SETTINGS_KEY, JSON.stringify(settings));
+  applyVolume();
+  return settings;
+};
+
+// One enveloped oscillator note. `at` is seconds from now.
+const note = (ctx, { type = 'sine', freq, endFreq = freq, at = 0, duration, gain = 0.3 }) => {
+  const start = ctx.currentTime + at;
+  const osc = ctx.createOscillator();
+  const env = ctx.createGain();
+  osc.type = type;
+  osc.frequency.setValueAtTime(freq, start);
+  if (endFreq !== freq) osc.frequency.exponentialRampToValueAtTime(endFreq, start + duration);
+  env.gain.setValueAtTime(gain, start);
+  env.gain.exponentialRampToValueAtTime(0.001, start + duration);
+  osc.connect(env);
+  env.connect(master);
+  osc.start(start);
+  osc.stop(start + duration + 0.02);
+};
+
+// A short pop; boosted taps (golden, 2×) pop higher.
+export const playTap = (multiplier = 1) => {
+  const ctx = ready();
+  if (!ctx) return;
+  const freq = multiplier > 1 ? 990 : 660;
+  note(ctx, { type: 'triangle', freq, endFreq: freq / 2, duration: 0.06, gain: 0.25 });
+};
+
+// 3, 2, 1 ... and a longer, higher GO.
+export const playCountdownBeep = (go = false) => {
+  const ctx = ready();
+  if (!ctx) return;
+  note(ctx, { type: 'square', freq: go ? 880 : 440, duration: go ? 0.5 : 0.15, gain: 0.15 });
+};
+
+// Once a second near the end of the round; the final second is higher.
+export const playTick = (secondsLeft) => {
+  const ctx = ready();
+  if (!ctx) return;
+  note(ctx, { type: 'sine', freq: secondsLeft <= 1 ? 1320 : 1000, duration: 0.05, gain: 0.2 });
+};
+
+// A two-tone siren for the start of the chaos window.
+export const playChaosAlarm = () => {
+  const ctx = ready();
+  if (!ctx) return;
+  for (let i = 0; i < 3; i++) {
+    note(ctx, { type: 'sawtooth', freq: 600, endFreq: 900, at: i * 0.3, duration: 0.15, gain: 0.12 });
+    note(ctx, { type: 'sawtooth', freq: 900, endFreq: 600, at: i * 0.3 + 0.15, duration: 0.15, gain: 0.12 });
+  }
+};
+
+// The final whistle, on the host and the big screen.
+export const playWhistle = () => {
+  const ctx = ready();
+  if (!ctx) return;
+  note(ctx, { type: 'sine', freq: 2400, endFreq: 2200, duration: 0.8, gain: 0.2 });
+};
+
+// A rising major arpeggio for the winners, a falling minor one for everyone else.
+export const playSting = (won) => {
+  const ctx = ready();
+  if (!ctx) return;
+  const notes = won ? [523, 659, 784, 1047] : [440, 392, 349, 262];
+  notes.forEach((freq, i) => note(ctx, { type: 'triangle', freq, at: i * 0.14, duration: i === notes.length - 1 ? 0.7 : 0.16, gain: 0.25 }));
+};
+
+// Filtered noise that swells with the room's tap rate. Returns
+// `{ setRate(tapsPerSecond), stop() }`; a no-op where there is no Web Audio.
+export const createCrowd = () => {
+  const ctx = audio();
+  if (!ctx) return { setRate: () => {}, stop: () => {} };
+  const buffer = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+  const samples = buffer.getChannelData(0);
+  for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'bandpass';
+  filter.frequency.value = 400;
+  filter.Q.value = 0.7;
+  const level = ctx.createGain();
+  level.gain.value = 0;
+  source.connect(filter);
+  filter.connect(level);
+  level.connect(master);
+  source.start();
+  return {
+    setRate: (tapsPerSecond) => {
+      const intensity = Math.min(1, Math.max(0, tapsPerSecond) / CROWD_FULL_RATE);
+      level.gain.setTargetAtTime(intensity * 0.5, ctx.currentTime, 0.3);
+      filter.frequency.setTargetAtTime(400 + intensity * 1200, ctx.currentTime, 0.3);
+    },
+    stop: () => {
+      level.gain.setTargetAtTime(0, ctx.currentTime, 0.2);
+      source.stop(ctx.currentTime + 1);
+    },
+  };
+};
@@ -0,0 +1,104 @@
+import { ACK_TIMEOUT_MS, bufferBatch, markAcked, markPersisted, settleBuffer } from './tapBuffer';
+
+// --- Tap Batcher ---
+// The phone side of click batching, shared by PlayerView and the simulator.
+// Taps go into a tally as they come. Every batch interval, and at the whistle,
+// the tally is sealed into the next numbered batch, which waits in the tap
+// buffer (see ./tapBuffer.js) and is sent over the room channel and into the
+// `clicks` table until the host has acked it and the insert landed. The host's
+// bots keep a tally too (see ./bots.js).
+
+export const createTally = () => ({ count: 0, timing: { last: null, n: 0, sum: 0, sumSq: 0 } });
+
+// `at` is on any steady ms clock. Pauses longer than a second say nothing
+// about tapping rhythm.
+export const recordTap = (tally, at) => {
+  const { timing } = tally;
+  if (timing.last !== null && at - timing.last < 1000) {
+    const interval = at - timing.last;
+    timing.n += 1; timing.sum += interval; timing.sumSq += interval * interval;
+  }
+  timing.last = at;
+  tally.count += 1;
+};
+
+// Empties the tally into a batch's count and inter-tap interval stats (ms,
+// one decimal). The last tap is kept, so the next interval spans the seal.
+export const drainTally = (tally) => {
+  const { n, sum, sumSq } = tally.timing;
+  const mean = n > 0 ? sum / n : 0;
+  const sd = n > 0 ? Math.sqrt(Math.max(0, sumSq / n - mean * mean)) : 0;
+  const taps = { count: tally.count, interval_mean: Math.round(mean * 10) / 10, interval_sd: Math.round(sd * 10) / 10 };
+  tally.count = 0;
+  tally.timing = { ...tally.timing, n: 0, sum: 0, sumSq: 0 };
+  return taps;
+};
+
+// `player` holds the columns every batch carries (room_code, round_id,
+// player_id, nickname, team, profile_id). `nextSeq()` hands out sequence
+// numbers, `send(batch)` broadcasts a batch and `persist(batch)` inserts it,
+// returning (a promise of) whether it landed. `onChange(buffer)` hears about
+// every change to the buffer, to save or show it. Times passed in as `now`
+// are on the local clock the ack timeout runs on.
+export const createTapBatcher = ({ player, nextSeq, send, persist, buffer: initial = [], onChange = () => {} }) => {
+  let buffer = initial;
+  let stopped = false;
+  const lastSent = {};
+  const saving = new Set();
+
+  const update = (next) => {
+    buffer = next;
+    onChange(buffer);
+  };
+
+  const save = (batch) => {
+    saving.add(batch.seq);
+    const done = (landed) => {
+      saving.delete(batch.seq);
+      if (landed && !stopped) update(settleBuffer(markPersisted(buffer, batch.seq)));
+    };
+    const result = persist(batch);
+    if (result && typeof result.then === 'function') result.then(done, () => done(false));
+    else done(result);
+  };
+
+  const batcher = {
+    buffer: () => buffer,
+
+    // Seals whatever is in the tally, stamped `sentAt` on the host's clock.
+    seal: (tally, sentAt, now) => {
+      if (tally.count <= 0) return;
+      const batch = { ...player, seq: nextSeq(), ...drainTally(tally), sent_at: sentAt };
+      update(bufferBatch(buffer, batch, now));
+    },
+
+    sendPending: (now) => {
+      buffer.forEach(({ batch, acked, persisted }) => {
+        if (!acked && now - (lastSent[batch.seq] ?? -Infinity) >= ACK_TIMEOUT_MS) {
+          lastSent[batch.seq] = now;
+          send(batch);
+        }
+        if (!persisted && !saving.has(batch.seq)) save(batch);
+      });
+    },
+
+    flush: (tally, sentAt, now) => {
+      batcher.seal(tally, sentAt, now);
+      batcher.sendPending(now);
+    },
+
+    ack: (seqs) => update(settleBuffer(markAcked(buffer, seqs))),
+
+    // Back online: resend right away instead of waiting out the ack timeout.
+    resend: (now) => {
+      Object.keys(lastSent).forEach(seq => delete lastSent[seq]);
+      batcher.sendPending(now);
+    },
+
+    // Inserts still in flight no longer touch the buffer.
+    stop: () => {
+      stopped = true;
+    },
+  };
+  return batcher;
+};
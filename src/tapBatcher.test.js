@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { createTally, createTapBatcher, drainTally, recordTap } from './tapBatcher';
+import { ACK_TIMEOUT_MS } from './tapBuffer';
+
+const player = { room_code: 'ABCDE', round_id: 'r1', player_id: 'p1', nickname: 'Ana', team: 'RED', profile_id: null };
+
+const tapped = (times) => {
+  const tally = createTally();
+  times.forEach(at => recordTap(tally, at));
+  return tally;
+};
+
+describe('drainTally', () => {
+  it('counts taps and their intervals, leaving out long pauses', () => {
+    const tally = tapped([0, 100, 300, 2000]);
+    expect(drainTally(tally)).toEqual({ count: 4, interval_mean: 150, interval_sd: 50 });
+    recordTap(tally, 2100);
+    expect(drainTally(tally)).toEqual({ count: 1, interval_mean: 100, interval_sd: 0 });
+  });
+});
+
+describe('createTapBatcher', () => {
+  const setup = (persist) => {
+    const sent = [];
+    let seq = 0;
+    const batcher = createTapBatcher({ player, nextSeq: () => ++seq, send: (batch) => sent.push(batch.seq), persist });
+    return { batcher, sent };
+  };
+
+  it('numbers batches and resends them until the host acks', () => {
+    const { batcher, sent } = setup(() => true);
+    batcher.flush(tapped([0, 100]), 1000, 1000);
+    batcher.flush(createTally(), 2000, 2000);
+    batcher.flush(tapped([2100]), 3000, 1000 + ACK_TIMEOUT_MS);
+    expect(sent).toEqual([1, 1, 2]);
+    expect(batcher.buffer().map(entry => [entry.batch.seq, entry.batch.count, entry.batch.sent_at])).toEqual([[1, 2, 1000], [2, 1, 3000]]);
+    batcher.ack([1, 2]);
+    expect(batcher.buffer()).toEqual([]);
+  });
+
+  it('keeps a batch until its insert lands', async () => {
+    let land;
+    const { batcher } = setup(() => new Promise((resolve) => { land = resolve; }));
+    batcher.flush(tapped([0]), 1000, 1000);
+    batcher.ack([1]);
+    expect(batcher.buffer()).toHaveLength(1);
+    land(true);
+    await Promise.resolve();
+    expect(batcher.buffer()).toEqual([]);
+  });
+});
@@ -0,0 +1,46 @@
+// --- Tap Buffer ---
+// A player's sealed click batches wait here (in sessionStorage, so a reload
+// keeps them) until the host has acknowledged them over the room channel
+// (`click-ack`) and they are in the `clicks` table. Until then they are sent
+// again; `seq` is the idempotency key on both paths, so a resend can never
+// count twice.
+
+// No ack this long after sending: send again.
+export const ACK_TIMEOUT_MS = 2000;
+// No ack this long after sealing: tell the player they are offline.
+const OFFLINE_AFTER_MS = 5000;
+// The host batches its acks instead of answering every batch on its own.
+export const ACK_FLUSH_MS = 250;
+
+export const CONNECTION = { ONLINE: 'ONLINE', RETRYING: 'RETRYING', OFFLINE: 'OFFLINE' };
+
+const bufferKey = (roundId) => `tapwar_pending:${roundId}`;
+
+export const loadBuffer = (roundId) => {
+  try {
+    return JSON.parse(sessionStorage.getItem(bufferKey(roundId))) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveBuffer = (roundId, buffer) => {
+  if (buffer.length > 0) sessionStorage.setItem(bufferKey(roundId), JSON.stringify(buffer));
+  else sessionStorage.removeItem(bufferKey(roundId));
+};
+
+export const bufferBatch = (buffer, batch, now) => [...buffer, { batch, sealed_at: now, acked: false, persisted: false }];
+
+export const markAcked = (buffer, seqs) => buffer.map(entry => (seqs.includes(entry.batch.seq) ? { ...entry, acked: true } : entry));
+
+export const markPersisted = (buffer, seq) => buffer.map(entry => (entry.batch.seq === seq ? { ...entry, persisted: true } : entry));
+
+// Done with a batch once the host has it and so does the table.
+export const settleBuffer = (buffer) => buffer.filter(entry => !(entry.acked && entry.persisted));
+
+export const connectionState = (buffer, online, now) => {
+  const waiting = buffer.filter(entry => !entry.acked).map(entry => now - entry.sealed_at);
+  if (!online || waiting.some(age => age > OFFLINE_AFTER_MS)) return CONNECTION.OFFLINE;
+  if (waiting.some(age => age > ACK_TIMEOUT_MS)) return CONNECTION.RETRYING;
+  return CONNECTION.ONLINE;
+};
@@ -0,0 +1,160 @@
+// --- Tap Effects ---
+// The "+1" that floats up from every tap and the burst of sparks around it,
+// drawn on one canvas by one requestAnimationFrame loop. Effects live in
+// fixed-size pools that are allocated once: a new effect takes the oldest slot,
+// so fast tapping can never pile up more than the pool holds, and nothing is
+// created or garbage-collected per tap. `burst` only writes a few numbers and
+// asks for a frame, so a tap is counted before anything is drawn. The loop
+// stops whenever nothing is on screen.
+
+// Matches the old CSS animations: floatUp (0.8s) and explode (0.6s).
+const FLOAT_MS = 800;
+const FLOAT_RISE = 100;
+const FLOAT_GROWTH = 0.5;
+const SPARK_MS = 600;
+const SPARK_SPREAD = 200;
+const SPARK_SIZE = 12;
+const SPARKS_PER_TAP = 8;
+
+// Live effects at most; beyond this the oldest make room.
+export const MAX_FLOATERS = 24;
+export const MAX_SPARKS = 160;
+
+const TEXT_SIZE = 48;
+const TEXT_COLOR = '#ffffff';
+// Boosted taps (golden, 2×) read yellow, like Tailwind's yellow-300.
+const BOOSTED_TEXT_COLOR = '#fde047';
+const SPARK_COLOR = '#ffffff';
+
+// CSS `ease-out`, cubic-bezier(0, 0, 0.58, 1): solve x(s) = t, return y(s).
+const easeOut = (t) => {
+  const x = (s) => 3 * (1 - s) * s * s * 0.58 + s * s * s;
+  let s = t;
+  for (let i = 0; i < 5; i++) {
+    const slope = 6 * (1 - s) * s * 0.58 - 3 * s * s * 0.58 + 3 * s * s;
+    if (slope === 0) break;
+    s = Math.min(1, Math.max(0, s - (x(s) - t) / slope));
+  }
+  return 3 * (1 - s) * s * s + s * s * s;
+};
+
+const createPool = (size, make) => ({ slots: Array.from({ length: size }, make), next: 0 });
+
+// The oldest slot, live or not.
+const takeSlot = (pool) => {
+  const slot = pool.slots[pool.next];
+  pool.next = (pool.next + 1) % pool.slots.length;
+  return slot;
+};
+
+// Returns { burst(x, y, multiplier), destroy() } for `canvas`, which should
+// cover the viewport: x and y are client coordinates, as on a pointer event.
+export const createTapEffects = (canvas, random = Math.random) => {
+  const ctx = canvas.getContext('2d');
+  const floaters = createPool(MAX_FLOATERS, () => ({ live: false, born: 0, x: 0, y: 0, label: '', color: TEXT_COLOR, width: 0 }));
+  const sparks = createPool(MAX_SPARKS, () => ({ live: false, born: 0, x: 0, y: 0, dx: 0, dy: 0 }));
+  const labelWidths = new Map();
+  const font = `900 ${TEXT_SIZE}px ${getComputedStyle(canvas).fontFamily || 'sans-serif'}`;
+  let frame = null;
+  let scale = 1;
+
+  const resize = () => {
+    scale = window.devicePixelRatio || 1;
+    canvas.width = Math.round(canvas.clientWidth * scale);
+    canvas.height = Math.round(canvas.clientHeight * scale);
+  };
+
+  const draw = (now) => {
+    frame = null;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    let live = 0;
+
+    ctx.fillStyle = SPARK_COLOR;
+    for (const spark of sparks.slots) {
+      if (!spark.live) continue;
+      const t = (now - spark.born) / SPARK_MS;
+      if (t >= 1) {
+        spark.live = false;
+        continue;
+      }
+      live += 1;
+      const p = easeOut(Math.max(0, t));
+      const radius = (SPARK_SIZE / 2) * (1 - p);
+      ctx.globalAlpha = 1 - p;
+      ctx.beginPath();
+      ctx.arc((spark.x + spark.dx * p) * scale, (spark.y + spark.dy * p) * scale, radius * scale, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.font = font;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'center';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.12)';
+    ctx.shadowOffsetY = 3 * scale;
+    ctx.shadowBlur = 3 * scale;
+    for (const floater of floaters.slots) {
+      if (!floater.live) continue;
+      const t = (now - floater.born) / FLOAT_MS;
+      if (t >= 1) {
+        floater.live = false;
+        continue;
+      }
+      live += 1;
+      const p = easeOut(Math.max(0, t));
+      const grow = 1 + FLOAT_GROWTH * p;
+      ctx.globalAlpha = 1 - p;
+      ctx.fillStyle = floater.color;
+      // Scaled about its own centre, as the CSS transform was.
+      ctx.setTransform(grow * scale, 0, 0, grow * scale, (floater.x + floater.width / 2) * scale, (floater.y + TEXT_SIZE / 2 - FLOAT_RISE * p) * scale);
+      ctx.fillText(floater.label, 0, 0);
+    }
+    ctx.shadowColor = 'transparent';
+    ctx.globalAlpha = 1;
+
+    if (live > 0) frame = requestAnimationFrame(draw);
+  };
+
+  const labelWidth = (label) => {
+    if (!labelWidths.has(label)) {
+      ctx.font = font;
+      labelWidths.set(label, ctx.measureText(label).width);
+    }
+    return labelWidths.get(label);
+  };
+
+  const burst = (x, y, multiplier = 1) => {
+    const now = performance.now();
+    const floater = takeSlot(floaters);
+    floater.live = true;
+    floater.born = now;
+    floater.x = x;
+    floater.y = y;
+    floater.label = `+${multiplier}`;
+    floater.color = multiplier > 1 ? BOOSTED_TEXT_COLOR : TEXT_COLOR;
+    floater.width = labelWidth(floater.label);
+    for (let i = 0; i < SPARKS_PER_TAP; i++) {
+      const spark = takeSlot(sparks);
+      spark.live = true;
+      spark.born = now;
+      // The sparks used to be 12px dots placed by their top-left corner.
+      spark.x = x + SPARK_SIZE / 2;
+      spark.y = y + SPARK_SIZE / 2;
+      spark.dx = (random() - 0.5) * SPARK_SPREAD;
+      spark.dy = (random() - 0.5) * SPARK_SPREAD;
+    }
+    if (frame === null) frame = requestAnimationFrame(draw);
+  };
+
+  resize();
+  window.addEventListener('resize', resize);
+
+  return {
+    burst,
+    destroy: () => {
+      window.removeEventListener('resize', resize);
+      if (frame !== null) cancelAnimationFrame(frame);
+      frame = null;
+    },
+  };
+};
@@ -0,0 +1,45 @@
+// --- Teams ---
+// A room plays with 2 to 6 teams. Each slot has a fixed id (stored on player
+// rows and click batches); its name, colour and emoji are host-editable and
+// live in the round settings.
+
+export const MIN_TEAMS = 2;
+export const MAX_TEAMS = 6;
+
+export const TEAM_PRESETS = [
+  { id: 'RED', name: 'Red', color: '#ef4444', emoji: '🔥' },
+  { id: 'BLUE', name: 'Blue', color: '#3b82f6', emoji: '💧' },
+  { id: 'GREEN', name: 'Green', color: '#22c55e', emoji: '🌿' },
+  { id: 'YELLOW', name: 'Yellow', color: '#eab308', emoji: '⚡' },
+  { id: 'PURPLE', name: 'Purple', color: '#a855f7', emoji: '🔮' },
+  { id: 'ORANGE', name: 'Orange', color: '#f97316', emoji: '🎃' },
+];
+
+export const DEFAULT_TEAMS = TEAM_PRESETS.slice(0, MIN_TEAMS);
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export const normalizeTeams = (teams) => {
+  const list = Array.isArray(teams) && teams.length > 0 ? teams : DEFAULT_TEAMS;
+  const count = Math.min(MAX_TEAMS, Math.max(MIN_TEAMS, list.length));
+  return TEAM_PRESETS.slice(0, count).map((preset, i) => {
+    const team = list[i] || {};
+    return {
+      id: preset.id,
+      name: (typeof team.name === 'string' && team.name.trim() ? team.name.trim() : preset.name).slice(0, 16),
+      color: HEX_COLOR.test(team.color) ? team.color : preset.color,
+      emoji: typeof team.emoji === 'string' && team.emoji.trim() ? team.emoji.trim() : preset.emoji,
+    };
+  });
+};
+
+// Keeps the customisations of the teams that survive and fills up with presets.
+export const resizeTeams = (teams, count) => normalizeTeams([...teams, ...TEAM_PRESETS.slice(teams.length)].slice(0, count));
+
+export const teamById = (teams, id) => teams.find(team => team.id === id) || { id, name: id || '?', color: '#71717a', emoji: '❔' };
+
+// '#rrggbb' + alpha in [0, 1] -> '#rrggbbaa'
+export const withAlpha = (color, alpha) => `${color}${Math.round(alpha * 255).toString(16).padStart(2, '0')}`;
+
+// Fewest players wins; ties go to the earlier team. `counts` maps team id -> players.
+export const pickSmallestTeam = (teams, counts) => teams.reduce((best, team) => ((counts[team.id] || 0) < (counts[best.id] || 0) ? team : best), teams[0]).id;
@@ -0,0 +1,56 @@
+import { batchCredit, batchMidpoint } from './clickLedger';
+
+// --- Round Timeline ---
+// Per-second taps for each team and player, derived from the ledger like every
+// other score, so penalties and chaos multipliers show up here too. A batch
+// lands in the second its midpoint fell in; batches from clients too old to
+// stamp them are left out of the timeline but still count towards the totals.
+
+export const buildTimeline = (ledger, penalties = {}) => {
+  const empty = (length) => Array(length).fill(0);
+  const stamped = [];
+  Object.values(ledger.players).forEach(player => {
+    Object.keys(player.batches).forEach(seq => {
+      const midpoint = batchMidpoint(ledger, player, seq);
+      if (midpoint === null || ledger.startsAt === null) return;
+      stamped.push({ player, second: Math.max(0, Math.floor((midpoint - ledger.startsAt) / 1000)), credit: batchCredit(ledger, player, seq, penalties[player.id]) });
+    });
+  });
+
+  // Rounds can end early, so the timeline runs to the last batch, but never
+  // past the whistle: the final flush is sealed just after it.
+  const lastSecond = Math.max(0, ...stamped.map(entry => entry.second));
+  const scheduled = ledger.endsAt !== null && ledger.startsAt !== null ? Math.ceil((ledger.endsAt - ledger.startsAt) / 1000) : Infinity;
+  const seconds = Math.max(1, Math.min(scheduled, lastSecond + 1));
+  const teams = {};
+  const players = {};
+  stamped.forEach(({ player, second, credit }) => {
+    const at = Math.min(second, seconds - 1);
+    if (!teams[player.team]) teams[player.team] = empty(seconds);
+    if (!players[player.id]) players[player.id] = empty(seconds);
+    teams[player.team][at] += credit;
+    players[player.id][at] += credit;
+  });
+  return { seconds, teams, players };
+};
+
+// Who was ahead at the end of each second and by how much; with exactly two
+// teams `signed` is first minus second, so the chart can swing both ways.
+// Teams that never tapped are in `teamIds` but not in the timeline.
+export const momentum = (timeline, teamIds) => {
+  const running = Object.fromEntries(teamIds.map(team => [team, 0]));
+  const points = [];
+  const leadChanges = [];
+  let previousLeader = null;
+  for (let second = 0; second < timeline.seconds; second++) {
+    teamIds.forEach(team => { running[team] += timeline.teams[team] ? timeline.teams[team][second] : 0; });
+    const [first, runnerUp] = teamIds.map(team => ({ team, score: running[team] })).sort((a, b) => b.score - a.score);
+    const lead = first ? first.score - (runnerUp ? runnerUp.score : 0) : 0;
+    const leader = lead > 0 ? first.team : null;
+    const signed = teamIds.length === 2 ? running[teamIds[0]] - running[teamIds[1]] : lead;
+    if (leader && previousLeader && leader !== previousLeader) leadChanges.push(second);
+    if (leader) previousLeader = leader;
+    points.push({ second, leader, lead, signed });
+  }
+  return { points, leadChanges };
+};
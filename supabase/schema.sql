@@ -0,0 +1,250 @@
+-- Tap War schema for the Supabase backend (src/backend/supabase.js).
+-- The local backend needs no schema; it stores the same rows in localStorage.
+
+-- One row per room. `room_code` is the short join code players type in.
+create table if not exists game_state (
+  id bigint generated always as identity primary key,
+  room_code text not null unique,
+  status text not null default 'LOBBY',
+  winner text,
+  round_id text,
+  round_start_time timestamptz,
+  -- Round settings chosen in the lobby (see src/settings.js).
+  settings jsonb not null default '{}'::jsonb,
+  -- Round wins per team in a best-of-N series (see src/modes.js).
+  match_score jsonb not null default '{}'::jsonb,
+  series_winner text,
+  -- This round's chaos events (see src/chaos.js); cleared when a round starts.
+  chaos_events jsonb not null default '[]'::jsonb,
+  -- Lobby lock, extra blocked nickname words, kicked profiles and reaction
+  -- settings (see src/moderation.js).
+  moderation jsonb not null default '{}'::jsonb,
+  -- SHA-256 of the room's host key (see src/hostAuth.js), set by a trigger below.
+  host_key_hash text,
+  -- The host tab that drives the room and when it last renewed that lease
+  -- (see src/rooms.js).
+  driver_id text,
+  driver_seen_at timestamptz not null default now(),
+  last_active_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists players (
+  id uuid primary key default gen_random_uuid(),
+  room_code text not null references game_state (room_code) on delete cascade,
+  nickname text not null,
+  team text not null,
+  -- The device's profile (see src/profiles.js).
+  profile_id text,
+  -- Set by the host for flagged players: 'DISCOUNTED' or 'DISQUALIFIED'.
+  penalty text,
+  -- A host-controlled bot's skill profile (see src/bots.js); null for people.
+  bot jsonb,
+  -- SHA-256 of the joining device's player key (see src/hostAuth.js), set by a trigger below.
+  player_key_hash text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists players_room_code_idx on players (room_code);
+
+-- One row per click batch. `seq` counts up from 1 per player per round; the
+-- unique key makes retried batches harmless and missing seqs visible.
+create table if not exists clicks (
+  id bigint generated always as identity primary key,
+  room_code text not null references game_state (room_code) on delete cascade,
+  round_id text not null,
+  player_id uuid not null,
+  profile_id text,
+  nickname text,
+  team text not null,
+  seq integer not null check (seq > 0),
+  count integer not null check (count >= 0),
+  -- Inter-tap interval stats for the batch (ms), for autoclicker detection.
+  interval_mean real,
+  interval_sd real,
+  -- When the player sealed the batch, in ms on the host's clock (see src/clock.js).
+  sent_at bigint,
+  -- Tapped by one of the host's bots.
+  bot boolean not null default false,
+  created_at timestamptz not null default now(),
+  unique (room_code, round_id, player_id, seq)
+);
+
+-- For the profiles policy below.
+create index if not exists clicks_profile_id_idx on clicks (profile_id);
+
+-- Lifetime stats per player profile, folded in by the host as rounds finish.
+-- Profiles are not tied to a room and outlive them.
+create table if not exists profiles (
+  id text primary key,
+  nickname text not null,
+  rounds integer not null default 0,
+  total_taps integer not null default 0,
+  best_round integer not null default 0,
+  peak_tps real not null default 0,
+  wins integer not null default 0,
+  mvps integer not null default 0,
+  -- The last round credited, so a round is never counted twice.
+  last_round_id text,
+  updated_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+-- One record per finished round, keyed by its round id (see src/history.js).
+-- Deliberately not tied to game_state, so history outlives closed rooms.
+create table if not exists rounds (
+  id text primary key,
+  room_code text not null,
+  started_at timestamptz,
+  ended_at timestamptz not null default now(),
+  settings jsonb not null default '{}'::jsonb,
+  -- Team id -> credited taps.
+  totals jsonb not null default '{}'::jsonb,
+  -- [{ player_id, profile_id, nickname, team, bot, taps, penalty }], most taps first.
+  players jsonb not null default '[]'::jsonb,
+  winner text,
+  match_score jsonb not null default '{}'::jsonb,
+  chaos_events jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists rounds_room_code_idx on rounds (room_code);
+
+-- DELETE events only carry the full old row (and so can be matched to a room)
+-- with full replica identity.
+alter table game_state replica identity full;
+alter table players replica identity full;
+
+alter publication supabase_realtime add table game_state, players, clicks;
+
+-- Host key. The creating client sends a random key as the `x-host-key` request
+-- header; only its hash is stored, and only requests carrying the same key may
+-- change the room, its players or its history. Players and the big screen only
+-- read, apart from joining, leaving and sending their own clicks.
+create or replace function tapwar_request_key_hash() returns text
+language sql stable as $$
+  select case when length(key) >= 32 then encode(sha256(convert_to(key, 'UTF8')), 'hex') end
+  from (select current_setting('request.headers', true)::json ->> 'x-host-key' as key) header
+$$;
+
+-- The hash comes from the inserting request and can never be changed afterwards.
+create or replace function tapwar_keep_host_key_hash() returns trigger
+language plpgsql as $$
+begin
+  if tg_op = 'INSERT' then
+    new.host_key_hash := tapwar_request_key_hash();
+  else
+    new.host_key_hash := old.host_key_hash;
+  end if;
+  return new;
+end
+$$;
+
+create or replace trigger game_state_host_key
+  before insert or update on game_state
+  for each row execute function tapwar_keep_host_key_hash();
+
+create or replace function tapwar_is_host(code text) returns boolean
+language sql stable as $$
+  select exists (select 1 from game_state where game_state.room_code = code and game_state.host_key_hash = tapwar_request_key_hash())
+$$;
+
+-- Player key. Every device sends a random key of its own as the `x-player-key`
+-- request header. A player row keeps the hash of the key it joined with, so
+-- only that device or the host may remove it, and only that device may send
+-- its click batches.
+create or replace function tapwar_request_player_key_hash() returns text
+language sql stable as $$
+  select case when length(key) >= 32 then encode(sha256(convert_to(key, 'UTF8')), 'hex') end
+  from (select current_setting('request.headers', true)::json ->> 'x-player-key' as key) header
+$$;
+
+create or replace function tapwar_keep_player_key_hash() returns trigger
+language plpgsql as $$
+begin
+  if tg_op = 'INSERT' then
+    new.player_key_hash := tapwar_request_player_key_hash();
+  else
+    new.player_key_hash := old.player_key_hash;
+  end if;
+  return new;
+end
+$$;
+
+create or replace trigger players_player_key
+  before insert or update on players
+  for each row execute function tapwar_keep_player_key_hash();
+
+alter table game_state enable row level security;
+alter table players enable row level security;
+alter table clicks enable row level security;
+alter table profiles enable row level security;
+alter table rounds enable row level security;
+
+drop policy if exists "Rooms are public" on game_state;
+create policy "Rooms are public" on game_state for select using (true);
+drop policy if exists "Rooms are opened with a host key" on game_state;
+create policy "Rooms are opened with a host key" on game_state for insert with check (host_key_hash is not null);
+drop policy if exists "Only the host changes a room" on game_state;
+create policy "Only the host changes a room" on game_state for update using (host_key_hash = tapwar_request_key_hash());
+-- Anyone may sweep away rooms idle for longer than ROOM_TTL_MS (src/rooms.js);
+-- keep the '2 hours' below in step with it.
+drop policy if exists "The host or the sweep closes a room" on game_state;
+create policy "The host or the sweep closes a room" on game_state for delete
+  using (host_key_hash = tapwar_request_key_hash() or last_active_at < now() - interval '2 hours');
+
+drop policy if exists "Players are public" on players;
+create policy "Players are public" on players for select using (true);
+drop policy if exists "Anyone can join" on players;
+-- Only the host adds bots.
+create policy "Anyone can join" on players for insert with check (
+  (bot is null and player_key_hash is not null) or (bot is not null and tapwar_is_host(room_code))
+);
+drop policy if exists "Anyone can leave" on players;
+-- Leaving, or being kicked by the host. Closing a room cascades past this.
+drop policy if exists "Players leave or are kicked" on players;
+create policy "Players leave or are kicked" on players for delete using (
+  player_key_hash = tapwar_request_player_key_hash() or tapwar_is_host(room_code)
+);
+-- Renames, team moves and penalties.
+drop policy if exists "Only the host edits players" on players;
+create policy "Only the host edits players" on players for update using (tapwar_is_host(room_code));
+
+drop policy if exists "Clicks are public" on clicks;
+create policy "Clicks are public" on clicks for select using (true);
+-- Batches only land for a player in the room, on their own team, from the
+-- device that joined as them (or the host, for a bot), so nobody can take
+-- another player's seqs or tap for another team.
+drop policy if exists "Players send their own clicks" on clicks;
+create policy "Players send their own clicks" on clicks for insert with check (
+  exists (
+    select 1 from players
+    where players.id = clicks.player_id
+      and players.room_code = clicks.room_code
+      and players.profile_id is not distinct from clicks.profile_id
+      and players.team = clicks.team
+      and (players.player_key_hash = tapwar_request_player_key_hash() or (players.bot is not null and tapwar_is_host(clicks.room_code)))
+  )
+);
+drop policy if exists "Only the host clears clicks" on clicks;
+create policy "Only the host clears clicks" on clicks for delete using (tapwar_is_host(room_code));
+
+drop policy if exists "Rounds are public" on rounds;
+create policy "Rounds are public" on rounds for select using (true);
+-- Saving a round again after a ruling only works while its room is open.
+drop policy if exists "Only the host records rounds" on rounds;
+create policy "Only the host records rounds" on rounds for insert with check (tapwar_is_host(room_code));
+drop policy if exists "Only the host re-records rounds" on rounds;
+create policy "Only the host re-records rounds" on rounds for update using (tapwar_is_host(room_code));
+
+drop policy if exists "Profiles are public" on profiles;
+create policy "Profiles are public" on profiles for select using (true);
+-- Only the host of a room the profile tapped in folds a round into it.
+drop policy if exists "Hosts credit their players" on profiles;
+create policy "Hosts credit their players" on profiles for insert with check (
+  exists (select 1 from clicks where clicks.profile_id = profiles.id and tapwar_is_host(clicks.room_code))
+);
+drop policy if exists "Hosts update their players' stats" on profiles;
+create policy "Hosts update their players' stats" on profiles for update using (
+  exists (select 1 from clicks where clicks.profile_id = profiles.id and tapwar_is_host(clicks.room_code))
+);